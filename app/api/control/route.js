@@ -1,43 +1,195 @@
 import { NextResponse } from 'next/server';
 import { MarketEngine } from '../../../simulation/market/MarketEngine.js';
-import { FrugalBuyer, ImpulsiveBuyer, SkepticalBuyer } from '../../../simulation/agents/index.js';
+import {
+  createAgent,
+  createAgentState,
+  credentialsFromEnv,
+  loadRoster,
+} from '../../../simulation/agents/index.js';
 import {
   marketEngine,
   agents,
   simulationInterval,
   setMarketEngine,
   setAgents,
-  setSimulationInterval,
-  clearSimulationInterval,
   isSimulationRunning,
   setSimulationRunning,
   isStarting,
   setStarting,
+  ledger,
+  snapshotStore,
+  settlementJournal,
+  setBalanceReconciler,
+  getPauseReason,
+  setPauseReason,
   broadcastEvent,
 } from '../../../lib/globals.js';
+import { BalanceReconciler } from '../../../simulation/settlement/BalanceReconciler.js';
+import { SpendingGuard } from '../../../simulation/payments/SpendingGuard.js';
+import {
+  loadBalances,
+  reconcileSettlements,
+  saveSnapshot,
+  settleNettingWindow,
+  startTickLoop,
+  teardownSimulation,
+} from '../../../lib/simulation.js';
+
+/**
+ * Reason the simulation cannot be started right now, or null if it can
+ * @returns {string | null}
+ */
+function getBusyReason() {
+  if (isStarting()) return 'Start already in progress';
+  if (isSimulationRunning()) return 'Simulation already running';
+  if (marketEngine || agents.length > 0 || simulationInterval) return 'Simulation not properly cleaned up';
+  return null;
+}
+
+/**
+ * Start reconciling wallet balances for a freshly started or resumed engine
+ * @param {MarketEngine} engine
+ * @param {Array} allAgents - Initialized agents
+ * @returns {Promise<void>}
+ */
+async function startBalanceReconciler(engine, allAgents) {
+  const reconciler = new BalanceReconciler(engine, allAgents);
+  await reconciler.captureBaselines();
+  setBalanceReconciler(reconciler);
+}
 
 /**
  * POST /api/control
- * Start or stop the simulation
- * Body: { action: 'start' | 'stop' }
+ * Start, stop, snapshot, resume, pause, unpause or halt the simulation
+ * Body: {
+ *   action: 'start' | 'stop' | 'snapshot' | 'resume' | 'pause' | 'unpause' | 'halt',
+ *   pricingModel?: string, allocationPolicy?: string, seed?: number,  // start
+ *   config?: string,                       // start: agent roster in config/agents (default: AGENT_CONFIG env, then 'default')
+ *   name?: string,                         // snapshot (optional) / resume (required)
+ *   reason?: string,                       // pause / halt (optional)
+ * }
+ * halt is the kill switch: every outgoing payment is refused until the session is stopped,
+ * while the engine and agents stay up for inspection.
  */
 export async function POST(request) {
-  const { action } = await request.json();
+  const { action, pricingModel, allocationPolicy, seed, name, reason, config } = await request.json();
 
-  if (action === 'start') {
+  if (action === 'start' || action === 'resume') {
     // CRITICAL: Comprehensive check - reject if ANYTHING indicates we're busy
-    if (isStarting() || isSimulationRunning() || marketEngine || agents.length > 0 || simulationInterval) {
-      const reason = isStarting() ? 'Start already in progress' :
-                    isSimulationRunning() ? 'Simulation already running' :
-                    'Simulation not properly cleaned up';
-      
-      console.log(`🚫 Rejecting start request: ${reason}`);
+    const busyReason = getBusyReason();
+    if (busyReason) {
+      console.log(`🚫 Rejecting ${action} request: ${busyReason}`);
       
       return NextResponse.json({
-        error: 'Cannot start',
-        message: reason + '. Stop the current simulation first.',
+        error: `Cannot ${action}`,
+        message: busyReason + '. Stop the current simulation first.',
       }, { status: 409 });
     }
+  }
+
+  if (action === 'resume') {
+    if (!name) {
+      return NextResponse.json({
+        error: 'Invalid request',
+        message: 'Snapshot name is required to resume',
+      }, { status: 400 });
+    }
+
+    let snapshot;
+    try {
+      snapshot = snapshotStore.load(name);
+    } catch (error) {
+      return NextResponse.json({
+        error: 'Invalid request',
+        message: error.message,
+      }, { status: 400 });
+    }
+
+    if (!snapshot) {
+      return NextResponse.json({
+        error: 'Not found',
+        message: `Snapshot ${name} not found`,
+      }, { status: 404 });
+    }
+
+    setStarting(true);
+    console.log('🔒 Start lock acquired');
+
+    try {
+      console.log(`\n⏯️  Resuming simulation from snapshot ${name} (tick ${snapshot.market_state.tick})...\n`);
+
+      // Spending caps keep counting from the snapshot
+      const spendingGuard = new SpendingGuard();
+
+      // Credentials are never stored in snapshots - re-read them from the environment
+      const allAgents = snapshot.agents.map(state => createAgent({
+        ...state,
+        credentials: credentialsFromEnv(state),
+      }, { spendingGuard }));
+
+      const engine = MarketEngine.fromSnapshot(snapshot, allAgents, { ledger, settlements: settlementJournal, spendingGuard });
+
+      setMarketEngine(engine);
+      setAgents(allAgents);
+
+      console.log('📊 Market Engine restored');
+      console.log(`   Tick: ${snapshot.market_state.tick}`);
+      console.log(`   Price: $${snapshot.market_state.current_price}`);
+      console.log(`   Inventory: ${snapshot.market_state.seller_inventory} apples`);
+      console.log(`   Session: ${engine.sessionId}\n`);
+
+      // Reconnect agents; balances and positions come from the snapshot
+      console.log('🤖 Initializing AI agents...');
+      await Promise.all(allAgents.map(agent => agent.initialize()));
+      console.log('✅ All agents initialized!\n');
+
+      // Settle anything a crash left in flight before new payments go out
+      const reconciliation = await reconcileSettlements(allAgents);
+
+      await startBalanceReconciler(engine, allAgents);
+
+      startTickLoop(engine);
+
+      setStarting(false);
+
+      return NextResponse.json({
+        status: 'resumed',
+        message: `Simulation resumed from snapshot ${name}`,
+        seed: engine.seed,
+        session_id: engine.sessionId,
+        reconciliation,
+        market: engine.getMarketState(),
+        agents: allAgents.map(a => ({
+          id: a.getState().id,
+          name: a.getState().name,
+          personality: a.getState().personality,
+        })),
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to resume simulation:', error);
+
+      setStarting(false);
+      teardownSimulation('resume_failed');
+
+      return NextResponse.json({
+        error: 'Resume failed',
+        message: error.message,
+      }, { status: 500 });
+    }
+  }
+
+  if (action === 'start') {
+    // Validate the roster before taking the lock - a bad config is the caller's mistake
+    let roster;
+    try {
+      roster = loadRoster(config);
+    } catch (error) {
+      return NextResponse.json({
+        error: 'Invalid agent config',
+        message: error.message,
+      }, { status: 400 });
+    }
     
     // Set lock immediately BEFORE any async operation
     setStarting(true);
@@ -46,110 +198,15 @@ export async function POST(request) {
     try {
       console.log('\n🚀 Starting market simulation...\n');
 
-      // Create agent states
-      const frugalState = {
-        id: 'buyer_1',
-        name: 'Frugal Fred',
-        type: 'buyer',
-        personality: 'frugal',
-        money: 0, // Will be fetched from Locus
-        inventory: 0,
-        preferences: {
-          good: 'apple',
-          max_spend_percent: 0.04, // Can spend up to 4% of balance per tick
-          threshold: 0.015,
-        },
-        history: {
-          prices_seen: [],
-          actions: [],
-          last_tick_seen: 0,
-        },
-        long_term: {
-          total_spent: 0,
-          total_qty_bought: 0,
-          avg_purchase_price: 0,
-          max_single_tick_purchase: 0,
-          total_revenue: 0,
-          total_qty_sold: 0,
-          realized_profit: 0,
-        },
-        credentials: {
-          clientId: process.env.FRUGAL_BUYER_CLIENT_ID,
-          clientSecret: process.env.FRUGAL_BUYER_CLIENT_SECRET,
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        },
-      };
-
-      const impulsiveState = {
-        id: 'buyer_2',
-        name: 'Impulsive Ivan',
-        type: 'buyer',
-        personality: 'impulsive',
-        money: 0, // Will be fetched from Locus
-        inventory: 0,
-        preferences: {
-          good: 'apple',
-          max_spend_percent: 0.06, // Can spend up to 6% of balance per tick (more aggressive)
-        },
-        history: {
-          prices_seen: [],
-          actions: [],
-          last_tick_seen: 0,
-        },
-        long_term: {
-          total_spent: 0,
-          total_qty_bought: 0,
-          avg_purchase_price: 0,
-          max_single_tick_purchase: 0,
-          total_revenue: 0,
-          total_qty_sold: 0,
-          realized_profit: 0,
-        },
-        credentials: {
-          clientId: process.env.IMPULSIVE_BUYER_CLIENT_ID,
-          clientSecret: process.env.IMPULSIVE_BUYER_CLIENT_SECRET,
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        },
-      };
-
-      const skepticalState = {
-        id: 'buyer_3',
-        name: 'Skeptical Sarah',
-        type: 'buyer',
-        personality: 'skeptical',
-        money: 0, // Will be fetched from Locus
-        inventory: 0,
-        preferences: {
-          good: 'apple',
-          max_spend_percent: 0.035, // Can spend up to 3.5% of balance per tick (conservative)
-        },
-        history: {
-          prices_seen: [],
-          actions: [],
-          last_tick_seen: 0,
-        },
-        long_term: {
-          total_spent: 0,
-          total_qty_bought: 0,
-          avg_purchase_price: 0,
-          max_single_tick_purchase: 0,
-          total_revenue: 0,
-          total_qty_sold: 0,
-          realized_profit: 0,
-        },
-        credentials: {
-          clientId: process.env.SKEPTICAL_BUYER_CLIENT_ID,
-          clientSecret: process.env.SKEPTICAL_BUYER_CLIENT_SECRET,
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        },
-      };
+      // Agent states from the roster (credentials are read from the env keys it names)
+      const agentStates = roster.agents.map(createAgentState);
+      console.log(`👥 Agent config "${roster.name}": ${agentStates.map(a => a.name).join(', ')}`);
 
-      // Create agent instances
-      const frugalAgent = new FrugalBuyer(frugalState);
-      const impulsiveAgent = new ImpulsiveBuyer(impulsiveState);
-      const skepticalAgent = new SkepticalBuyer(skepticalState);
+      // Session-wide caps and kill switch, checked before every payment
+      const spendingGuard = new SpendingGuard();
 
-      const allAgents = [frugalAgent, impulsiveAgent, skepticalAgent];
+      // Create agent instances
+      const allAgents = agentStates.map(state => createAgent(state, { spendingGuard }));
 
       // Initialize market engine
       const initialPrice = parseFloat(process.env.INITIAL_PRICE || '0.02');
@@ -158,8 +215,19 @@ export async function POST(request) {
       const engine = new MarketEngine(
         initialPrice,
         initialInventory,
-        [frugalState, impulsiveState, skepticalState],
-        allAgents // Pass agent instances for MCP tool access
+        agentStates,
+        allAgents, // Pass agent instances for MCP tool access
+        {
+          // Falls back to PRICING_MODEL env, then 'linear'
+          pricing: { model: pricingModel },
+          // Falls back to ALLOCATION_POLICY env, then 'pro_rata'
+          allocationPolicy,
+          // Falls back to SIMULATION_SEED env, then a random seed (logged so the run can be replayed)
+          seed: seed ?? (process.env.SIMULATION_SEED ? parseInt(process.env.SIMULATION_SEED) : undefined),
+          ledger,
+          settlements: settlementJournal,
+          spendingGuard,
+        }
       );
 
       setMarketEngine(engine);
@@ -168,6 +236,10 @@ export async function POST(request) {
       console.log('📊 Market Engine initialized');
       console.log(`   Price: $${initialPrice}`);
       console.log(`   Inventory: ${initialInventory} apples`);
+      console.log(`   Pricing model: ${engine.pricingEngine.modelName}`);
+      console.log(`   Allocation policy: ${engine.allocationPolicy}`);
+      console.log(`   Seed: ${engine.seed}`);
+      console.log(`   Session: ${engine.sessionId}`);
       console.log(`   💳 Real MCP transactions: ENABLED\n`);
 
       // Initialize all agents
@@ -176,171 +248,26 @@ export async function POST(request) {
       console.log('✅ All agents initialized!\n');
 
       // Fetch real balances from Locus
-      console.log('💰 Fetching actual balances from Locus wallets...');
-      for (const agent of allAgents) {
-        const state = agent.getState();
-        try {
-          const paymentContextTool = agent.locusTools.find(t => t.name === 'get_payment_context');
-          if (paymentContextTool) {
-            const contextResult = await paymentContextTool.invoke({});
-            
-            // Parse the text response from Locus
-            // Format: "Remaining: $9.874 USDC out of $10 USDC"
-            const remainingMatch = contextResult.match(/Remaining:\s*\$?([\d.]+)\s*USDC/i);
-            
-            if (remainingMatch && remainingMatch[1]) {
-              const balance = parseFloat(remainingMatch[1]);
-              state.money = balance;
-              console.log(`   ✓ ${state.name}: $${balance.toFixed(4)} USDC`);
-            } else {
-              console.log(`   ⚠️  ${state.name}: Could not parse balance from response`);
-              console.log(`   Raw response: ${contextResult.substring(0, 100)}...`);
-              console.log(`   ⚠️  Using fallback $10.00`);
-              state.money = 10.0;
-            }
-          } else {
-            console.log(`   ⚠️  ${state.name}: get_payment_context tool not found, using fallback $10.00`);
-            state.money = 10.0;
-          }
-        } catch (error) {
-          console.error(`   ❌ ${state.name} balance fetch error:`, error.message);
-          console.log(`   ⚠️  Using fallback balance of $10.00`);
-          state.money = 10.0;
-        }
-      }
-      console.log('✅ Balances loaded!\n');
+      await loadBalances(allAgents);
+
+      // Settle anything a crash left in flight before new payments go out
+      const reconciliation = await reconcileSettlements(allAgents);
+
+      await startBalanceReconciler(engine, allAgents);
 
       // Start simulation loop
-      const tickMs = parseInt(process.env.SIMULATION_TICK_MS || '5000');
-      console.log(`      ⏰ Starting tick loop (every ${tickMs}ms)...\n`);
-      
-      // Set running flag
-      setSimulationRunning(true);
-
-      // Use recursive setTimeout instead of setInterval to prevent overlap
-      const scheduleNextTick = async () => {
-        try {
-          // CRITICAL: Check if simulation should still be running BEFORE doing anything
-          // This prevents zombie intervals from continuing after stop
-          if (!isSimulationRunning()) {
-            console.log('⏹️  Simulation stopped, exiting tick callback...');
-            return;
-          }
-          
-          // CRITICAL: Check if THIS engine is still the CURRENT engine
-          // This prevents zombie intervals from duplicate starts
-          if (!marketEngine || marketEngine !== engine) {
-            console.log('⏹️  Stale interval detected (engine mismatch), exiting...');
-            return;
-          }
-          
-          const marketState = marketEngine.getMarketState();
-          
-          console.log(`\n${'='.repeat(60)}`);
-          console.log(`📈 TICK ${marketState.tick + 1} - Price: $${marketState.current_price.toFixed(4)}`);
-          console.log(`${'='.repeat(60)}`);
-          
-          // Get decisions from all agents
-          const decisions = {};
-          const currentAgents = agents; // Get current agents from global
-          
-          if (currentAgents.length === 0) {
-            console.log('⏹️  No agents available, exiting tick callback...');
-            return;
-          }
-          
-          for (const agent of currentAgents) {
-            // Check running state before EACH agent decision
-            if (!isSimulationRunning()) {
-              console.log('⏹️  Simulation stopped during agent decisions, exiting...');
-              return;
-            }
-            
-            const decision = await agent.makeDecision(marketState);
-            decisions[agent.getState().id] = decision;
-          }
-          
-          // Final check before executing tick
-          if (!isSimulationRunning() || !marketEngine) {
-            console.log('⏹️  Simulation stopped before tick execution, exiting...');
-            return;
-          }
-
-          // Execute tick using global engine
-          const result = await marketEngine.executeTick(decisions);
-          
-          console.log(`\n💰 Results:`);
-          console.log(`   Price: $${result.price_before.toFixed(4)} → $${result.price_after.toFixed(4)}`);
-          console.log(`   Transactions: ${result.executed_transactions.length}`);
-          console.log(`   Inventory: ${result.market_state.seller_inventory} apples`);
-          console.log(`${'='.repeat(60)}\n`);
-
-          // Broadcast to SSE clients
-          broadcastEvent({
-            type: 'tick',
-            tick: result.tick,
-            market: result.market_state,
-            agents: marketEngine.getAgents(),
-            transactions: result.executed_transactions,
-          });
-
-          // Check if simulation should stop
-          const maxTicks = parseInt(process.env.MAX_TICKS || '0');
-          const shouldStop = result.market_state.seller_inventory <= 0 || 
-                            (maxTicks > 0 && result.tick >= maxTicks);
-          
-          if (shouldStop) {
-            const reason = result.market_state.seller_inventory <= 0 
-              ? 'All inventory sold out!' 
-              : `Maximum ticks (${maxTicks}) reached!`;
-            
-            console.log(`\n🎉 SIMULATION COMPLETE - ${reason}`);
-            console.log(`📊 Final Statistics:`);
-            console.log(`   Total Ticks: ${result.tick}`);
-            console.log(`   Total Revenue: $${result.market_state.seller_revenue.toFixed(2)}`);
-            console.log(`   Final Price: $${result.market_state.current_price.toFixed(4)}`);
-            console.log(`   Remaining Inventory: ${result.market_state.seller_inventory} apples`);
-            console.log(`${'='.repeat(60)}\n`);
-            
-            // Stop simulation (recursive setTimeout will not schedule next tick)
-            setSimulationRunning(false);
-            clearSimulationInterval();
-            setMarketEngine(null);
-            setAgents([]);
-            
-            // Broadcast simulation ended event
-            broadcastEvent({
-              type: 'simulation_ended',
-              reason: result.market_state.seller_inventory <= 0 ? 'inventory_depleted' : 'max_ticks_reached',
-              final_tick: result.tick,
-              final_revenue: result.market_state.seller_revenue,
-              final_price: result.market_state.current_price,
-              remaining_inventory: result.market_state.seller_inventory,
-            });
-          }
-
-        } catch (error) {
-          console.error('❌ Simulation tick error:', error);
-        }
-        
-        // Schedule next tick AFTER this one completes (recursive setTimeout)
-        // Only schedule if simulation is still running
-        if (isSimulationRunning()) {
-          const timeoutId = setTimeout(scheduleNextTick, tickMs);
-          setSimulationInterval(timeoutId);
-        }
-      };
+      startTickLoop(engine);
 
-      // Start the first tick
-      const initialTimeout = setTimeout(scheduleNextTick, tickMs);
-      setSimulationInterval(initialTimeout);
-      
       // Release lock - simulation is now running
       setStarting(false);
 
       return NextResponse.json({
         status: 'started',
         message: 'Simulation started successfully',
+        config: roster.name,
+        seed: engine.seed,
+        session_id: engine.sessionId,
+        reconciliation,
         market: engine.getMarketState(),
         agents: allAgents.map(a => ({
           id: a.getState().id,
@@ -356,9 +283,7 @@ export async function POST(request) {
       setStarting(false);
       
       // Cleanup on error
-      clearSimulationInterval();
-      setMarketEngine(null);
-      setAgents([]);
+      teardownSimulation('start_failed');
       
       return NextResponse.json({
         error: 'Start failed',
@@ -370,22 +295,102 @@ export async function POST(request) {
   if (action === 'stop') {
     console.log('\n🛑 Stopping simulation...\n');
     
-    // Clear interval and reset all state
-    clearSimulationInterval();
-    setMarketEngine(null);
-    setAgents([]);
+    // No new ticks, then settle any netted positions before the session ends
+    setSimulationRunning(false);
+    const settlement = marketEngine ? await settleNettingWindow(marketEngine, 'session_end') : null;
+    
+    // Clear interval and reset all state (the ledger keeps the session)
+    teardownSimulation('stopped');
     
     console.log('✅ Simulation stopped and state cleared\n');
     
     return NextResponse.json({
       status: 'stopped',
       message: 'Simulation stopped successfully',
+      settlement,
+    });
+  }
+
+  if (action === 'snapshot') {
+    if (!marketEngine) {
+      return NextResponse.json({
+        error: 'No simulation',
+        message: 'No simulation is running',
+      }, { status: 503 });
+    }
+
+    try {
+      const snapshotName = saveSnapshot(marketEngine, name);
+      return NextResponse.json({
+        status: 'saved',
+        name: snapshotName,
+        tick: marketEngine.getMarketState().tick,
+        session_id: marketEngine.sessionId,
+      });
+    } catch (error) {
+      return NextResponse.json({
+        error: 'Snapshot failed',
+        message: error.message,
+      }, { status: 400 });
+    }
+  }
+
+  if (action === 'pause' || action === 'unpause') {
+    if (!marketEngine) {
+      return NextResponse.json({
+        error: 'No simulation',
+        message: 'No simulation is running',
+      }, { status: 503 });
+    }
+
+    if (action === 'unpause' && marketEngine.spendingGuard?.halted) {
+      return NextResponse.json({
+        error: 'Trading halted',
+        message: 'A halted session cannot be unpaused - stop it once you have inspected it',
+      }, { status: 409 });
+    }
+
+    setPauseReason(action === 'pause' ? (reason || 'Paused by operator') : null);
+    broadcastEvent({
+      type: action === 'pause' ? 'trading_paused' : 'trading_unpaused',
+      tick: marketEngine.getMarketState().tick,
+      reason: getPauseReason(),
+    });
+
+    return NextResponse.json({
+      status: action === 'pause' ? 'paused' : 'running',
+      reason: getPauseReason(),
+    });
+  }
+
+  if (action === 'halt') {
+    if (!marketEngine?.spendingGuard) {
+      return NextResponse.json({
+        error: 'No simulation',
+        message: 'No simulation is running',
+      }, { status: 503 });
+    }
+
+    // Block payments first, then stop new ticks - state is kept for inspection
+    const haltReason = reason || 'Halted by operator';
+    marketEngine.spendingGuard.halt(haltReason);
+    setPauseReason(`Halted: ${haltReason}`);
+    broadcastEvent({
+      type: 'trading_halted',
+      tick: marketEngine.getMarketState().tick,
+      reason: haltReason,
+    });
+
+    return NextResponse.json({
+      status: 'halted',
+      reason: haltReason,
+      spending: marketEngine.spendingGuard.getStatus(),
     });
   }
 
   return NextResponse.json({
     error: 'Invalid action',
-    message: 'Action must be "start" or "stop"',
+    message: 'Action must be "start", "stop", "snapshot", "resume", "pause", "unpause" or "halt"',
   }, { status: 400 });
 }
 
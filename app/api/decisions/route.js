@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { ledger, marketEngine } from '../../../lib/globals.js';
+
+/**
+ * GET /api/decisions
+ * Decision audit trail from the ledger: for every agent and tick, the exact system prompt and
+ * prompt, each raw completion (rejected ones too), the parsed, raw and sanitized decision,
+ * latency and model
+ *   (no params)                    → the running session (or the latest one)
+ *   ?session=ID                    → a past session
+ *   &agent=buyer_1&from=5&to=20    → optional filters by agent and tick range
+ *   &tick=12                       → a single tick
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const sessionId = searchParams.get('session') || marketEngine?.sessionId || ledger.listSessions()[0]?.session_id;
+
+  if (!sessionId) {
+    return NextResponse.json({
+      error: 'No sessions',
+      message: 'The ledger has no sessions yet - start the simulation first',
+    }, { status: 404 });
+  }
+
+  try {
+    const session = ledger.getSession(sessionId);
+    if (!session) {
+      return NextResponse.json({
+        error: 'Session not found',
+        message: `No ledger session with ID ${sessionId}`,
+      }, { status: 404 });
+    }
+
+    const tick = searchParams.has('tick') ? parseInt(searchParams.get('tick')) : undefined;
+    const decisions = ledger.getEvents(sessionId, {
+      type: 'decision',
+      agentId: searchParams.get('agent') || undefined,
+      fromTick: tick ?? (searchParams.has('from') ? parseInt(searchParams.get('from')) : undefined),
+      toTick: tick ?? (searchParams.has('to') ? parseInt(searchParams.get('to')) : undefined),
+    });
+
+    return NextResponse.json({ session_id: sessionId, count: decisions.length, decisions });
+  } catch (error) {
+    return NextResponse.json({
+      error: 'Decision query failed',
+      message: error.message,
+    }, { status: 400 });
+  }
+}
@@ -0,0 +1,130 @@
+import { NextResponse } from 'next/server';
+import { marketEngine, ledger, forks } from '../../../lib/globals.js';
+import { createFork } from '../../../simulation/market/Fork.js';
+import { createAgent, credentialsFromEnv } from '../../../simulation/agents/index.js';
+import { WalletLedger } from '../../../simulation/payments/index.js';
+
+/**
+ * GET /api/fork
+ *   (no params)  → all forks, newest first
+ *   ?id=ID       → one fork with the original and forked price paths
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const id = searchParams.get('id');
+
+  if (!id) {
+    const summaries = Array.from(forks.values())
+      .map(fork => fork.getSummary())
+      .reverse();
+    return NextResponse.json({ forks: summaries });
+  }
+
+  const fork = forks.get(id);
+  if (!fork) {
+    return NextResponse.json({
+      error: 'Fork not found',
+      message: `No fork with ID ${id}`,
+    }, { status: 404 });
+  }
+
+  return NextResponse.json(fork.getDetail());
+}
+
+/**
+ * POST /api/fork
+ * Branch a session from the state after a past tick and run it forward in DEV_MODE
+ * Body: {
+ *   sessionId?: string,  // ledger session (default: the running simulation)
+ *   fromTick: number,    // fork from the state after this tick
+ *   ticks?: number,      // ticks to run (default: as many as the original ran after fromTick)
+ *   overrides?: {
+ *     pricing?: { model?, minPrice?, maxPrice? },
+ *     agents?: { [agentId]: { max_spend_percent } },
+ *     decisions?: { [agentId]: AgentDecision },  // forced on tick fromTick + 1
+ *   }
+ * }
+ */
+export async function POST(request) {
+  const { sessionId, fromTick, ticks, overrides } = await request.json();
+
+  let recording;
+  let sourceSessionId;
+  if (sessionId) {
+    try {
+      recording = ledger.getRecording(sessionId);
+    } catch (error) {
+      return NextResponse.json({
+        error: 'Invalid request',
+        message: error.message,
+      }, { status: 400 });
+    }
+    if (!recording) {
+      return NextResponse.json({
+        error: 'Session not found',
+        message: `No replayable ledger session with ID ${sessionId}`,
+      }, { status: 404 });
+    }
+    sourceSessionId = sessionId;
+  } else {
+    if (!marketEngine) {
+      return NextResponse.json({
+        error: 'Market not initialized',
+        message: 'Start the simulation or pass a ledger sessionId',
+      }, { status: 503 });
+    }
+    // Copy so ticks executed while the fork is being built don't leak in
+    recording = structuredClone(marketEngine.getRecording());
+    sourceSessionId = marketEngine.sessionId;
+  }
+
+  // Each fork pays from its own simulated wallets
+  const walletLedger = new WalletLedger();
+
+  let fork;
+  try {
+    fork = await createFork(recording, {
+      sourceSessionId,
+      fromTick,
+      ticks,
+      overrides,
+      // Live LLM decisions, simulated payments - forks never move real funds
+      createAgent: state => createAgent(
+        { ...state, credentials: credentialsFromEnv(state) },
+        { simulatePayments: true, walletLedger }
+      ),
+    });
+  } catch (error) {
+    console.error('❌ Fork failed:', error.message);
+    return NextResponse.json({
+      error: 'Fork failed',
+      message: error.message,
+    }, { status: 400 });
+  }
+
+  forks.set(fork.id, fork);
+
+  // Runs in the background - poll GET /api/fork?id=... for progress
+  fork.run();
+
+  return NextResponse.json(fork.getSummary(), { status: 202 });
+}
+
+/**
+ * DELETE /api/fork?id=ID
+ * Stop a running fork (its results are kept)
+ */
+export async function DELETE(request) {
+  const { searchParams } = new URL(request.url);
+  const fork = forks.get(searchParams.get('id'));
+
+  if (!fork) {
+    return NextResponse.json({
+      error: 'Fork not found',
+      message: `No fork with ID ${searchParams.get('id')}`,
+    }, { status: 404 });
+  }
+
+  fork.stop();
+  return NextResponse.json(fork.getSummary());
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { ledger } from '../../../lib/globals.js';
+
+/**
+ * GET /api/ledger
+ * Query the persistent ledger
+ *   (no params)                     → all sessions, newest first
+ *   ?session=ID                     → session summary plus its ticks
+ *   ?session=ID&type=transactions   → transactions (also: decisions, ticks, settlements)
+ *   &agent=buyer_1&from=5&to=20     → optional filters by agent and tick range
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const sessionId = searchParams.get('session');
+
+  if (!sessionId) {
+    return NextResponse.json({ sessions: ledger.listSessions() });
+  }
+
+  try {
+    const session = ledger.getSession(sessionId);
+    if (!session) {
+      return NextResponse.json({
+        error: 'Session not found',
+        message: `No ledger session with ID ${sessionId}`,
+      }, { status: 404 });
+    }
+
+    const types = { ticks: 'tick', decisions: 'decision', transactions: 'transaction', settlements: 'settlement_window' };
+    const type = searchParams.get('type') || 'ticks';
+    if (!types[type]) {
+      return NextResponse.json({
+        error: 'Invalid type',
+        message: `type must be one of: ${Object.keys(types).join(', ')}`,
+      }, { status: 400 });
+    }
+
+    const events = ledger.getEvents(sessionId, {
+      type: types[type],
+      agentId: searchParams.get('agent') || undefined,
+      fromTick: searchParams.has('from') ? parseInt(searchParams.get('from')) : undefined,
+      toTick: searchParams.has('to') ? parseInt(searchParams.get('to')) : undefined,
+    });
+
+    return NextResponse.json({ session, [type]: events });
+  } catch (error) {
+    return NextResponse.json({
+      error: 'Ledger query failed',
+      message: error.message,
+    }, { status: 400 });
+  }
+}
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
-import { marketEngine } from '../../../lib/globals.js';
+import { marketEngine, balanceReconciler, getPauseReason } from '../../../lib/globals.js';
+import { sessionLLMUsage } from '../../../lib/simulation.js';
 
 /**
  * GET /api/market
@@ -21,6 +22,17 @@ export async function GET() {
     market: marketState,
     agents,
     history, // All ticks
+    balances: balanceReconciler?.lastReport || null, // Latest wallet reconciliation
+    paused: getPauseReason(), // Why trading is paused, or null
+    spending: marketEngine.spendingGuard?.getStatus() || null, // Session caps, usage and kill switch
+    llm_usage: sessionLLMUsage(marketEngine), // LLM tokens and cost this session (per agent: agents[].llm_usage)
+    pnl: marketEngine.positions.totals(agents), // Realized, unrealized and equity summed (per agent: agents[].position)
+    netting: {
+      mode: marketEngine.settlementMode,
+      window_ticks: marketEngine.netting.windowTicks,
+      positions: marketEngine.netting.openPositions(), // Fills not yet paid for
+      reports: marketEngine.netting.reports.slice(-10), // Latest settlement windows
+    },
     isRunning: true,
   });
 }
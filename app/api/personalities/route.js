@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { listPersonalities, getPromptTemplate, registerPersonality } from '../../../simulation/agents/index.js';
+
+/**
+ * GET /api/personalities
+ *   (no params)  → built-in classes and prompt templates
+ *   ?name=NAME   → one prompt template with its text
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const name = searchParams.get('name');
+
+  if (!name) {
+    return NextResponse.json({ personalities: listPersonalities() });
+  }
+
+  const template = getPromptTemplate(name);
+  if (!template) {
+    return NextResponse.json({
+      error: 'Personality not found',
+      message: `No prompt template named ${name}`,
+    }, { status: 404 });
+  }
+
+  return NextResponse.json(template);
+}
+
+/**
+ * POST /api/personalities
+ * Register a prompt-template personality; roster entries can use it on the next start
+ * Body: {
+ *   name: string,          // lowercase, letters/digits/_/- (built-in names are reserved)
+ *   template: string,      // system prompt with {{name}}, {{threshold}}, {{max_spend_percent}}, ...
+ *   description?: string,
+ *   save?: boolean,        // also write config/prompts/<name>.md so it survives a restart
+ * }
+ */
+export async function POST(request) {
+  const { name, template, description, save } = await request.json();
+
+  try {
+    const registered = registerPersonality(name, template, { description, save: save === true });
+    console.log(`🎭 Registered personality "${registered.name}" (${registered.source})`);
+    return NextResponse.json({ success: true, personality: registered });
+  } catch (error) {
+    return NextResponse.json({
+      error: 'Invalid personality',
+      message: error.message,
+    }, { status: 400 });
+  }
+}
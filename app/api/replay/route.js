@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { marketEngine, ledger } from '../../../lib/globals.js';
+import { replayRecording } from '../../../simulation/market/Replay.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/replay
+ * Returns the replay recording (seed, initial state, per-tick decisions) of the running simulation
+ */
+export async function GET() {
+  if (!marketEngine) {
+    return NextResponse.json({
+      error: 'Market not initialized',
+      message: 'Start the simulation first',
+    }, { status: 503 });
+  }
+
+  return NextResponse.json(marketEngine.getRecording());
+}
+
+/**
+ * POST /api/replay
+ * Re-runs a recording with simulated payments and checks every tick reproduces exactly
+ * Body: { recording: Recording, untilTick?: number } or { sessionId: string, untilTick?: number }
+ */
+export async function POST(request) {
+  const { recording: providedRecording, sessionId, untilTick } = await request.json();
+
+  if (!providedRecording && !sessionId) {
+    return NextResponse.json({
+      error: 'Invalid request',
+      message: 'Body must include a recording (see GET /api/replay) or a ledger sessionId',
+    }, { status: 400 });
+  }
+
+  try {
+    const recording = providedRecording || ledger.getRecording(sessionId);
+    if (!recording) {
+      return NextResponse.json({
+        error: 'Session not found',
+        message: `No replayable ledger session with ID ${sessionId}`,
+      }, { status: 404 });
+    }
+
+    console.log(`\n⏪ Replaying recording (seed ${recording.seed}, ${recording.ticks?.length || 0} ticks)...`);
+    const report = await replayRecording(recording, { untilTick });
+    console.log(`   ${report.matched ? '✅ Replay matched' : `❌ Replay diverged at tick ${report.mismatches[0].tick}`}\n`);
+
+    return NextResponse.json({
+      seed: report.seed,
+      ticks_replayed: report.ticks_replayed,
+      matched: report.matched,
+      mismatches: report.mismatches,
+      results: report.results,
+    });
+  } catch (error) {
+    console.error('❌ Replay failed:', error);
+    return NextResponse.json({
+      error: 'Replay failed',
+      message: error.message,
+    }, { status: 400 });
+  }
+}
@@ -0,0 +1,88 @@
+import { NextResponse } from 'next/server';
+import { settlementJournal, agents, marketEngine } from '../../../lib/globals.js';
+import { reconcileSettlements } from '../../../lib/simulation.js';
+
+const STATUSES = ['outstanding', 'pending', 'unresolved', 'settled', 'failed', 'all'];
+
+/**
+ * GET /api/settlements
+ * Query the settlement journal
+ *   (no params)              → outstanding entries (pending + unresolved) and counts per status
+ *   ?status=unresolved       → entries with a status (also: pending, settled, failed, all)
+ *   &agent=buyer_1&session=ID → optional filters
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const status = searchParams.get('status') || 'outstanding';
+
+  if (!STATUSES.includes(status)) {
+    return NextResponse.json({
+      error: 'Invalid status',
+      message: `status must be one of: ${STATUSES.join(', ')}`,
+    }, { status: 400 });
+  }
+
+  const settlements = settlementJournal.list({
+    status: status === 'all' ? undefined : status,
+    agentId: searchParams.get('agent') || undefined,
+    sessionId: searchParams.get('session') || undefined,
+  });
+
+  return NextResponse.json({ summary: settlementJournal.summary(), settlements });
+}
+
+/**
+ * POST /api/settlements
+ * Body: { action: 'resolve', id: string, status: 'settled' | 'failed', note?: string }
+ *         → close a pending/unresolved entry by hand after checking the wallet
+ *       { action: 'reconcile' }
+ *         → re-check outstanding entries against Locus history (needs a running simulation)
+ */
+export async function POST(request) {
+  const { action, id, status, note } = await request.json();
+
+  if (action === 'resolve') {
+    try {
+      const entry = settlementJournal.resolve(id, status, note);
+      console.log(`🧾 Settlement ${id} resolved manually as ${status}`);
+      return NextResponse.json(entry);
+    } catch (error) {
+      return NextResponse.json({
+        error: 'Resolve failed',
+        message: error.message,
+      }, { status: 400 });
+    }
+  }
+
+  if (action === 'reconcile') {
+    if (agents.length === 0) {
+      return NextResponse.json({
+        error: 'No simulation',
+        message: 'Reconciliation reads Locus history through the agents - start the simulation first',
+      }, { status: 503 });
+    }
+
+    // A tick's own payments are pending while it runs
+    if (marketEngine?.tickInProgress) {
+      return NextResponse.json({
+        error: 'Tick in progress',
+        message: 'Payments are in flight - try again between ticks',
+      }, { status: 409 });
+    }
+
+    try {
+      const result = await reconcileSettlements(agents);
+      return NextResponse.json({ reconciliation: result, summary: settlementJournal.summary() });
+    } catch (error) {
+      return NextResponse.json({
+        error: 'Reconcile failed',
+        message: error.message,
+      }, { status: 500 });
+    }
+  }
+
+  return NextResponse.json({
+    error: 'Invalid action',
+    message: 'Action must be "resolve" or "reconcile"',
+  }, { status: 400 });
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { snapshotStore } from '../../../lib/globals.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/snapshots
+ * List saved snapshots, newest first (resume one with POST /api/control { action: 'resume', name })
+ */
+export async function GET() {
+  try {
+    return NextResponse.json({ snapshots: snapshotStore.list() });
+  } catch (error) {
+    return NextResponse.json({
+      error: 'Snapshot listing failed',
+      message: error.message,
+    }, { status: 500 });
+  }
+}
@@ -9,6 +9,9 @@ export default function Home() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [completionMessage, setCompletionMessage] = useState(null);
+  const [forks, setForks] = useState([]);
+  const [selectedForkId, setSelectedForkId] = useState(null);
+  const [forkDetail, setForkDetail] = useState(null);
 
   // Fetch market data
   useEffect(() => {
@@ -54,6 +57,31 @@ export default function Home() {
     return () => clearInterval(interval);
   }, []); // Empty dependency array - only run once on mount
 
+  // Fetch what-if forks and the selected fork's price paths (latest fork by default)
+  useEffect(() => {
+    const fetchForks = async () => {
+      try {
+        const res = await fetch('/api/fork');
+        if (!res.ok) return;
+        const data = await res.json();
+        setForks(data.forks);
+
+        const forkId = selectedForkId || data.forks[0]?.id;
+        if (!forkId) return;
+        const detailRes = await fetch(`/api/fork?id=${forkId}`);
+        if (detailRes.ok) {
+          setForkDetail(await detailRes.json());
+        }
+      } catch (err) {
+        // Forks are optional
+      }
+    };
+
+    fetchForks();
+    const interval = setInterval(fetchForks, 5000);
+    return () => clearInterval(interval);
+  }, [selectedForkId]);
+
   // Handle start/stop
   const handleControl = async (action) => {
     // Prevent duplicate requests
@@ -91,7 +119,9 @@ export default function Home() {
         throw new Error(data.message || 'Failed to ' + action);
       }
 
-      setIsRunning(action === 'start');
+      if (action === 'start' || action === 'stop') {
+        setIsRunning(action === 'start');
+      }
       
       // For start action, wait a bit for first tick to complete
       if (action === 'start') {
@@ -144,6 +174,14 @@ export default function Home() {
             >
               ⏸️ Stop Trading
             </button>
+            <button
+              onClick={() => handleControl('halt')}
+              disabled={!isRunning || isLoading || !!market?.spending?.halted}
+              title="Kill switch: block every outgoing payment, keep state for inspection"
+              className="px-6 py-3 bg-gray-900 text-white rounded-lg hover:bg-black disabled:bg-gray-400 disabled:cursor-not-allowed font-semibold transition-colors"
+            >
+              🛑 Halt Payments
+            </button>
           </div>
         </div>
 
@@ -153,6 +191,48 @@ export default function Home() {
           </div>
         )}
 
+        {market?.spending?.halted && (
+          <div className="mb-6 p-4 bg-red-50 border-2 border-red-500 text-red-900 rounded-lg">
+            <div className="font-bold">🛑 Trading halted: {market.spending.halted.reason}</div>
+            <div className="text-sm">All outgoing payments are blocked. State is kept for inspection - stop the simulation to end the session.</div>
+          </div>
+        )}
+
+        {market?.paused && !market?.spending?.halted && (
+          <div className="mb-6 p-4 bg-yellow-50 border-2 border-yellow-400 text-yellow-900 rounded-lg flex items-center justify-between">
+            <span>⏸️ Trading paused: {market.paused}</span>
+            <button
+              onClick={() => handleControl('unpause')}
+              disabled={isLoading}
+              className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 disabled:bg-gray-400 font-semibold transition-colors"
+            >
+              ▶️ Unpause
+            </button>
+          </div>
+        )}
+
+        {market?.balances?.drifted && (
+          <div className="mb-6 p-4 bg-orange-50 border-2 border-orange-400 text-orange-900 rounded-lg">
+            <div className="font-bold mb-1">🏦 Wallet balance drift (checked at tick {market.balances.tick})</div>
+            {market.balances.wallets.filter(w => w.status === 'drift').map(w => (
+              <div key={w.wallet} className="text-sm">
+                {w.observed !== null && Math.abs(w.drift) > market.balances.tolerance && (
+                  <div>
+                    {w.name}: expected ${w.expected.toFixed(4)}, wallet has ${w.observed.toFixed(4)}{' '}
+                    ({w.drift >= 0 ? '+' : ''}{w.drift.toFixed(4)})
+                  </div>
+                )}
+                {Math.abs(w.books_drift ?? 0) > market.balances.tolerance && (
+                  <div>
+                    {w.name}: engine's books moved {w.books_drift >= 0 ? '+' : ''}{w.books_drift.toFixed(4)} more than the ledger's payments
+                    {w.observed === null && ' (wallet balance unavailable)'}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {completionMessage && (
           <div className="mb-6 p-6 bg-green-50 border-2 border-green-400 rounded-lg shadow-md">
             <div className="flex items-center gap-3 mb-3">
@@ -199,7 +279,11 @@ export default function Home() {
                 <div className="text-3xl font-bold text-gray-900">
                   ${market.market.current_price.toFixed(4)}
                 </div>
-                <div className="text-xs text-gray-400 mt-1">USDC per 🍎</div>
+                <div className="text-xs text-gray-400 mt-1">
+                  {market.market.bid_price !== undefined
+                    ? `bid $${market.market.bid_price.toFixed(4)} / ask $${market.market.ask_price.toFixed(4)}`
+                    : 'USDC per 🍎'}
+                </div>
               </div>
               
               <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
@@ -215,7 +299,9 @@ export default function Home() {
                 <div className="text-3xl font-bold text-green-600">
                   ${market.market.seller_revenue.toFixed(2)}
                 </div>
-                <div className="text-xs text-gray-400 mt-1">total USDC</div>
+                <div className="text-xs text-gray-400 mt-1">
+                  total USDC{market.market.treasury !== undefined && ` · 🏦 $${market.market.treasury.toFixed(4)} fees to treasury`}
+                </div>
               </div>
               
               <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
@@ -223,7 +309,9 @@ export default function Home() {
                 <div className="text-3xl font-bold text-purple-600">
                   #{market.market.tick}
                 </div>
-                <div className="text-xs text-gray-400 mt-1">current round</div>
+                <div className="text-xs text-gray-400 mt-1">
+                  current round{market.llm_usage?.calls > 0 && ` · 🤖 $${market.llm_usage.cost.toFixed(4)}${market.llm_usage.budget !== null ? ` of $${market.llm_usage.budget}` : ''} LLM`}
+                </div>
               </div>
             </div>
 
@@ -302,13 +390,44 @@ export default function Home() {
               </div>
             )}
 
+            {/* Order Book */}
+            {market.market.order_book && (
+              <div className="mb-8">
+                <h2 className="text-2xl font-bold mb-4 text-gray-900">📒 Order Book</h2>
+                <div className="grid grid-cols-2 gap-6">
+                  {[
+                    { title: 'Bids', levels: market.market.order_book.bids, color: 'text-green-600' },
+                    { title: 'Asks', levels: market.market.order_book.asks, color: 'text-red-600' },
+                  ].map((side) => (
+                    <div key={side.title} className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+                      <div className="text-gray-500 text-sm font-medium mb-3">{side.title}</div>
+                      {side.levels.length > 0 ? (
+                        <div className="space-y-1">
+                          {side.levels.map((level) => (
+                            <div key={level.price} className="flex justify-between text-sm">
+                              <span className={`font-bold ${side.color}`}>${level.price.toFixed(4)}</span>
+                              <span className="text-gray-700">{level.quantity} 🍎</span>
+                              <span className="text-gray-400">{level.orders} order{level.orders === 1 ? '' : 's'}</span>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <div className="text-sm text-gray-400 italic">No resting orders</div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Agents */}
             <div className="mb-8">
               <h2 className="text-2xl font-bold mb-4 text-gray-900">📊 Active Traders</h2>
               <div className="grid grid-cols-3 gap-6">
                 {market.agents.map((agent) => {
                   const lastAction = agent.history.actions.slice(-1)[0];
-                  const colorClass = personalityColors[agent.personality];
+                  const colorClass = personalityColors[agent.personality] || 'bg-purple-100 text-purple-800 border-purple-300';
+                  const unsettled = market.netting?.positions.find(p => p.agent_id === agent.id);
 
                   return (
                     <div
@@ -318,7 +437,7 @@ export default function Home() {
                       <div className="flex items-center justify-between mb-4">
                         <h3 className="text-xl font-bold text-gray-900">{agent.name}</h3>
                         <span className={`px-3 py-1 rounded-full text-xs font-bold ${colorClass}`}>
-                          {agent.personality.toUpperCase()}
+                          {agent.personality.toUpperCase()}{agent.decision_mode === 'rules' ? ' · RULES' : ''}
                         </span>
                       </div>
                       
@@ -327,6 +446,21 @@ export default function Home() {
                           <span className="text-gray-600">💰 Balance:</span>
                           <span className="font-bold">${agent.money.toFixed(2)}</span>
                         </div>
+                        {agent.balance_check?.status === 'unavailable' && (
+                          <div className="text-xs text-red-600" title={agent.balance_check.error}>
+                            ⚠️ Wallet balance unavailable - sitting out with $0
+                          </div>
+                        )}
+                        {agent.balance_check?.status === 'drift' && agent.balance_check.observed !== null && Math.abs(agent.balance_check.drift) > (market?.balances?.tolerance ?? 0) && (
+                          <div className="text-xs text-orange-600">
+                            ⚠️ Wallet holds ${agent.balance_check.observed.toFixed(4)} (drift {agent.balance_check.drift >= 0 ? '+' : ''}{agent.balance_check.drift.toFixed(4)})
+                          </div>
+                        )}
+                        {agent.balance_check?.status === 'drift' && Math.abs(agent.balance_check.books_drift ?? 0) > (market?.balances?.tolerance ?? 0) && (
+                          <div className="text-xs text-orange-600">
+                            ⚠️ Books drift {agent.balance_check.books_drift >= 0 ? '+' : ''}{agent.balance_check.books_drift.toFixed(4)} vs the ledger
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-600">🍎 Position:</span>
                           <span className="font-bold">{agent.inventory} 🍎</span>
@@ -339,14 +473,82 @@ export default function Home() {
                           <span className="text-gray-600">💵 Total Sold:</span>
                           <span className="font-bold text-green-600">${agent.long_term.total_revenue.toFixed(2)}</span>
                         </div>
-                        <div className="flex justify-between">
-                          <span className="text-gray-600">📈 Net P&L:</span>
+                        {agent.long_term.total_fees > 0 && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">🏦 Fees Paid:</span>
+                            <span className="font-bold text-gray-700">${agent.long_term.total_fees.toFixed(4)}</span>
+                          </div>
+                        )}
+                        {unsettled && (
+                          <div className="flex justify-between" title={`${unsettled.fills} fills since tick ${unsettled.from_tick}, settled when the window closes`}>
+                            <span className="text-gray-600">🧮 Unsettled:</span>
+                            <span className="font-bold text-gray-700">
+                              {unsettled.net >= 0 ? 'owes' : 'owed'} ${Math.abs(unsettled.net).toFixed(4)}
+                            </span>
+                          </div>
+                        )}
+                        {agent.decision_stats?.parse_failures > 0 && (
+                          <div className="text-xs text-orange-600" title={agent.decision_stats.last_error
+                            ? `Tick ${agent.decision_stats.last_error.tick}: ${agent.decision_stats.last_error.error}`
+                            : undefined}>
+                            ⚠️ {agent.decision_stats.parse_failures} invalid replies ({agent.decision_stats.retries} retried, {agent.decision_stats.fallbacks} fell back to wait)
+                          </div>
+                        )}
+                        {agent.risk_state?.cooldown_until_tick >= market.market.tick + 1 && (
+                          <div className="text-xs text-red-700">
+                            🛡️ Cooling down until tick {agent.risk_state.cooldown_until_tick}
+                          </div>
+                        )}
+                        {agent.llm_usage?.calls > 0 && (
+                          <div className="flex justify-between" title={`${agent.llm_usage.calls} calls · ${agent.llm_usage.input_tokens} in / ${agent.llm_usage.output_tokens} out tokens${agent.llm_usage.unpriced_calls > 0 ? ` · ${agent.llm_usage.unpriced_calls} unpriced` : ''}`}>
+                            <span className="text-gray-600">🤖 LLM Cost:</span>
+                            <span className="font-bold text-gray-700">${agent.llm_usage.cost.toFixed(4)}</span>
+                          </div>
+                        )}
+                        {agent.rule_deviation?.ticks > 0 && (
+                          <div className="flex justify-between" title={agent.rule_deviation.last && !agent.rule_deviation.last.action_match
+                            ? `Tick ${agent.rule_deviation.last.tick}: rules said ${agent.rule_deviation.last.rules.action} ${agent.rule_deviation.last.rules.quantity}`
+                            : 'Share of ticks where the LLM chose the action its written rules call for'}>
+                            <span className="text-gray-600">📐 Follows Rules:</span>
+                            <span className="font-bold text-gray-700">
+                              {(agent.rule_deviation.action_matches / agent.rule_deviation.ticks * 100).toFixed(0)}% of {agent.rule_deviation.ticks}
+                            </span>
+                          </div>
+                        )}
+                        <div className="flex justify-between" title="Sales against the cost of the lots they closed">
+                          <span className="text-gray-600">📈 Realized P&L:</span>
                           <span className={`font-bold ${agent.long_term.realized_profit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                            {agent.long_term.realized_profit >= 0 ? '+' : ''}${agent.long_term.realized_profit.toFixed(2)}
+                            {agent.long_term.realized_profit >= 0 ? '+' : '-'}${Math.abs(agent.long_term.realized_profit).toFixed(4)}
                           </span>
                         </div>
+                        {agent.position && (
+                          <div className="flex justify-between" title={`${agent.position.lots.length} open lot${agent.position.lots.length === 1 ? '' : 's'} costing $${agent.position.open_cost.toFixed(4)}, marked at the current price`}>
+                            <span className="text-gray-600">📉 Unrealized P&L:</span>
+                            <span className={`font-bold ${agent.position.unrealized_pnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                              {agent.position.unrealized_pnl >= 0 ? '+' : '-'}${Math.abs(agent.position.unrealized_pnl).toFixed(4)}
+                            </span>
+                          </div>
+                        )}
+                        {agent.position?.equity !== null && agent.position?.equity !== undefined && (
+                          <div className="flex justify-between" title="Balance plus apples at the current price">
+                            <span className="text-gray-600">💼 Equity:</span>
+                            <span className="font-bold">${agent.position.equity.toFixed(2)}</span>
+                          </div>
+                        )}
+                        {agent.position?.equity_history.length > 1 && (
+                          <ResponsiveContainer width="100%" height={48}>
+                            <LineChart data={agent.position.equity_history}>
+                              <YAxis hide domain={['auto', 'auto']} />
+                              <Tooltip
+                                formatter={(value) => [`$${value.toFixed(4)}`, 'Equity']}
+                                labelFormatter={(_, points) => `Tick ${points?.[0]?.payload.tick ?? ''}`}
+                              />
+                              <Line type="monotone" dataKey="equity" stroke="#2563eb" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                            </LineChart>
+                          </ResponsiveContainer>
+                        )}
                         <div className="flex justify-between">
-                          <span className="text-gray-600">📊 Avg Entry:</span>
+                          <span className="text-gray-600">📊 Avg Cost ({(agent.position?.method || 'fifo').toUpperCase()}):</span>
                           <span className="font-bold">
                             ${agent.long_term.avg_purchase_price > 0 
                               ? agent.long_term.avg_purchase_price.toFixed(4) 
@@ -363,6 +565,8 @@ export default function Home() {
                               ? `✅ Bought ${lastAction.qty} 🍎` 
                               : lastAction.action === 'sell'
                               ? `💰 Sold ${lastAction.qty} 🍎`
+                              : lastAction.order
+                              ? `📝 Limit ${lastAction.order.side} ${lastAction.order.quantity} 🍎 @ $${lastAction.order.price.toFixed(4)}`
                               : '⏸️ Waited'}
                           </div>
                           <div className="text-xs text-gray-600 mt-1 italic">
@@ -370,6 +574,12 @@ export default function Home() {
                           </div>
                         </div>
                       )}
+
+                      {agent.memory?.reflections?.length > 0 && (
+                        <div className="mt-3 text-xs text-gray-600 italic" title={`Reflection on ticks ${agent.memory.reflections.at(-1).from_tick}-${agent.memory.reflections.at(-1).to_tick}`}>
+                          🧠 {agent.memory.reflections.at(-1).lesson}
+                        </div>
+                      )}
                     </div>
                   );
                 })}
@@ -390,6 +600,19 @@ export default function Home() {
                             Spot: ${tick.price_before.toFixed(4)} → ${tick.price_after.toFixed(4)}
                           </div>
                         </div>
+                        {tick.allocation?.scarce && (
+                          <div className="text-xs text-orange-600 mb-1">
+                            ⚖️ Inventory short ({tick.allocation.available} 🍎) - {tick.allocation.policy} allocation:{' '}
+                            {Object.entries(tick.allocation.allocated)
+                              .map(([agentId, qty]) => `${agentId} ${qty}/${tick.allocation.requested[agentId]}`)
+                              .join(', ')}
+                          </div>
+                        )}
+                        {tick.risk_overrides?.map((override) => (
+                          <div key={`${override.agent_id}-${override.rule}`} className="text-xs text-red-700 mb-1">
+                            🛡️ {override.agent_id}: {override.reason} ({override.requested.action} {override.requested.quantity} → {override.applied.action} {override.applied.quantity})
+                          </div>
+                        ))}
                         {tick.executed_transactions.length > 0 ? (
                           <div className="space-y-1">
                             {tick.executed_transactions.map((tx) => (
@@ -410,6 +633,17 @@ export default function Home() {
                                     </>
                                   )}
                                 </div>
+                                {tx.slippage_pct !== undefined && Math.abs(tx.slippage_pct) >= 0.01 && (
+                                  <div className="text-xs text-gray-500 ml-4 mt-0.5">
+                                    Avg fill ${tx.avg_fill_price.toFixed(4)} vs quoted ${tx.quoted_price.toFixed(4)}{' '}
+                                    ({tx.slippage_pct >= 0 ? '+' : ''}{tx.slippage_pct.toFixed(2)}%)
+                                  </div>
+                                )}
+                                {tx.fee > 0 && (
+                                  <div className="text-xs text-gray-500 ml-4 mt-0.5">
+                                    🏦 {tx.liquidity} fee ${tx.fee.toFixed(4)} · net ${tx.net_amount.toFixed(4)}
+                                  </div>
+                                )}
                                 {tx.note && (
                                   <div className="text-xs text-gray-500 italic ml-4 mt-0.5">
                                     "{tx.note}"
@@ -435,6 +669,92 @@ export default function Home() {
           </>
         )}
 
+        {/* What-If Forks */}
+        {forks.length > 0 && forkDetail && (
+          <div className="mt-8 mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-900">🔀 What-If Forks</h2>
+              <select
+                value={forkDetail.id}
+                onChange={(e) => setSelectedForkId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              >
+                {forks.map((fork) => (
+                  <option key={fork.id} value={fork.id}>
+                    Fork {fork.id.substring(0, 8)} @ tick {fork.from_tick} ({fork.status})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+              <div className="text-sm text-gray-600 mb-4">
+                <span className="font-semibold">Session {forkDetail.source_session_id.substring(0, 8)}</span>
+                {' '}forked after tick {forkDetail.from_tick} · {forkDetail.ticks_run}/{forkDetail.ticks_requested} ticks · {forkDetail.status}
+                {!forkDetail.replay_matched && (
+                  <span className="text-orange-600 ml-2">⚠️ Replay diverged before the fork point</span>
+                )}
+                {forkDetail.error && <span className="text-red-600 ml-2">❌ {forkDetail.error}</span>}
+                <div className="font-mono text-xs text-gray-500 mt-1">
+                  {JSON.stringify(forkDetail.overrides)}
+                </div>
+              </div>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart
+                  data={(() => {
+                    // Merge both paths by tick so the lines share one axis
+                    const byTick = new Map();
+                    for (const p of forkDetail.original_prices) {
+                      byTick.set(p.tick, { tick: p.tick, original: p.price });
+                    }
+                    for (const p of forkDetail.fork_prices) {
+                      byTick.set(p.tick, { ...byTick.get(p.tick), tick: p.tick, fork: p.price });
+                    }
+                    return Array.from(byTick.values()).sort((a, b) => a.tick - b.tick);
+                  })()}
+                  margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis 
+                    dataKey="tick" 
+                    label={{ value: 'Trading Round', position: 'insideBottom', offset: -5 }}
+                    stroke="#6b7280"
+                  />
+                  <YAxis 
+                    label={{ value: 'Price (USDC)', angle: -90, position: 'insideLeft' }}
+                    stroke="#6b7280"
+                    tickFormatter={(value) => `$${value.toFixed(4)}`}
+                  />
+                  <Tooltip 
+                    formatter={(value, name) => [`$${value.toFixed(4)}`, name === 'fork' ? 'Fork' : 'Original']}
+                    labelFormatter={(label) => `Round ${label}`}
+                  />
+                  <Line 
+                    type="monotone" 
+                    dataKey="original" 
+                    stroke="#3b82f6" 
+                    strokeWidth={2}
+                    dot={{ fill: '#3b82f6', r: 2 }}
+                    connectNulls
+                  />
+                  <Line 
+                    type="monotone" 
+                    dataKey="fork" 
+                    stroke="#f97316" 
+                    strokeWidth={2}
+                    strokeDasharray="5 3"
+                    dot={{ fill: '#f97316', r: 2 }}
+                    connectNulls
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+              <div className="mt-4 flex justify-center gap-6 text-sm">
+                <span className="text-blue-600 font-semibold">━ Original</span>
+                <span className="text-orange-500 font-semibold">┅ Fork</span>
+              </div>
+            </div>
+          </div>
+        )}
+
         {!market && isLoading && (
           <div className="bg-white rounded-lg shadow-md border border-gray-200 p-12 text-center">
             <div className="text-6xl mb-4 animate-bounce">🍎</div>
@@ -3,6 +3,24 @@
  * Shared across API routes
  */
 
+import path from 'path';
+import { Ledger } from '../simulation/ledger/Ledger.js';
+import { SnapshotStore } from '../simulation/ledger/SnapshotStore.js';
+import { SettlementJournal } from '../simulation/settlement/SettlementJournal.js';
+
+// Persistent ledger - survives stop/start and process restarts
+export const ledger = new Ledger(process.env.LEDGER_DIR || path.join(process.cwd(), 'data', 'ledger'));
+
+// Saved simulation snapshots for resuming after a restart
+export const snapshotStore = new SnapshotStore(process.env.SNAPSHOT_DIR || path.join(process.cwd(), 'data', 'snapshots'));
+
+// Two-phase journal of real payments - pending entries survive a crash and are reconciled on start
+export const settlementJournal = new SettlementJournal(process.env.SETTLEMENT_DIR || path.join(process.cwd(), 'data', 'settlements'));
+
+// What-if forks by ID (in memory only)
+/** @type {Map<string, import('../simulation/market/Fork.js').Fork>} */
+export const forks = new Map();
+
 // Store market engine instance
 export let marketEngine = null;
 
@@ -18,6 +36,13 @@ let _isSimulationRunning = false;
 // Lock to prevent concurrent simulation starts
 let _isStarting = false;
 
+// Why trading is paused (null while trading) - the tick loop keeps running but skips ticks
+let _pauseReason = null;
+
+// Wallet balance reconciliation for the running simulation
+/** @type {import('../simulation/settlement/BalanceReconciler.js').BalanceReconciler | null} */
+export let balanceReconciler = null;
+
 // Getter for simulation running state
 export function isSimulationRunning() {
   return _isSimulationRunning;
@@ -34,6 +59,28 @@ export function setStarting(value) {
   _isStarting = value;
 }
 
+// Reason trading is paused, or null
+export function getPauseReason() {
+  return _pauseReason;
+}
+
+/**
+ * Pause or unpause trading
+ * @param {string | null} reason - Why trading is paused (null to unpause)
+ */
+export function setPauseReason(reason) {
+  console.log(reason ? `⏸️  Pausing trading: ${reason}` : '▶️  Unpausing trading');
+  _pauseReason = reason;
+}
+
+/**
+ * Set the balance reconciler
+ * @param {import('../simulation/settlement/BalanceReconciler.js').BalanceReconciler | null} reconciler
+ */
+export function setBalanceReconciler(reconciler) {
+  balanceReconciler = reconciler;
+}
+
 // Store event listeners for SSE
 export const eventListeners = new Set();
 
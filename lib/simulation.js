@@ -0,0 +1,375 @@
+import {
+  marketEngine,
+  agents,
+  setMarketEngine,
+  setAgents,
+  setSimulationInterval,
+  clearSimulationInterval,
+  isSimulationRunning,
+  setSimulationRunning,
+  broadcastEvent,
+  snapshotStore,
+  settlementJournal,
+  balanceReconciler,
+  setBalanceReconciler,
+  getPauseReason,
+  setPauseReason,
+} from './globals.js';
+import { parseRemainingBalance } from '../simulation/payments/balance.js';
+import { hasMemoTag } from '../simulation/payments/PaymentAdapter.js';
+import { sumUsage } from '../simulation/llm/index.js';
+
+/**
+ * Simulation lifecycle helpers shared by the control routes
+ */
+
+/**
+ * Fetch each agent's real wallet balance into its state
+ * An agent whose balance can't be read gets $0 (so it sits the session out) and is
+ * marked 'unavailable' in balance_check - never a made-up balance.
+ * @param {Array} allAgents - Initialized agent instances
+ * @returns {Promise<void>}
+ */
+export async function loadBalances(allAgents) {
+  console.log('💰 Fetching actual balances from agent wallets...');
+  for (const agent of allAgents) {
+    const state = agent.getState();
+    let balance = null;
+    let error;
+    try {
+      const contextResult = await agent.wallet.getPaymentContext();
+      balance = parseRemainingBalance(contextResult);
+      if (balance === null) {
+        error = `Could not parse balance from response: ${contextResult.substring(0, 100)}`;
+      }
+    } catch (fetchError) {
+      error = fetchError.message;
+    }
+
+    if (balance !== null) {
+      state.money = balance;
+      state.balance_check = { status: 'verified', observed: balance, expected: balance, drift: 0, checked_at: new Date() };
+      console.log(`   ✓ ${state.name}: $${balance.toFixed(4)} USDC`);
+    } else {
+      state.money = 0;
+      state.balance_check = { status: 'unavailable', observed: null, expected: null, drift: null, error, checked_at: new Date() };
+      console.error(`   ❌ ${state.name}: balance unavailable (${error})`);
+      console.log(`   ⚠️  ${state.name} starts with $0 and will not buy this session`);
+    }
+  }
+  console.log('✅ Balances loaded!\n');
+}
+
+/**
+ * Reconcile payments left pending (or unresolved) by an earlier run against Locus history
+ * Buys are looked up in the agent's wallet, sales in the merchant's. Matches are found
+ * by the settlement reference that was written into the payment memo.
+ * @param {Array} allAgents - Initialized agent instances
+ * @returns {Promise<{ checked: number, settled: number, unresolved: number } | null>} null if skipped
+ */
+export async function reconcileSettlements(allAgents) {
+  if (settlementJournal.list({ status: 'outstanding' }).length === 0) return null;
+  if (allAgents.every(agent => agent.isDevMode())) {
+    console.log('⚠️  Outstanding settlements found - skipping reconciliation with simulated payments');
+    return null;
+  }
+
+  console.log('🧾 Reconciling outstanding settlements against payment history...');
+
+  // One history read per wallet
+  const histories = new Map();
+  const readHistory = async (wallet) => {
+    if (!histories.has(wallet.address)) {
+      histories.set(wallet.address, await wallet.getPaymentContext());
+    }
+    return histories.get(wallet.address);
+  };
+
+  const result = await settlementJournal.reconcile(async (entry) => {
+    const agent = allAgents.find(a => a.getState().id === entry.agent_id);
+    if (!agent) {
+      throw new Error(`agent ${entry.agent_id} is not in the current roster`);
+    }
+    // Buys are paid from the agent's wallet, sales from the merchant's
+    const wallet = entry.action === 'buy' ? agent.wallet : agent.merchantWallet;
+    if (!wallet) {
+      throw new Error('merchant wallet not connected');
+    }
+    const history = await readHistory(wallet);
+    const line = history.split('\n').find(l => hasMemoTag(l, entry.reference));
+    return line ? line.trim() : null;
+  });
+
+  console.log(`   ✓ ${result.checked} checked: ${result.settled} settled from history, ${result.unresolved} unresolved`);
+  if (result.unresolved > 0) {
+    console.log('   ⚠️  Review unresolved payments at /api/settlements');
+  }
+  return result;
+}
+
+/**
+ * Save a snapshot of the engine
+ * @param {import('../simulation/market/MarketEngine.js').MarketEngine} engine
+ * @param {string} [name] - Snapshot name (default: session ID and tick)
+ * @returns {string} Name the snapshot was saved under
+ */
+export function saveSnapshot(engine, name) {
+  const snapshotName = name || `${engine.sessionId}-tick-${engine.marketState.tick}`;
+  snapshotStore.save(snapshotName, engine.toSnapshot());
+  console.log(`   💾 Snapshot saved: ${snapshotName}`);
+  return snapshotName;
+}
+
+/**
+ * Stop the tick loop and release the engine and agents (the ledger keeps the session)
+ * @param {string} reason - Why the session ended
+ */
+export function teardownSimulation(reason) {
+  clearSimulationInterval();
+  marketEngine?.endSession(reason);
+  setMarketEngine(null);
+  setAgents([]);
+  setBalanceReconciler(null);
+  if (getPauseReason()) setPauseReason(null);
+}
+
+/**
+ * Close the engine's netting window and broadcast the report
+ * Waits for a running tick to finish first. Errors are logged - unsettled positions stay
+ * open and settle with the next window.
+ * @param {import('../simulation/market/MarketEngine.js').MarketEngine} engine
+ * @param {'window' | 'session_end'} reason
+ * @returns {Promise<import('../simulation/types/index.js').SettlementWindowReport | null>}
+ */
+export async function settleNettingWindow(engine, reason) {
+  while (engine.tickInProgress) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  try {
+    const report = await engine.settleNettedPositions(reason);
+    if (report) {
+      broadcastEvent({ type: 'settlement_window', report });
+    }
+    return report;
+  } catch (error) {
+    console.error('   ❌ Netting window settlement failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Re-read wallet balances and alert on drift
+ * @param {number} tick - Tick just completed
+ * @returns {Promise<void>}
+ */
+async function checkBalances(tick) {
+  console.log(`\n🏦 Reconciling wallet balances (tick ${tick})...`);
+  const report = await balanceReconciler.check();
+  if (!report.drifted) {
+    console.log('   ✓ Balances match');
+    return;
+  }
+
+  const pause = process.env.PAUSE_ON_BALANCE_DRIFT === 'true';
+  if (pause) {
+    setPauseReason(`Balance drift detected at tick ${tick}`);
+  }
+  broadcastEvent({
+    type: 'balance_drift',
+    tick,
+    paused: pause,
+    report,
+  });
+}
+
+/**
+ * Session LLM usage across an engine's agents, with the budget
+ * @param {import('../simulation/market/MarketEngine.js').MarketEngine} engine
+ * @returns {import('../simulation/types/index.js').LLMUsage & { budget: number | null }} budget is null when unlimited
+ */
+export function sessionLLMUsage(engine) {
+  const budget = parseFloat(process.env.LLM_BUDGET_USD || '0');
+  return { ...sumUsage(engine.getAgents()), budget: budget > 0 ? budget : null };
+}
+
+/**
+ * Run the tick loop for an engine until it is stopped or completes
+ * @param {import('../simulation/market/MarketEngine.js').MarketEngine} engine
+ */
+export function startTickLoop(engine) {
+  const tickMs = parseInt(process.env.SIMULATION_TICK_MS || '5000');
+  console.log(`      ⏰ Starting tick loop (every ${tickMs}ms)...\n`);
+  
+  // Set running flag
+  setSimulationRunning(true);
+
+  // Use recursive setTimeout instead of setInterval to prevent overlap
+  const scheduleNextTick = async () => {
+    // Paused: keep the loop alive but don't trade
+    if (getPauseReason() && isSimulationRunning() && marketEngine === engine) {
+      console.log(`⏸️  Trading paused (${getPauseReason()}) - skipping tick`);
+      setSimulationInterval(setTimeout(scheduleNextTick, tickMs));
+      return;
+    }
+
+    try {
+      // CRITICAL: Check if simulation should still be running BEFORE doing anything
+      // This prevents zombie intervals from continuing after stop
+      if (!isSimulationRunning()) {
+        console.log('⏹️  Simulation stopped, exiting tick callback...');
+        return;
+      }
+      
+      // CRITICAL: Check if THIS engine is still the CURRENT engine
+      // This prevents zombie intervals from duplicate starts
+      if (!marketEngine || marketEngine !== engine) {
+        console.log('⏹️  Stale interval detected (engine mismatch), exiting...');
+        return;
+      }
+      
+      const marketState = marketEngine.getMarketState();
+      
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`📈 TICK ${marketState.tick + 1} - Price: $${marketState.current_price.toFixed(4)}`);
+      console.log(`${'='.repeat(60)}`);
+      
+      // Get decisions from all agents (and how each was made, for the audit trail)
+      const decisions = {};
+      const audits = {};
+      const currentAgents = agents; // Get current agents from global
+      
+      if (currentAgents.length === 0) {
+        console.log('⏹️  No agents available, exiting tick callback...');
+        return;
+      }
+      
+      for (const agent of currentAgents) {
+        // Check running state before EACH agent decision
+        if (!isSimulationRunning()) {
+          console.log('⏹️  Simulation stopped during agent decisions, exiting...');
+          return;
+        }
+        
+        // A stop-loss or take-profit exit replaces the decision anyway - don't pay for one
+        const exit = marketEngine.risk.exitFor(agent.getState(), marketState.bid_price);
+        if (exit) {
+          console.log(`   🛡️  ${agent.getState().name}: ${exit.reason} - not asking the LLM`);
+          decisions[agent.getState().id] = { action: 'wait', quantity: 0, note: `${exit.reason} (risk exit)` };
+          continue;
+        }
+
+        const decision = await agent.makeDecision(marketState);
+        decisions[agent.getState().id] = decision;
+        if (agent.lastDecisionAudit) {
+          audits[agent.getState().id] = agent.lastDecisionAudit;
+        }
+      }
+      
+      // Final check before executing tick
+      if (!isSimulationRunning() || !marketEngine) {
+        console.log('⏹️  Simulation stopped before tick execution, exiting...');
+        return;
+      }
+
+      // Execute tick using global engine
+      const result = await marketEngine.executeTick(decisions, audits);
+      
+      console.log(`\n💰 Results:`);
+      console.log(`   Price: $${result.price_before.toFixed(4)} → $${result.price_after.toFixed(4)}`);
+      console.log(`   Transactions: ${result.executed_transactions.length}`);
+      console.log(`   Inventory: ${result.market_state.seller_inventory} apples`);
+      console.log(`${'='.repeat(60)}\n`);
+
+      // Netted settlement: pay each agent's net position once per window
+      if (engine.netting.isWindowDue(result.tick)) {
+        await settleNettingWindow(engine, 'window');
+      }
+
+      // Periodic auto-snapshot so long runs survive restarts
+      const snapshotEvery = parseInt(process.env.SNAPSHOT_EVERY_TICKS || '0');
+      if (snapshotEvery > 0 && result.tick % snapshotEvery === 0) {
+        try {
+          saveSnapshot(engine, `${engine.sessionId}-auto`);
+        } catch (error) {
+          console.error('   ❌ Auto-snapshot failed:', error.message);
+        }
+      }
+
+      // Periodic wallet reconciliation against the engine's books
+      const balanceEvery = parseInt(process.env.BALANCE_CHECK_EVERY_TICKS || '10');
+      if (balanceReconciler && balanceEvery > 0 && result.tick % balanceEvery === 0) {
+        try {
+          await checkBalances(result.tick);
+        } catch (error) {
+          console.error('   ❌ Balance reconciliation failed:', error.message);
+        }
+      }
+
+      const llmUsage = sessionLLMUsage(engine);
+
+      // Broadcast to SSE clients
+      broadcastEvent({
+        type: 'tick',
+        tick: result.tick,
+        market: result.market_state,
+        agents: marketEngine.getAgents(),
+        transactions: result.executed_transactions,
+        llm_usage: llmUsage,
+      });
+
+      // Check if simulation should stop
+      const maxTicks = parseInt(process.env.MAX_TICKS || '0');
+      const endReason = result.market_state.seller_inventory <= 0 ? 'inventory_depleted'
+        : maxTicks > 0 && result.tick >= maxTicks ? 'max_ticks_reached'
+        : llmUsage.budget !== null && llmUsage.cost >= llmUsage.budget ? 'llm_budget_exceeded'
+        : null;
+      
+      if (endReason) {
+        const reason = {
+          inventory_depleted: 'All inventory sold out!',
+          max_ticks_reached: `Maximum ticks (${maxTicks}) reached!`,
+          llm_budget_exceeded: `LLM budget ($${llmUsage.budget}) spent!`,
+        }[endReason];
+        
+        console.log(`\n🎉 SIMULATION COMPLETE - ${reason}`);
+        console.log(`📊 Final Statistics:`);
+        console.log(`   Total Ticks: ${result.tick}`);
+        console.log(`   Total Revenue: $${result.market_state.seller_revenue.toFixed(2)}`);
+        console.log(`   Final Price: $${result.market_state.current_price.toFixed(4)}`);
+        console.log(`   Remaining Inventory: ${result.market_state.seller_inventory} apples`);
+        console.log(`   LLM Cost: $${llmUsage.cost.toFixed(4)} (${llmUsage.input_tokens + llmUsage.output_tokens} tokens, ${llmUsage.calls} calls)`);
+        console.log(`${'='.repeat(60)}\n`);
+        
+        // Stop simulation (recursive setTimeout will not schedule next tick)
+        setSimulationRunning(false);
+        await settleNettingWindow(engine, 'session_end');
+        teardownSimulation(endReason);
+        
+        // Broadcast simulation ended event
+        broadcastEvent({
+          type: 'simulation_ended',
+          reason: endReason,
+          final_tick: result.tick,
+          final_revenue: result.market_state.seller_revenue,
+          final_price: result.market_state.current_price,
+          remaining_inventory: result.market_state.seller_inventory,
+          llm_usage: llmUsage,
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Simulation tick error:', error);
+    }
+    
+    // Schedule next tick AFTER this one completes (recursive setTimeout)
+    // Only schedule if simulation is still running
+    if (isSimulationRunning()) {
+      const timeoutId = setTimeout(scheduleNextTick, tickMs);
+      setSimulationInterval(timeoutId);
+    }
+  };
+
+  // Start the first tick
+  const initialTimeout = setTimeout(scheduleNextTick, tickMs);
+  setSimulationInterval(initialTimeout);
+}
@@ -0,0 +1,20 @@
+/**
+ * Run the local Locus MCP stand-in
+ * Usage: npm run locus:local, then start the app with PAYMENT_ADAPTER=local_mcp
+ */
+import { startLocalLocusServer } from '../simulation/payments/LocalLocusServer.js';
+import { WalletLedger, walletAddress } from '../simulation/payments/index.js';
+
+const port = parseInt(process.env.LOCAL_LOCUS_PORT || '3333');
+const walletBalance = parseFloat(process.env.SIMULATED_WALLET_BALANCE || '10');
+const merchantBalance = parseFloat(process.env.SIMULATED_MERCHANT_BALANCE || '1000');
+const merchantAddress = walletAddress('MERCHANT_WALLET_ADDRESS', 'local_mcp');
+
+await startLocalLocusServer({
+  walletLedger: new WalletLedger(),
+  port,
+  openingBalance: address => address === merchantAddress ? merchantBalance : walletBalance,
+});
+
+console.log(`🏦 Local Locus stand-in listening on http://localhost:${port}/mcp`);
+console.log(`   New wallets open with $${walletBalance} USDC (merchant: $${merchantBalance})`);
@@ -0,0 +1,242 @@
+/**
+ * AgentMemory - What an agent remembers beyond the last 10 ticks of history
+ *
+ * The market engine keeps only the last 10 prices and actions per agent. AgentMemory watches
+ * those as they go by and keeps, in state.memory (so snapshots and forks carry it along):
+ *
+ *   events      - key moments: fills (with realized P&L for sales), big price moves, new highs/lows
+ *   reflections - one compact summary per N-tick window: what was traded, what it made or lost,
+ *                 and a short lesson
+ *
+ * Both are bounded (oldest dropped first). recall() picks the ones relevant to the current
+ * price for the agent's prompt.
+ */
+export class AgentMemory {
+  /**
+   * @param {import('../types/index.js').AgentState} state - Agent state (memory lives in state.memory)
+   * @param {Object} [options]
+   * @param {number} [options.reflectEvery] - Ticks per reflection (default: MEMORY_REFLECT_EVERY env or 10, 0 = off)
+   * @param {number} [options.maxReflections] - Reflections kept (default: MEMORY_MAX_REFLECTIONS env or 20)
+   * @param {number} [options.maxEvents] - Key events kept (default: MEMORY_MAX_EVENTS env or 50)
+   */
+  constructor(state, options = {}) {
+    this.state = state;
+    this.reflectEvery = options.reflectEvery ?? parseInt(process.env.MEMORY_REFLECT_EVERY || '10');
+    this.maxReflections = options.maxReflections ?? parseInt(process.env.MEMORY_MAX_REFLECTIONS || '20');
+    this.maxEvents = options.maxEvents ?? parseInt(process.env.MEMORY_MAX_EVENTS || '50');
+  }
+
+  /**
+   * The stored memory (created on first use)
+   * @returns {import('../types/index.js').AgentMemoryState}
+   */
+  get data() {
+    if (!this.state.memory) {
+      this.state.memory = {
+        reflections: [],
+        events: [],
+        window: null,
+        last_observed_tick: this.state.history.last_tick_seen,
+        last_reflection_tick: this.state.history.last_tick_seen,
+        last_price: null,
+        session_high: null,
+        session_low: null,
+      };
+    }
+    return this.state.memory;
+  }
+
+  /**
+   * Take in everything that happened since the last call
+   * Call before each decision, while the engine's history still holds the recent ticks.
+   * @param {import('../types/index.js').MarketState} marketState
+   */
+  observe(marketState) {
+    const memory = this.data;
+    const price = marketState.current_price;
+    const window = memory.window || (memory.window = {
+      from_tick: memory.last_reflection_tick + 1,
+      price_open: memory.last_price ?? price,
+      price_high: price,
+      price_low: price,
+      bought: 0,
+      spent: 0,
+      sold: 0,
+      revenue: 0,
+      realized: 0,
+    });
+
+    // Fills since the last observation (one tick, normally)
+    // A sale's profit is measured against the cost of the lots it closed
+    const fresh = this.state.history.actions.filter(a => a.tick > memory.last_observed_tick);
+    for (const action of fresh) {
+      if (action.action === 'buy') {
+        window.bought += action.qty;
+        window.spent += action.qty * action.price;
+        this.addEvent({ tick: action.tick, type: 'buy', qty: action.qty, price: action.price });
+      } else if (action.action === 'sell') {
+        const realized = action.realized ?? 0;
+        window.sold += action.qty;
+        window.revenue += action.qty * action.price;
+        window.realized += realized;
+        this.addEvent({ tick: action.tick, type: 'sell', qty: action.qty, price: action.price, realized });
+      }
+    }
+
+    // Price moves worth remembering
+    if (memory.last_price !== null) {
+      const move = (price - memory.last_price) / memory.last_price;
+      if (Math.abs(move) >= 0.05) {
+        this.addEvent({ tick: marketState.tick, type: 'price_move', price, move });
+      }
+    }
+    // Early on nearly every tick is a new high or low - only remember them once the range means something
+    const rangeSettled = marketState.tick > 10;
+    if (memory.session_high === null || price > memory.session_high) {
+      if (memory.session_high !== null && rangeSettled) this.addEvent({ tick: marketState.tick, type: 'new_high', price });
+      memory.session_high = price;
+    }
+    if (memory.session_low === null || price < memory.session_low) {
+      if (memory.session_low !== null && rangeSettled) this.addEvent({ tick: marketState.tick, type: 'new_low', price });
+      memory.session_low = price;
+    }
+
+    window.price_high = Math.max(window.price_high, price);
+    window.price_low = Math.min(window.price_low, price);
+    memory.last_price = price;
+    memory.last_observed_tick = marketState.tick;
+  }
+
+  /**
+   * @param {import('../types/index.js').MemoryEvent} event
+   */
+  addEvent(event) {
+    const memory = this.data;
+    memory.events.push(event);
+    if (memory.events.length > this.maxEvents) {
+      memory.events = memory.events.slice(-this.maxEvents);
+    }
+  }
+
+  /**
+   * Whether a reflection is due after this tick
+   * @param {number} tick - Last completed tick
+   * @returns {boolean}
+   */
+  isReflectionDue(tick) {
+    return this.reflectEvery > 0 && tick > 0 && tick % this.reflectEvery === 0 && this.data.last_reflection_tick < tick;
+  }
+
+  /**
+   * Close the current window into a reflection
+   * @param {import('../types/index.js').MarketState} marketState
+   * @param {(reflection: import('../types/index.js').Reflection) => Promise<string | null>} [writeLesson] - Ask the model for the lesson (falls back to a computed one)
+   * @returns {Promise<import('../types/index.js').Reflection>}
+   */
+  async reflect(marketState, writeLesson) {
+    const memory = this.data;
+    const window = memory.window;
+    const price = marketState.current_price;
+
+    /** @type {import('../types/index.js').Reflection} */
+    const reflection = {
+      from_tick: window?.from_tick ?? memory.last_reflection_tick + 1,
+      to_tick: marketState.tick,
+      price_open: window?.price_open ?? price,
+      price_close: price,
+      price_low: window?.price_low ?? price,
+      price_high: window?.price_high ?? price,
+      bought: window?.bought ?? 0,
+      avg_buy: window?.bought > 0 ? window.spent / window.bought : null,
+      sold: window?.sold ?? 0,
+      avg_sell: window?.sold > 0 ? window.revenue / window.sold : null,
+      realized: window?.realized ?? 0,
+      inventory: this.state.inventory,
+      money: this.state.money,
+      lesson: '',
+    };
+    reflection.lesson = (writeLesson && await writeLesson(reflection).catch(() => null)) || AgentMemory.computeLesson(reflection);
+
+    memory.reflections.push(reflection);
+    if (memory.reflections.length > this.maxReflections) {
+      memory.reflections = memory.reflections.slice(-this.maxReflections);
+    }
+    memory.window = null;
+    memory.last_reflection_tick = marketState.tick;
+    return reflection;
+  }
+
+  /**
+   * A plain-numbers lesson for a window: what made money and what lost it
+   * @param {import('../types/index.js').Reflection} r
+   * @returns {string}
+   */
+  static computeLesson(r) {
+    const lessons = [];
+    const move = (r.price_close - r.price_open) / r.price_open;
+    if (r.sold > 0) {
+      lessons.push(`Selling ${r.sold} at avg $${r.avg_sell.toFixed(4)} ${r.realized >= 0 ? 'made' : 'lost'} $${Math.abs(r.realized).toFixed(4)}.`);
+    }
+    if (r.bought > 0) {
+      const vsClose = (r.price_close - r.avg_buy) / r.avg_buy;
+      lessons.push(`Buying ${r.bought} at avg $${r.avg_buy.toFixed(4)} is ${vsClose >= 0 ? 'up' : 'down'} ${(Math.abs(vsClose) * 100).toFixed(1)}% at $${r.price_close.toFixed(4)}.`);
+    }
+    if (lessons.length === 0) {
+      lessons.push(`Sat out while the price went ${move >= 0 ? 'up' : 'down'} ${(Math.abs(move) * 100).toFixed(1)}%.`);
+    }
+    return lessons.join(' ');
+  }
+
+  /**
+   * Memory worth showing in the prompt: the latest reflections, older ones from a similar
+   * price range, and key events near the current price (plus the best and worst sale)
+   * @param {number} price - Current price
+   * @returns {{ reflections: import('../types/index.js').Reflection[], events: import('../types/index.js').MemoryEvent[] }}
+   */
+  recall(price) {
+    const { reflections, events } = this.data;
+
+    const latest = reflections.slice(-2);
+    const similar = reflections.slice(0, -2)
+      .filter(r => price >= r.price_low * 0.98 && price <= r.price_high * 1.02)
+      .sort((a, b) => Math.abs((a.price_low + a.price_high) / 2 - price) - Math.abs((b.price_low + b.price_high) / 2 - price))
+      .slice(0, 2);
+
+    const sales = events.filter(e => e.type === 'sell');
+    const extremes = sales.length > 0
+      ? [sales.reduce((a, b) => (b.realized > a.realized ? b : a)), sales.reduce((a, b) => (b.realized < a.realized ? b : a))]
+      : [];
+    const nearby = events
+      .filter(e => Math.abs(e.price - price) / price <= 0.05)
+      .sort((a, b) => Math.abs(b.realized || 0) - Math.abs(a.realized || 0) || b.tick - a.tick)
+      .slice(0, 5);
+
+    return {
+      reflections: [...similar, ...latest].sort((a, b) => a.from_tick - b.from_tick),
+      events: Array.from(new Set([...nearby, ...extremes])).sort((a, b) => a.tick - b.tick),
+    };
+  }
+
+  /**
+   * recall() as a prompt section ('' while there is nothing to remember)
+   * @param {number} price - Current price
+   * @returns {string}
+   */
+  formatForPrompt(price) {
+    const { reflections, events } = this.recall(price);
+    if (reflections.length === 0 && events.length === 0) return '';
+
+    const describe = (e) => {
+      if (e.type === 'buy') return `bought ${e.qty} @ $${e.price.toFixed(4)}`;
+      if (e.type === 'sell') return `sold ${e.qty} @ $${e.price.toFixed(4)}, realized ${e.realized >= 0 ? '+' : '-'}$${Math.abs(e.realized).toFixed(4)}`;
+      if (e.type === 'price_move') return `price ${e.move >= 0 ? 'jumped' : 'fell'} ${(Math.abs(e.move) * 100).toFixed(1)}% to $${e.price.toFixed(4)}`;
+      return `new session ${e.type === 'new_high' ? 'high' : 'low'} $${e.price.toFixed(4)}`;
+    };
+
+    const lines = [
+      ...reflections.map(r => `- Ticks ${r.from_tick}-${r.to_tick} (price $${r.price_open.toFixed(4)} → $${r.price_close.toFixed(4)}, range $${r.price_low.toFixed(4)}-$${r.price_high.toFixed(4)}): ${r.lesson}`),
+      ...events.map(e => `- Tick ${e.tick}: ${describe(e)}`),
+    ];
+    return `\nLONG-TERM MEMORY (your reflections and key moments beyond the recent history):\n${lines.join('\n')}\n`;
+  }
+}
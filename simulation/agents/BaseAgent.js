@@ -1,112 +1,166 @@
-import { MCPClientCredentials } from '@locus-technologies/langchain-mcp-m2m';
-import { ChatAnthropic } from '@langchain/anthropic';
 import { createReactAgent } from '@langchain/langgraph/prebuilt';
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
+import { PriceImpact } from '../market/PriceImpact.js';
+import { createPaymentAdapter, resolvePaymentMode, walletAddress, sendWithRetry, idempotencyTag } from '../payments/index.js';
+import { RULES } from './rules.js';
+import { DECISION_TOOL, extractDecisionJson, validateDecision } from './decision.js';
+import { AgentMemory } from './AgentMemory.js';
+import { createLLM, usageCost, emptyUsage } from '../llm/index.js';
+
+/**
+ * Tags appended to a payment memo so the payment can be found in history later
+ * @param {import('../types/index.js').PaymentTags} tags
+ * @returns {string} e.g. " [stl-1a2b3c4d idem:session:run:3:buyer_1:buy:0]", or '' with no tags
+ */
+function memoTags({ reference, idempotencyKey }) {
+  const parts = [reference, idempotencyKey && idempotencyTag(idempotencyKey)].filter(Boolean);
+  return parts.length > 0 ? ` [${parts.join(' ')}]` : '';
+}
+
+/**
+ * Environment variable names for an agent without configured ones
+ * Uses the <PERSONALITY>_BUYER_CLIENT_ID / _CLIENT_SECRET / _ADDRESS convention.
+ * @param {string} personality
+ * @returns {import('../types/index.js').AgentEnvKeys}
+ */
+export function defaultEnvKeys(personality) {
+  const prefix = `${personality.toUpperCase()}_BUYER`;
+  return {
+    client_id: `${prefix}_CLIENT_ID`,
+    client_secret: `${prefix}_CLIENT_SECRET`,
+    api_key: 'ANTHROPIC_API_KEY',
+    wallet_address: `${prefix}_ADDRESS`,
+  };
+}
 
 /**
  * BaseAgent - Base class for all AI buyer agents
- * Handles LangChain + Locus MCP integration
+ * Handles LLM + Locus MCP integration
  */
 export class BaseAgent {
   /**
    * @param {import('../types/index.js').AgentState} state - Initial agent state
+   * @param {Object} [options]
+   * @param {boolean} [options.simulatePayments] - Always use simulated payments and skip Locus (as in DEV_MODE)
+   * @param {string} [options.paymentMode] - Payment adapter (falls back to PAYMENT_ADAPTER env)
+   * @param {import('../payments/WalletLedger.js').WalletLedger} [options.walletLedger] - Wallets for simulated payments
+   * @param {import('../payments/SpendingGuard.js').SpendingGuard} [options.spendingGuard] - Session caps and kill switch checked before every payment
    */
-  constructor(state) {
+  constructor(state, options = {}) {
     this.state = state;
-    this.mcpClient = null;
+    this.paymentMode = resolvePaymentMode(options.simulatePayments ? 'simulated' : options.paymentMode);
+    this.walletLedger = options.walletLedger;
+    this.spendingGuard = options.spendingGuard || null;
     this.llm = null;
     this.agent = null;
     this.purchaseTool = null;
     this.sellTool = null;
-    this.locusTools = [];
-    this.merchantMCPClient = null;
-    this.merchantTools = [];
+    /** @type {import('../payments/PaymentAdapter.js').PaymentAdapter | null} Agent's wallet (pays for purchases) */
+    this.wallet = null;
+    /** @type {import('../payments/PaymentAdapter.js').PaymentAdapter | null} Merchant's wallet (pays for sales) */
+    this.merchantWallet = null;
     this.currentPrice = 0;
+    /** @type {import('../types/index.js').DecisionAudit | null} What the model was shown and answered for the last decision */
+    this.lastDecisionAudit = null;
+    // Reflections and key events beyond the engine's 10-tick history
+    this.memory = new AgentMemory(state);
   }
 
   /**
-   * Initialize the agent's MCP client and LangChain agent
+   * Initialize the agent's payment adapters and LangChain agent
    * @returns {Promise<void>}
    */
   async initialize() {
     console.log(`\n🔧 Initializing ${this.state.name}...`);
     
-    // Initialize MCP client
-    this.mcpClient = new MCPClientCredentials({
-      mcpServers: {
-        locus: {
-          url: 'https://mcp.paywithlocus.com/mcp',
-          auth: {
-            clientId: this.state.credentials.clientId,
-            clientSecret: this.state.credentials.clientSecret,
-          },
-        },
-      },
-    });
-
-    await this.mcpClient.initializeConnections();
-    this.locusTools = await this.mcpClient.getTools();
-    console.log(`   ✓ Connected to Locus MCP (${this.locusTools.length} tools loaded)`);
-
-    // Initialize merchant MCP client (for sell transactions)
-    const merchantClientId = process.env.MERCHANT_CLIENT_ID;
-    const merchantClientSecret = process.env.MERCHANT_CLIENT_SECRET;
-    
-    if (merchantClientId && merchantClientSecret) {
-      console.log(`   🔧 Initializing merchant MCP for selling...`);
-      this.merchantMCPClient = new MCPClientCredentials({
-        mcpServers: {
-          locus: {
-            url: 'https://mcp.paywithlocus.com/mcp',
-            auth: {
-              clientId: merchantClientId,
-              clientSecret: merchantClientSecret,
-            },
-          },
-        },
-      });
-      await this.merchantMCPClient.initializeConnections();
-      this.merchantTools = await this.merchantMCPClient.getTools();
-      console.log(`   ✓ Merchant MCP connected (${this.merchantTools.length} tools loaded)`);
-    } else {
-      console.log(`   ⚠️  Merchant credentials not found - selling will be disabled`);
-    }
+    await this.connectPayments();
 
     // Create custom purchase tool (wraps send_to_address with merchant address locked)
     this.purchaseTool = this.createPurchaseTool();
     
-    // Create custom sell tool (uses merchant MCP to pay buyer)
+    // Create custom sell tool (uses merchant wallet to pay buyer)
     this.sellTool = this.createSellTool();
 
-    // Get the safe read-only tool for checking balance
-    const paymentContextTool = this.locusTools.find(t => t.name === 'get_payment_context');
-
-    // Initialize LLM
-    this.llm = new ChatAnthropic({
-      model: 'claude-sonnet-4-20250514',
+    // Initialize LLM (state.llm from the roster, else LLM_PROVIDER env; LLM_TEMPERATURE 0 for repeatable runs)
+    this.llm = createLLM(this.state.llm, {
+      id: this.state.id,
+      personality: this.state.personality,
       apiKey: this.state.credentials.apiKey,
-      temperature: 0.4, // Some randomness for variety
     });
-    console.log(`   ✓ LLM initialized`);
+    console.log(`   ✓ LLM initialized (${this.llm.provider}: ${this.llm.model})`);
+
+    // Only LangChain-backed models can drive the tool-using agent
+    if (!this.llm.chatModel) {
+      console.log(`   ✓ Agent ready (decisions only - no tool-using agent for ${this.llm.provider})\n`);
+      return;
+    }
 
     // SECURITY: Only give agent safe tools:
     // - purchase_apples: locked to merchant address, deducts from buyer's funds
-    // - sell_apples: uses merchant MCP to pay buyer, checks inventory, deducts from inventory
+    // - sell_apples: uses merchant wallet to pay buyer, checks inventory, deducts from inventory
     // - get_payment_context: read-only, shows balance
     // NOT giving: send_to_address, send_to_email (dangerous - could send to arbitrary addresses)
-    const safeTools = [this.purchaseTool, this.sellTool];
-    if (paymentContextTool) {
-      safeTools.push(paymentContextTool);
-    }
+    const safeTools = [this.purchaseTool, this.sellTool, ...this.wallet.getTools()];
 
     this.agent = createReactAgent({
-      llm: this.llm,
+      llm: this.llm.chatModel,
       tools: safeTools,
     });
     console.log(`   ✓ Agent ready (${safeTools.length} safe tools: purchase + sell + balance check)\n`);
   }
 
+  /**
+   * Connect the agent's and the merchant's wallets through the payment adapter
+   * @returns {Promise<void>}
+   */
+  async connectPayments() {
+    const mode = this.paymentMode;
+    console.log(`   💳 Payment adapter: ${mode}`);
+
+    this.wallet = createPaymentAdapter(mode, {
+      address: walletAddress(this.walletAddressKey(), mode),
+      label: this.state.name,
+      credentials: {
+        clientId: this.state.credentials.clientId,
+        clientSecret: this.state.credentials.clientSecret,
+      },
+      // A fresh agent gets the configured balance; a resumed or forked one keeps its own
+      openingBalance: this.state.history.last_tick_seen > 0
+        ? this.state.money
+        : parseFloat(process.env.SIMULATED_WALLET_BALANCE || '10'),
+      walletLedger: this.walletLedger,
+    });
+    await this.wallet.connect();
+
+    // Merchant wallet (for sell transactions)
+    const merchantClientId = process.env.MERCHANT_CLIENT_ID;
+    const merchantClientSecret = process.env.MERCHANT_CLIENT_SECRET;
+    
+    if (mode === 'locus' && !(merchantClientId && merchantClientSecret)) {
+      console.log(`   ⚠️  Merchant credentials not found - selling will be disabled`);
+      return;
+    }
+
+    console.log(`   🔧 Initializing merchant wallet for selling...`);
+    this.merchantWallet = createPaymentAdapter(mode, {
+      address: walletAddress('MERCHANT_WALLET_ADDRESS', mode),
+      label: 'Merchant',
+      credentials: { clientId: merchantClientId, clientSecret: merchantClientSecret },
+      openingBalance: parseFloat(process.env.SIMULATED_MERCHANT_BALANCE || '1000'),
+      walletLedger: this.walletLedger,
+    });
+    await this.merchantWallet.connect();
+  }
+
+  /**
+   * Environment variable holding this agent's wallet address
+   * @returns {string}
+   */
+  walletAddressKey() {
+    return (this.state.env_keys || defaultEnvKeys(this.state.personality)).wallet_address;
+  }
+
   /**
    * Create the purchase apples tool
    * @returns {DynamicStructuredTool}
@@ -118,62 +172,8 @@ export class BaseAgent {
       schema: z.object({
         quantity: z.number().positive().describe('Number of apples to buy (must be > 0)'),
       }),
-      func: async ({ quantity }) => {
-        try {
-          // Check DEV_MODE
-          if (process.env.DEV_MODE === 'true') {
-            console.log(`   [DEV MODE] ${this.state.name} would buy ${quantity} apples @ $${this.currentPrice}/unit`);
-            return JSON.stringify({
-              success: true,
-              mock: true,
-              quantity,
-              price: this.currentPrice,
-              total: quantity * this.currentPrice,
-              message: 'DEV MODE: Purchase simulated (no real payment)',
-            });
-          }
-
-          // Real Locus payment
-          const sendTool = this.locusTools.find(t => t.name === 'send_to_address');
-          if (!sendTool) {
-            throw new Error('send_to_address tool not found');
-          }
-
-          // SECURITY: Merchant address is HARDCODED from environment
-          // This cannot be overridden by the AI agent
-          const merchantAddress = process.env.MERCHANT_WALLET_ADDRESS;
-          if (!merchantAddress) {
-            throw new Error('MERCHANT_WALLET_ADDRESS not configured');
-          }
-
-          const totalCost = quantity * this.currentPrice;
-          
-          console.log(`   💸 ${this.state.name} purchasing ${quantity} apples for $${totalCost.toFixed(4)} USDC...`);
-          console.log(`   🔒 Payment destination locked: ${merchantAddress}`);
-          
-          const result = await sendTool.invoke({
-            address: merchantAddress,  // ✅ LOCKED to merchant address
-            amount: totalCost,
-            memo: `${this.state.name}: Purchase ${quantity} apples @ $${this.currentPrice}/unit (Tick ${this.state.history.last_tick_seen + 1})`,
-          });
-
-          return JSON.stringify({
-            success: true,
-            quantity,
-            price: this.currentPrice,
-            total: totalCost,
-            transaction: result,
-            message: `Successfully purchased ${quantity} apples for $${totalCost.toFixed(4)} USDC`,
-          });
-        } catch (error) {
-          console.error(`   ❌ Purchase failed:`, error.message);
-          return JSON.stringify({
-            success: false,
-            error: error.message,
-            message: 'Failed to complete purchase',
-          });
-        }
-      },
+      // Price is fixed by the market, never by the caller
+      func: async ({ quantity }) => this.purchase(quantity),
     });
   }
 
@@ -188,71 +188,221 @@ export class BaseAgent {
       schema: z.object({
         quantity: z.number().positive().int().describe('Number of apples to sell (must be <= inventory)'),
       }),
-      func: async ({ quantity }) => {
-        try {
-          // Check inventory - cannot sell more than owned
-          if (quantity > this.state.inventory) {
-            throw new Error(`Cannot sell ${quantity} apples - you only own ${this.state.inventory}`);
-          }
+      func: async ({ quantity }) => this.sell(quantity),
+    });
+  }
 
-          // Check DEV_MODE
-          if (process.env.DEV_MODE === 'true') {
-            console.log(`   [DEV MODE] ${this.state.name} would sell ${quantity} apples @ $${this.currentPrice}/unit`);
-            return JSON.stringify({
-              success: true,
-              mock: true,
-              quantity,
-              price: this.currentPrice,
-              total: quantity * this.currentPrice,
-              message: 'DEV MODE: Sale simulated (no real payment)',
-            });
-          }
+  /**
+   * Pay the merchant for apples
+   * Called by the market engine with the fill price, or by purchase_apples at the current price
+   * @param {number} quantity - Units to buy
+   * @param {number} [price] - Price per unit (defaults to current market price)
+   * @param {number} [fee] - Exchange fee, paid in the same transfer
+   * @param {import('../types/index.js').PaymentTags} [tags] - Settlement reference and idempotency key
+   * @returns {Promise<string>} JSON result string
+   */
+  async purchase(quantity, price = this.currentPrice, fee = 0, tags = {}) {
+    try {
+      // SECURITY: Merchant address is HARDCODED from environment
+      // This cannot be overridden by the AI agent
+      const merchantAddress = walletAddress('MERCHANT_WALLET_ADDRESS', this.paymentMode);
+      if (!merchantAddress) {
+        throw new Error('MERCHANT_WALLET_ADDRESS not configured');
+      }
 
-          // Use pre-initialized merchant MCP tools (same pattern as buy)
-          const merchantSendTool = this.merchantTools.find(t => t.name === 'send_to_address');
-          if (!merchantSendTool) {
-            throw new Error('Merchant send_to_address tool not found - selling disabled');
-          }
+      const totalCost = quantity * price + fee;
+      
+      console.log(`   💸 ${this.state.name} purchasing ${quantity} apples for $${totalCost.toFixed(4)} USDC [${this.paymentMode}]...`);
+      console.log(`   🔒 Payment destination locked: ${merchantAddress}`);
+      
+      // Hard ceiling: refuse before anything is sent
+      this.spendingGuard?.authorize({
+        agentId: this.state.id,
+        action: 'buy',
+        amount: totalCost,
+        holdingsValue: this.state.inventory * price,
+      });
+      
+      const transaction = await sendWithRetry(this.wallet, {
+        address: merchantAddress,  // ✅ LOCKED to merchant address
+        amount: totalCost,
+        memo: `${this.state.name}: Purchase ${quantity} apples @ $${price}/unit + $${fee} fee (Tick ${this.state.history.last_tick_seen + 1})${memoTags(tags)}`,
+        idempotencyKey: tags.idempotencyKey,
+      }, { beforeSend: () => this.spendingGuard?.assertNotHalted(), findRecorded: tags.findRecorded });
+      
+      this.spendingGuard?.record({
+        agentId: this.state.id,
+        action: 'buy',
+        amount: totalCost,
+        holdingsValue: (this.state.inventory + quantity) * price,
+      });
 
-          // Get buyer's wallet address from env
-          const buyerAddressKey = `${this.state.personality.toUpperCase()}_BUYER_ADDRESS`;
-          const buyerAddress = process.env[buyerAddressKey];
-          
-          if (!buyerAddress) {
-            throw new Error(`Buyer wallet address not configured (${buyerAddressKey})`);
-          }
+      return JSON.stringify({
+        success: true,
+        simulated: this.wallet.simulated,
+        quantity,
+        price,
+        fee,
+        total: totalCost,
+        transaction,
+        message: `Successfully purchased ${quantity} apples for $${totalCost.toFixed(4)} USDC`,
+      });
+    } catch (error) {
+      console.error(`   ❌ Purchase failed:`, error.message);
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        code: error.code,
+        // Retries ran out without knowing whether funds moved
+        outcome_unknown: error.code === 'outcome_unknown',
+        message: 'Failed to complete purchase',
+      });
+    }
+  }
 
-          const saleAmount = quantity * this.currentPrice;
-          
-          console.log(`   💰 ${this.state.name} selling ${quantity} apples for $${saleAmount.toFixed(4)} USDC...`);
-          console.log(`   🔒 Payment destination: ${buyerAddress.substring(0, 10)}...`);
-          
-          // Merchant sends funds to buyer using pre-initialized MCP
-          const result = await merchantSendTool.invoke({
-            address: buyerAddress,
-            amount: saleAmount,
-            memo: `${this.state.name}: Sold ${quantity} apples @ $${this.currentPrice}/unit (Tick ${this.state.history.last_tick_seen + 1})`,
-          });
-
-          return JSON.stringify({
-            success: true,
-            quantity,
-            price: this.currentPrice,
-            total: saleAmount,
-            transaction: result,
-            remaining_inventory: this.state.inventory,
-            message: `Successfully sold ${quantity} apples for $${saleAmount.toFixed(4)} USDC`,
-          });
-        } catch (error) {
-          console.error(`   ❌ Sale failed:`, error.message);
-          return JSON.stringify({
-            success: false,
-            error: error.message,
-            message: 'Failed to complete sale',
-          });
-        }
-      },
-    });
+  /**
+   * Have the merchant pay this agent for apples sold back
+   * Called by the market engine with the fill price, or by sell_apples at the current price
+   * @param {number} quantity - Units to sell
+   * @param {number} [price] - Price per unit (defaults to current market price)
+   * @param {number} [fee] - Exchange fee, withheld from the payout
+   * @param {import('../types/index.js').PaymentTags} [tags] - Settlement reference and idempotency key
+   * @returns {Promise<string>} JSON result string
+   */
+  async sell(quantity, price = this.currentPrice, fee = 0, tags = {}) {
+    try {
+      // Check inventory - cannot sell more than owned
+      if (quantity > this.state.inventory) {
+        throw new Error(`Cannot sell ${quantity} apples - you only own ${this.state.inventory}`);
+      }
+
+      if (!this.merchantWallet) {
+        throw new Error('Merchant wallet not connected - selling disabled');
+      }
+
+      // Get buyer's wallet address from env
+      const buyerAddressKey = this.walletAddressKey();
+      const buyerAddress = walletAddress(buyerAddressKey, this.paymentMode);
+      
+      if (!buyerAddress) {
+        throw new Error(`Buyer wallet address not configured (${buyerAddressKey})`);
+      }
+
+      const saleAmount = quantity * price - fee;
+      
+      console.log(`   💰 ${this.state.name} selling ${quantity} apples for $${saleAmount.toFixed(4)} USDC [${this.paymentMode}]...`);
+      console.log(`   🔒 Payment destination: ${buyerAddress.substring(0, 10)}...`);
+      
+      this.spendingGuard?.authorize({
+        agentId: this.state.id,
+        action: 'sell',
+        amount: saleAmount,
+        holdingsValue: this.state.inventory * price,
+      });
+      
+      // Merchant sends funds to buyer
+      const transaction = await sendWithRetry(this.merchantWallet, {
+        address: buyerAddress,
+        amount: saleAmount,
+        memo: `${this.state.name}: Sold ${quantity} apples @ $${price}/unit - $${fee} fee (Tick ${this.state.history.last_tick_seen + 1})${memoTags(tags)}`,
+        idempotencyKey: tags.idempotencyKey,
+      }, { beforeSend: () => this.spendingGuard?.assertNotHalted(), findRecorded: tags.findRecorded });
+      
+      this.spendingGuard?.record({
+        agentId: this.state.id,
+        action: 'sell',
+        amount: saleAmount,
+        holdingsValue: (this.state.inventory - quantity) * price,
+      });
+
+      return JSON.stringify({
+        success: true,
+        simulated: this.merchantWallet.simulated,
+        quantity,
+        price,
+        fee,
+        total: saleAmount,
+        transaction,
+        remaining_inventory: this.state.inventory,
+        message: `Successfully sold ${quantity} apples for $${saleAmount.toFixed(4)} USDC`,
+      });
+    } catch (error) {
+      console.error(`   ❌ Sale failed:`, error.message);
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        code: error.code,
+        // Retries ran out without knowing whether funds moved
+        outcome_unknown: error.code === 'outcome_unknown',
+        message: 'Failed to complete sale',
+      });
+    }
+  }
+
+  /**
+   * Settle a netted position with one transfer for the net amount
+   * Called by the market engine when a netting window closes. A positive net is paid by
+   * this agent to the merchant; a negative net is paid by the merchant to this agent.
+   * @param {import('../types/index.js').NettedPosition} position
+   * @param {import('../types/index.js').PaymentTags} [tags] - Settlement reference and idempotency key
+   * @returns {Promise<string>} JSON result string
+   */
+  async settleNet(position, tags = {}) {
+    try {
+      const agentPays = position.net > 0;
+      const amount = Math.abs(position.net);
+      const payer = agentPays ? this.wallet : this.merchantWallet;
+      if (!payer) {
+        throw new Error('Merchant wallet not connected - cannot pay out net sales');
+      }
+
+      // SECURITY: Both addresses come from the environment, never from the LLM
+      const addressKey = agentPays
+        ? 'MERCHANT_WALLET_ADDRESS'
+        : this.walletAddressKey();
+      const recipient = walletAddress(addressKey, this.paymentMode);
+      if (!recipient) {
+        throw new Error(`${addressKey} not configured`);
+      }
+
+      // Fills were checked against the caps as they happened; only the kill switch applies here
+      this.spendingGuard?.assertNotHalted();
+
+      console.log(`   🧮 ${this.state.name} net settlement: ${agentPays ? 'paying merchant' : 'receiving from merchant'} $${amount.toFixed(4)} USDC for ${position.fills} fills [${this.paymentMode}]...`);
+
+      const transaction = await sendWithRetry(payer, {
+        address: recipient,
+        amount,
+        memo: `${this.state.name}: Net settlement of ${position.fills} fills, ticks ${position.from_tick}-${position.to_tick} (bought ${position.qty_bought}, sold ${position.qty_sold})${memoTags(tags)}`,
+        idempotencyKey: tags.idempotencyKey,
+      }, { beforeSend: () => this.spendingGuard?.assertNotHalted(), findRecorded: tags.findRecorded });
+
+      return JSON.stringify({
+        success: true,
+        simulated: payer.simulated,
+        net: position.net,
+        total: amount,
+        transaction,
+        message: `Settled ${position.fills} fills with one $${amount.toFixed(4)} USDC transfer`,
+      });
+    } catch (error) {
+      console.error(`   ❌ Net settlement failed:`, error.message);
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        code: error.code,
+        outcome_unknown: error.code === 'outcome_unknown',
+        message: 'Failed to settle net position',
+      });
+    }
+  }
+
+  /**
+   * Whether payments only move between in-process simulated wallets
+   * @returns {boolean}
+   */
+  isDevMode() {
+    return this.paymentMode === 'simulated';
   }
 
   /**
@@ -270,23 +420,92 @@ export class BaseAgent {
    */
   async makeDecision(marketState) {
     this.currentPrice = marketState.current_price;
+    await this.updateMemory(marketState);
     const prompt = this.buildPrompt(marketState);
+    const limits = this.tradeLimits(marketState);
+    // What this personality's written rules say to do, to measure how far the LLM strays from them
+    const rule = RULES[this.state.personality];
+    const ruleDecision = rule ? rule(this.state, marketState, limits) : null;
+    const maxRetries = parseInt(process.env.DECISION_MAX_RETRIES || '2');
+    const stats = this.decisionStats();
+    const started = Date.now();
+
+    // Use LLM directly for decisions, NOT the agent with tools
+    // This prevents the agent from actually calling purchase_apples during decision-making
+    // (the only tool offered here is submit_decision, which just returns the decision)
+    const messages = [
+      { role: 'system', content: this.getSystemPrompt() },
+      { role: 'user', content: prompt },
+    ];
+
+    /** @type {import('../types/index.js').DecisionAudit} */
+    const audit = {
+      decision_mode: 'llm',
+      provider: this.llm.provider,
+      model: this.llm.model,
+      system_prompt: messages[0].content,
+      prompt,
+      attempts: [],
+      latency_ms: 0,
+    };
+    this.lastDecisionAudit = audit;
     
     try {
-      // Use LLM directly for decisions, NOT the agent with tools
-      // This prevents the agent from actually calling purchase_apples during decision-making
-      const response = await this.llm.invoke([
-        { role: 'system', content: this.getSystemPrompt() },
-        { role: 'user', content: prompt },
-      ]);
-
-      const decision = this.parseDecision(response.content);
-      
-      console.log(`   🤔 ${this.state.name}: ${decision.action} ${decision.quantity > 0 ? `${decision.quantity} apples` : ''} - ${decision.note}`);
-      
-      return decision;
+      for (let attempt = 0; ; attempt++) {
+        const attemptStarted = Date.now();
+        const response = await this.invokeLLM(messages, { state: this.state, marketState, limits }, { tool: DECISION_TOOL });
+        const result = this.parseDecision(response, limits);
+
+        /** @type {import('../types/index.js').DecisionAttempt} */
+        const record = {
+          completion: response.content,
+          tool_input: response.toolInput,
+          parsed: result.parsed,
+          error: result.error,
+          model: response.model || this.llm.model,
+          usage: response.usage,
+          cost: response.cost,
+          latency_ms: Date.now() - attemptStarted,
+        };
+        audit.attempts.push(record);
+        audit.model = record.model;
+        audit.latency_ms = Date.now() - started;
+
+        if (result.decision) {
+          stats.decisions++;
+          const decision = result.decision;
+          console.log(`   🤔 ${this.state.name}: ${decision.action} ${decision.quantity > 0 ? `${decision.quantity} apples` : ''} - ${decision.note}`);
+          if (ruleDecision) {
+            this.recordRuleDeviation(marketState, decision, ruleDecision);
+          }
+          return decision;
+        }
+
+        stats.parse_failures++;
+        stats.last_error = { tick: marketState.tick + 1, error: result.error };
+        console.log(`   ⚠️  ${this.state.name} invalid decision (attempt ${attempt + 1}/${maxRetries + 1}): ${result.error}`);
+
+        if (attempt >= maxRetries) {
+          stats.fallbacks++;
+          return {
+            action: 'wait',
+            quantity: 0,
+            note: `Invalid decision - defaulting to wait (${result.error})`,
+          };
+        }
+
+        // Show the model its reply and what was wrong with it, then ask again
+        stats.retries++;
+        record.correction = `That decision is invalid: ${result.error}\nReply again with a corrected decision for tick ${marketState.tick + 1}.`;
+        messages.push(
+          { role: 'assistant', content: response.content || JSON.stringify(response.toolInput ?? null) },
+          { role: 'user', content: record.correction }
+        );
+      }
     } catch (error) {
       console.error(`   ❌ ${this.state.name} decision error:`, error.message);
+      audit.error = error.message;
+      audit.latency_ms = Date.now() - started;
       return {
         action: 'wait',
         quantity: 0,
@@ -295,6 +514,76 @@ export class BaseAgent {
     }
   }
 
+  /**
+   * Compare the LLM's decision with the rule-based one and update state.rule_deviation
+   * Quantities are compared after the same per-tick limits the market engine applies.
+   * @param {import('../types/index.js').MarketState} marketState
+   * @param {import('../types/index.js').AgentDecision} decision - LLM decision
+   * @param {import('../types/index.js').AgentDecision} ruleDecision - What the rules say
+   */
+  recordRuleDeviation(marketState, decision, ruleDecision) {
+    const { maxBuy, maxSell } = this.tradeLimits(marketState);
+    const effective = ({ action, quantity }) => {
+      const qty = action === 'buy' ? Math.min(quantity, maxBuy)
+        : action === 'sell' ? Math.min(quantity, maxSell, this.state.inventory)
+        : 0;
+      return { action: qty > 0 ? action : 'wait', quantity: qty };
+    };
+    const llm = effective(decision);
+    const rules = effective(ruleDecision);
+    const actionMatch = llm.action === rules.action;
+
+    const deviation = this.state.rule_deviation || {
+      ticks: 0,
+      action_matches: 0,
+      quantity_compared: 0,
+      quantity_diff_total: 0,
+      last: null,
+    };
+    deviation.ticks++;
+    if (actionMatch) {
+      deviation.action_matches++;
+      if (llm.action !== 'wait') {
+        deviation.quantity_compared++;
+        deviation.quantity_diff_total += Math.abs(llm.quantity - rules.quantity);
+      }
+    }
+    deviation.last = {
+      tick: marketState.tick + 1,
+      llm,
+      rules: { ...rules, note: ruleDecision.note },
+      action_match: actionMatch,
+      quantity_diff: actionMatch ? Math.abs(llm.quantity - rules.quantity) : null,
+    };
+    this.state.rule_deviation = deviation;
+
+    if (!actionMatch) {
+      console.log(`   📐 ${this.state.name} strayed from its rules: ${llm.action} ${llm.quantity} (rules: ${rules.action} ${rules.quantity} - ${ruleDecision.note})`);
+    }
+  }
+
+  /**
+   * Quotes and the largest orders the market engine will accept from this agent this tick
+   * @param {import('../types/index.js').MarketState} marketState
+   * @returns {{ priceImpact: PriceImpact, fees: Object, askPrice: number, bidPrice: number, budget: number, maxBuy: number, maxSell: number }}
+   */
+  tradeLimits(marketState) {
+    const priceImpact = new PriceImpact({ perUnit: marketState.price_impact || 0, minPrice: 0, maxPrice: Infinity });
+    const fees = marketState.fees || { makerPct: 0, takerPct: 0, fixedFee: 0, spreadPct: 0 };
+    const askPrice = marketState.ask_price ?? marketState.current_price;
+    const bidPrice = marketState.bid_price ?? marketState.current_price;
+    const budget = this.state.money * this.state.preferences.max_spend_percent;
+    return {
+      priceImpact,
+      fees,
+      askPrice,
+      bidPrice,
+      budget,
+      maxBuy: priceImpact.maxAffordable(Math.max(0, (budget - fees.fixedFee) / (1 + fees.takerPct)), askPrice),
+      maxSell: Math.ceil(this.state.inventory * 0.08),
+    };
+  }
+
   /**
    * Build the prompt for the current tick
    * @param {import('../types/index.js').MarketState} marketState
@@ -304,33 +593,76 @@ export class BaseAgent {
     const rollingAvg = this.calculateRollingAverage();
     const lastAction = this.state.history.actions.slice(-1)[0];
     const recentPrices = this.state.history.prices_seen.slice(-5);
+    const book = marketState.order_book || { bids: [], asks: [] };
+    const openOrders = this.state.open_orders || [];
+    const formatLevels = (levels) => levels.length > 0
+      ? levels.slice(0, 5).map(l => `${l.quantity} @ $${l.price.toFixed(4)}`).join(', ')
+      : 'none';
+    
+    // Large orders walk the price within a tick - estimate what the biggest allowed orders would average
+    const impact = marketState.price_impact || 0;
+    const { priceImpact, fees, askPrice, bidPrice, maxBuy, maxSell } = this.tradeLimits(marketState);
+    const estimateSlippage = (side, quantity) => {
+      const avg = priceImpact.averagePrice(side, quantity, side === 'buy' ? askPrice : bidPrice);
+      const pct = (avg - marketState.current_price) / marketState.current_price * 100;
+      return `avg ~$${avg.toFixed(4)} (${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%)`;
+    };
+    
+    // Open lots marked to the mid price, listed in the order sales close them
+    const position = this.state.position || { method: 'fifo', lots: [], open_cost: 0 };
+    const marketValue = this.state.inventory * marketState.current_price;
+    const unrealized = marketValue - position.open_cost;
+    const closingOrder = position.method === 'lifo' ? [...position.lots].reverse() : position.lots;
+    const signed = (value) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(4)}`;
     
     return `Market Tick ${marketState.tick}
 
 CURRENT MARKET STATE:
-- Price: $${marketState.current_price.toFixed(4)} USDC per apple
+- Price: $${marketState.current_price.toFixed(4)} USDC per apple (mid)
+- You buy at the ask: $${askPrice.toFixed(4)} / You sell at the bid: $${bidPrice.toFixed(4)} (spread ${(fees.spreadPct * 100).toFixed(2)}%)
+- Fees per trade: ${(fees.takerPct * 100).toFixed(2)}% for market orders and immediately filled limit orders (taker), ${(fees.makerPct * 100).toFixed(2)}% for resting limit orders (maker)${fees.fixedFee > 0 ? `, plus $${fees.fixedFee} fixed` : ''}
 - Seller Inventory: ${marketState.seller_inventory} apples remaining
 - Rolling Average Price (last ${this.state.history.prices_seen.length} ticks): $${rollingAvg.toFixed(4)}
 
+ORDER BOOK (resting limit orders):
+- Bids: ${formatLevels(book.bids)}
+- Asks: ${formatLevels(book.asks)}
+
 YOUR STATE:
 - Money: $${this.state.money.toFixed(2)} USDC
 - Inventory: ${this.state.inventory} apples owned
 - Max Spend per Tick: ${(this.state.preferences.max_spend_percent * 100).toFixed(0)}% of your money ($${(this.state.money * this.state.preferences.max_spend_percent).toFixed(2)})
-- Max Buy Quantity at Current Price: ${Math.floor(this.state.money * this.state.preferences.max_spend_percent / marketState.current_price)} apples
+- Max Buy Quantity (after spread, price impact and fees): ${maxBuy} apples
 ${this.state.preferences.threshold ? `- Your price threshold: $${this.state.preferences.threshold.toFixed(4)}` : ''}
 
+ESTIMATED SLIPPAGE (price moves ${(impact * 100).toFixed(2)}% per apple filled against the market within a tick):
+- Buying your max ${maxBuy} apples: ${maxBuy > 0 ? estimateSlippage('buy', maxBuy) : 'N/A'}
+- Selling your max ${maxSell} apples: ${maxSell > 0 ? estimateSlippage('sell', maxSell) : 'N/A'}
+- Percentages are vs the mid price and include the spread but not fees
+- Large market orders cost more per apple than the quoted price; limit orders cap the average you pay or receive
+- Every round trip costs the spread plus fees on both legs - frequent churn loses money
+
 RECENT PRICE HISTORY: [${recentPrices.map(p => '$' + p.toFixed(4)).join(', ')}]
 LAST ACTION: ${lastAction ? `${lastAction.action} (${lastAction.qty} apples) - "${lastAction.note}"` : 'None'}
-
+YOUR OPEN ORDERS: ${openOrders.length > 0
+  ? openOrders.map(o => `${o.side} ${o.remaining}/${o.quantity} @ $${o.price.toFixed(4)} (${o.time_in_force})`).join(', ')
+  : 'None'}
+${this.memory.formatForPrompt(marketState.current_price)}
 YOUR STATISTICS:
 - Total Spent: $${this.state.long_term.total_spent.toFixed(2)} USDC
 - Total Revenue: $${this.state.long_term.total_revenue.toFixed(2)} USDC
-- Realized Profit: ${this.state.long_term.realized_profit >= 0 ? '+' : ''}$${this.state.long_term.realized_profit.toFixed(2)}
 - Total Bought: ${this.state.long_term.total_qty_bought} apples
 - Total Sold: ${this.state.long_term.total_qty_sold} apples
-- Your Average Purchase Price: $${this.state.long_term.avg_purchase_price > 0 ? this.state.long_term.avg_purchase_price.toFixed(4) : '0.0000'}
+- Total Fees Paid: $${(this.state.long_term.total_fees || 0).toFixed(4)} USDC
+- Your Average Cost of the apples you hold (incl. fees): $${this.state.long_term.avg_purchase_price > 0 ? this.state.long_term.avg_purchase_price.toFixed(4) : '0.0000'}
+- Open Lots (${position.method.toUpperCase()}, next sale closes them in this order): ${closingOrder.length > 0
+  ? closingOrder.slice(0, 5).map(lot => `${lot.quantity} @ $${lot.unit_cost.toFixed(4)}`).join(', ') + (closingOrder.length > 5 ? `, +${closingOrder.length - 5} more` : '')
+  : 'None'}
+- Realized P&L (sales vs the cost of the lots they closed): ${signed(this.state.long_term.realized_profit)}
+- Unrealized P&L (open lots at the $${marketState.current_price.toFixed(4)} mid price): ${signed(unrealized)}
+- Equity (money + apples at the mid price): $${(this.state.money + marketValue).toFixed(2)} USDC
 - Profit if sold now: ${this.state.inventory > 0 && this.state.long_term.avg_purchase_price > 0 ? 
-    ((marketState.current_price - this.state.long_term.avg_purchase_price) / this.state.long_term.avg_purchase_price * 100).toFixed(1) + '%' : 'N/A'}
+    ((bidPrice - this.state.long_term.avg_purchase_price) / this.state.long_term.avg_purchase_price * 100).toFixed(1) + '% at the bid, before fees' : 'N/A'}
 
 DECISION REQUIRED:
 Based on your personality and strategy, decide whether to BUY, SELL, or WAIT this tick.
@@ -340,7 +672,12 @@ Based on your personality and strategy, decide whether to BUY, SELL, or WAIT thi
 
 IMPORTANT: You are ONLY making a DECISION. Do NOT try to execute it yourself.
 Just return your decision and the market will handle the execution.
-All orders are MARKET ORDERS (executed immediately at current price).
+Orders are MARKET ORDERS by default (executed immediately, starting at current price and walking it as they fill).
+You may instead place a LIMIT ORDER by adding "order_type":"limit" and a "limit_price":
+- A limit buy fills only at or below limit_price, a limit sell only at or above it
+- Limit orders rest in the book across ticks until filled ("time_in_force":"GTC", the default),
+  fill what they can this tick and cancel the rest ("IOC"), or rest for N ticks ("GTT" with "expire_after_ticks":N)
+- Add "cancel_open_orders":true to cancel all your resting orders before this decision is applied
 
 Return your decision in JSON format wrapped in markdown code fences:
 
@@ -360,9 +697,15 @@ OR
 {"action":"wait","quantity":0,"note":"price too high, no profit opportunity"}
 \`\`\`
 
+OR
+
+\`\`\`json
+{"action":"buy","quantity":30,"order_type":"limit","limit_price":0.0150,"time_in_force":"GTC","note":"only buy if it drops to $0.0150"}
+\`\`\`
+
 Remember:
-- Your max buy this tick: ${Math.floor(this.state.money * this.state.preferences.max_spend_percent / marketState.current_price)} apples (based on your ${(this.state.preferences.max_spend_percent * 100).toFixed(0)}% budget limit)
-- Your max sell this tick: ${Math.ceil(this.state.inventory * 0.08)} apples (8% of your ${this.state.inventory} inventory)
+- Your max buy this tick: ${maxBuy} apples (based on your ${(this.state.preferences.max_spend_percent * 100).toFixed(0)}% budget limit)
+- Your max sell this tick: ${maxSell} apples (8% of your ${this.state.inventory} inventory)
 - quantity must be 0 if action is "wait"
 - action must be "buy", "sell", or "wait"
 - Think BIG! Calculate proper quantities based on your budget allocation strategy!
@@ -370,47 +713,105 @@ Remember:
   }
 
   /**
-   * Parse the LLM's decision from its response
-   * @param {string} content - LLM response content
-   * @returns {import('../types/index.js').AgentDecision}
+   * Take in the last tick, and reflect on the past window when one is due
+   * @param {import('../types/index.js').MarketState} marketState
+   * @returns {Promise<void>}
    */
-  parseDecision(content) {
-    try {
-      let jsonString = '';
-      
-      // First, try to extract from markdown code fence (```json ... ``` or ``` ... ```)
-      const codeBlockMatch = content.match(/```(?:json)?\s*\n?([\s\S]*?)```/);
-      if (codeBlockMatch) {
-        jsonString = codeBlockMatch[1].trim();
-      } else {
-        // Fallback: try to find JSON object directly
-        const jsonMatch = content.match(/\{[\s\S]*?\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in response');
-        }
-        jsonString = jsonMatch[0];
+  async updateMemory(marketState) {
+    this.memory.observe(marketState);
+    if (!this.memory.isReflectionDue(marketState.tick)) return;
+
+    const reflection = await this.memory.reflect(marketState, r => this.writeLesson(r, marketState));
+    console.log(`   🧠 ${this.state.name} reflected on ticks ${reflection.from_tick}-${reflection.to_tick}: ${reflection.lesson}`);
+  }
+
+  /**
+   * Ask the model for a reflection's lesson (null for offline models or MEMORY_LLM_REFLECTION=false)
+   * @param {import('../types/index.js').Reflection} reflection - Window stats
+   * @param {import('../types/index.js').MarketState} marketState
+   * @returns {Promise<string | null>}
+   */
+  async writeLesson(reflection, marketState) {
+    if (this.llm.offline || process.env.MEMORY_LLM_REFLECTION === 'false') {
+      return null;
+    }
+    const r = reflection;
+    const response = await this.invokeLLM([
+      { role: 'system', content: this.getSystemPrompt() },
+      { role: 'user', content: `Look back on ticks ${r.from_tick}-${r.to_tick} before you trade again.
+
+- Price: $${r.price_open.toFixed(4)} → $${r.price_close.toFixed(4)} (low $${r.price_low.toFixed(4)}, high $${r.price_high.toFixed(4)})
+- Bought: ${r.bought} apples${r.avg_buy !== null ? ` at avg $${r.avg_buy.toFixed(4)}` : ''}
+- Sold: ${r.sold} apples${r.avg_sell !== null ? ` at avg $${r.avg_sell.toFixed(4)}` : ''}, realized ${r.realized >= 0 ? '+' : '-'}$${Math.abs(r.realized).toFixed(4)}
+- Now holding ${r.inventory} apples and $${r.money.toFixed(2)} USDC
+
+In at most two sentences: what worked, what lost money, and what will you do differently? Answer in plain text, not JSON.` },
+    ], { state: this.state, marketState, limits: this.tradeLimits(marketState) });
+    return response.content.trim().substring(0, 400) || null;
+  }
+
+  /**
+   * Ask the agent's model, adding the call's tokens and cost to state.llm_usage
+   * @param {import('../types/index.js').LLMMessage[]} messages
+   * @param {import('../types/index.js').LLMCallContext} context
+   * @param {Object} [options] - LLMClient.invoke options
+   * @returns {Promise<import('../types/index.js').LLMResponse & { cost: number | null }>} cost is null when unknown
+   */
+  async invokeLLM(messages, context, options = {}) {
+    const response = await this.llm.invoke(messages, context, options);
+    const cost = response.usage ? usageCost(response.model || this.llm.model, response.usage) : null;
+
+    const usage = this.llmUsage();
+    usage.calls++;
+    usage.input_tokens += response.usage?.input_tokens || 0;
+    usage.output_tokens += response.usage?.output_tokens || 0;
+    if (cost === null) {
+      usage.unpriced_calls++;
+    } else {
+      usage.cost += cost;
+    }
+    return { ...response, cost };
+  }
+
+  /**
+   * Token and cost totals for this agent (created on first use)
+   * @returns {import('../types/index.js').LLMUsage}
+   */
+  llmUsage() {
+    if (!this.state.llm_usage) {
+      this.state.llm_usage = emptyUsage();
+    }
+    return this.state.llm_usage;
+  }
+
+  /**
+   * Parse and validate the LLM's decision from its response
+   * Tool call arguments are used when the model made one, otherwise the JSON in its text.
+   * @param {import('../types/index.js').LLMResponse} response
+   * @param {ReturnType<BaseAgent['tradeLimits']>} limits - This tick's limits, for range checks
+   * @returns {{ parsed?: unknown, decision?: import('../types/index.js').AgentDecision, error?: string }} parsed is the reply's JSON, before validation
+   */
+  parseDecision(response, limits) {
+    let candidate = response.toolInput;
+    if (candidate === undefined) {
+      try {
+        candidate = extractDecisionJson(response.content || '');
+      } catch (error) {
+        return { error: `Could not read a JSON decision: ${error.message}` };
       }
-      
-      const parsed = JSON.parse(jsonString);
-      
-      // Validate action (buy, sell, or wait)
-      let validAction = 'wait';
-      if (parsed.action === 'buy') validAction = 'buy';
-      else if (parsed.action === 'sell') validAction = 'sell';
-      
-      return {
-        action: validAction,
-        quantity: Math.max(0, parseInt(parsed.quantity) || 0),
-        note: parsed.note || 'No reason provided',
-      };
-    } catch (error) {
-      console.error(`   ❌ Failed to parse decision:`, content);
-      return {
-        action: 'wait',
-        quantity: 0,
-        note: 'Parse error - defaulting to wait',
-      };
     }
+    return { parsed: candidate, ...validateDecision(candidate, limits, this.state.inventory) };
+  }
+
+  /**
+   * Decision counters for this agent (created on first use)
+   * @returns {import('../types/index.js').DecisionStats}
+   */
+  decisionStats() {
+    if (!this.state.decision_stats) {
+      this.state.decision_stats = { decisions: 0, parse_failures: 0, retries: 0, fallbacks: 0, last_error: null };
+    }
+    return this.state.decision_stats;
   }
 
   /**
@@ -9,7 +9,7 @@ export class FrugalBuyer extends BaseAgent {
    * @returns {string}
    */
   getSystemPrompt() {
-    return `You are "Frugal Fred", a cautious and conservative trader in a fruit market simulation.
+    return `You are "${this.state.name}", a cautious and conservative trader in a fruit market simulation.
 
 YOUR PERSONALITY: You are careful with money, analytical, and patient. You buy good deals and sell to lock in small profits.
 
@@ -44,7 +44,7 @@ MEMORY & REASONING:
 - Remember your last action and learn from it
 
 OUTPUT FORMAT (CRITICAL):
-All orders are MARKET ORDERS (executed immediately at current price).
+Orders are MARKET ORDERS by default (executed immediately at current price); LIMIT ORDERS are also available.
 You MUST return your decision in JSON wrapped in markdown code fences:
 
 \`\`\`json
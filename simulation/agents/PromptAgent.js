@@ -0,0 +1,28 @@
+import { BaseAgent } from './BaseAgent.js';
+import { renderTemplate } from './prompts.js';
+
+/**
+ * PromptAgent - Agent whose personality comes from a prompt template (see prompts.js)
+ */
+export class PromptAgent extends BaseAgent {
+  /**
+   * @param {import('../types/index.js').AgentState} state - Initial agent state
+   * @param {Object} options - BaseAgent options, plus:
+   * @param {import('../types/index.js').PromptTemplate} options.template - Template for state.personality
+   */
+  constructor(state, options) {
+    super(state, options);
+    // Captured at creation: re-registering the template doesn't change a running agent
+    this.template = options.template;
+    // Fail on start rather than on the first decision
+    renderTemplate(this.template.template, state);
+  }
+
+  /**
+   * Get the system prompt defining this agent's personality
+   * @returns {string}
+   */
+  getSystemPrompt() {
+    return renderTemplate(this.template.template, this.state);
+  }
+}
@@ -0,0 +1,59 @@
+import { BaseAgent } from './BaseAgent.js';
+
+/**
+ * RuleBasedAgent - Deterministic agent that follows its personality's rules without an LLM
+ * Same payments and decision contract as the LLM agents; see rules.js for the rules.
+ */
+export class RuleBasedAgent extends BaseAgent {
+  /**
+   * @param {import('../types/index.js').AgentState} state - Initial agent state
+   * @param {Object} options - BaseAgent options, plus:
+   * @param {import('./rules.js').TradingRule} options.rule - Rule for state.personality
+   */
+  constructor(state, options) {
+    super(state, options);
+    this.rule = options.rule;
+  }
+
+  /**
+   * Connect the agent's wallets (no LLM needed)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    console.log(`\n🔧 Initializing ${this.state.name} (rule-based)...`);
+    await this.connectPayments();
+    console.log(`   ✓ Agent ready (rules: ${this.state.personality}, no LLM)\n`);
+  }
+
+  /**
+   * Rule-based agents have no system prompt
+   * @returns {string}
+   */
+  getSystemPrompt() {
+    return '';
+  }
+
+  /**
+   * Make a decision for the current tick by applying the rules
+   * @param {import('../types/index.js').MarketState} marketState - Current market state
+   * @returns {Promise<import('../types/index.js').AgentDecision>}
+   */
+  async makeDecision(marketState) {
+    this.currentPrice = marketState.current_price;
+    const started = Date.now();
+    const decision = this.rule(this.state, marketState, this.tradeLimits(marketState));
+    this.lastDecisionAudit = {
+      decision_mode: 'rules',
+      provider: null,
+      model: null,
+      system_prompt: '',
+      prompt: null,
+      attempts: [],
+      latency_ms: Date.now() - started,
+    };
+
+    console.log(`   📐 ${this.state.name}: ${decision.action} ${decision.quantity > 0 ? `${decision.quantity} apples` : ''} - ${decision.note}`);
+
+    return decision;
+  }
+}
@@ -0,0 +1,112 @@
+import { z } from 'zod';
+
+/**
+ * Agent decisions - the schema every LLM reply is validated against
+ *
+ * Models that support tool calling are asked to call DECISION_TOOL, so the reply arrives as
+ * structured arguments; others answer in text and the JSON is extracted from it. Either way
+ * the result goes through validateDecision before the market engine sees it.
+ */
+
+export const agentDecisionSchema = z.object({
+  action: z.enum(['buy', 'sell', 'wait']).describe('buy, sell, or wait (do nothing this tick)'),
+  quantity: z.number().int().min(0).describe('Apples to buy or sell (0 when waiting)'),
+  note: z.string().describe('One short sentence explaining the decision'),
+  order_type: z.enum(['market', 'limit']).optional()
+    .describe('market (default) fills now; limit fills only at limit_price or better'),
+  limit_price: z.number().positive().optional().describe('Required for limit orders'),
+  time_in_force: z.enum(['GTC', 'IOC', 'GTT']).optional()
+    .describe('Limit orders: GTC rests until filled (default), IOC cancels the unfilled rest, GTT rests for expire_after_ticks'),
+  expire_after_ticks: z.number().int().min(1).optional().describe('Required for GTT orders'),
+  cancel_open_orders: z.boolean().optional().describe('Cancel all your resting orders first'),
+});
+
+/**
+ * Tool the model is asked to call with its decision
+ */
+export const DECISION_TOOL = {
+  name: 'submit_decision',
+  description: 'Submit your trading decision for this tick.',
+  schema: agentDecisionSchema,
+};
+
+/**
+ * Pull the decision JSON out of a text reply (```json fence first, then the first {...})
+ * @param {string} content
+ * @returns {unknown}
+ * @throws {Error} If there is no JSON or it doesn't parse
+ */
+export function extractDecisionJson(content) {
+  const codeBlockMatch = content.match(/```(?:json)?\s*\n?([\s\S]*?)```/);
+  if (codeBlockMatch) {
+    return JSON.parse(codeBlockMatch[1].trim());
+  }
+  const jsonMatch = content.match(/\{[\s\S]*?\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON decision found in the reply');
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Check a decision against the schema and the agent's limits for this tick
+ * @param {unknown} candidate - Parsed reply
+ * @param {ReturnType<import('./BaseAgent.js').BaseAgent['tradeLimits']>} limits
+ * @param {number} inventory - Apples the agent owns
+ * @returns {{ decision: import('../types/index.js').AgentDecision } | { error: string }}
+ */
+export function validateDecision(candidate, limits, inventory) {
+  const result = agentDecisionSchema.safeParse(candidate);
+  if (!result.success) {
+    return {
+      error: result.error.issues.map(issue => `${issue.path.join('.') || 'decision'}: ${issue.message}`).join('; '),
+    };
+  }
+
+  const { action, quantity, order_type, limit_price, time_in_force, expire_after_ticks, cancel_open_orders } = result.data;
+
+  /** @type {import('../types/index.js').AgentDecision} */
+  const decision = { action, quantity: action === 'wait' ? 0 : quantity, note: result.data.note };
+  if (cancel_open_orders) {
+    decision.cancel_open_orders = true;
+  }
+  if (action === 'wait') {
+    return { decision };
+  }
+
+  if (quantity === 0) {
+    return { error: `quantity must be at least 1 to ${action} (use "wait" to do nothing)` };
+  }
+
+  const isLimit = order_type === 'limit';
+  if (isLimit) {
+    if (limit_price === undefined) {
+      return { error: 'limit_price is required for limit orders' };
+    }
+    if (time_in_force === 'GTT' && expire_after_ticks === undefined) {
+      return { error: 'expire_after_ticks is required for GTT orders' };
+    }
+    decision.order_type = 'limit';
+    decision.limit_price = limit_price;
+    decision.time_in_force = time_in_force || 'GTC';
+    if (expire_after_ticks !== undefined) {
+      decision.expire_after_ticks = expire_after_ticks;
+    }
+  }
+
+  if (action === 'buy') {
+    if (isLimit && quantity * limit_price > limits.budget) {
+      return { error: `${quantity} apples at $${limit_price} is more than your $${limits.budget.toFixed(4)} budget this tick` };
+    }
+    if (!isLimit && quantity > limits.maxBuy) {
+      return { error: `quantity ${quantity} is over your max buy of ${limits.maxBuy} apples this tick` };
+    }
+  } else {
+    const maxSell = Math.min(limits.maxSell, inventory);
+    if (quantity > maxSell) {
+      return { error: `quantity ${quantity} is over your max sell of ${maxSell} apples this tick (you own ${inventory})` };
+    }
+  }
+
+  return { decision };
+}
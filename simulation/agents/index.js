@@ -1,8 +1,105 @@
 /**
  * Agent exports
  */
-export { BaseAgent } from './BaseAgent.js';
+export { BaseAgent, defaultEnvKeys } from './BaseAgent.js';
 export { FrugalBuyer } from './FrugalBuyer.js';
 export { ImpulsiveBuyer } from './ImpulsiveBuyer.js';
 export { SkepticalBuyer } from './SkepticalBuyer.js';
+export { PromptAgent } from './PromptAgent.js';
+export { RuleBasedAgent } from './RuleBasedAgent.js';
+export { RULES } from './rules.js';
+export { getPromptTemplate, listPromptTemplates, renderTemplate } from './prompts.js';
+export { loadRoster, listRosters, validateRoster, createAgentState } from './roster.js';
 
+
+import { defaultEnvKeys } from './BaseAgent.js';
+import { FrugalBuyer } from './FrugalBuyer.js';
+import { ImpulsiveBuyer } from './ImpulsiveBuyer.js';
+import { SkepticalBuyer } from './SkepticalBuyer.js';
+import { PromptAgent } from './PromptAgent.js';
+import { RuleBasedAgent } from './RuleBasedAgent.js';
+import { RULES } from './rules.js';
+import { getPromptTemplate, listPromptTemplates, registerPromptTemplate } from './prompts.js';
+
+/**
+ * Agent classes by personality
+ */
+export const AGENT_CLASSES = {
+  frugal: FrugalBuyer,
+  impulsive: ImpulsiveBuyer,
+  skeptical: SkepticalBuyer,
+};
+
+/**
+ * Whether agents can be created with this personality (built-in class or prompt template)
+ * @param {string} personality
+ * @returns {boolean}
+ */
+export function hasPersonality(personality) {
+  return personality in AGENT_CLASSES || getPromptTemplate(personality) !== null;
+}
+
+/**
+ * Every available personality
+ * @returns {import('../types/index.js').PersonalityInfo[]}
+ */
+export function listPersonalities() {
+  return [
+    ...Object.keys(AGENT_CLASSES).map(name => ({ name, kind: 'class', source: 'builtin', description: null })),
+    ...listPromptTemplates()
+      .filter(template => !(template.name in AGENT_CLASSES))
+      .map(({ name, source, description }) => ({ name, kind: 'template', source, description })),
+  ];
+}
+
+/**
+ * Register a prompt-template personality at runtime (see prompts.js)
+ * @param {string} name
+ * @param {string} template - Prompt text with {{variable}} placeholders
+ * @param {{ description?: string, save?: boolean }} [options]
+ * @returns {import('../types/index.js').PromptTemplate}
+ */
+export function registerPersonality(name, template, options = {}) {
+  return registerPromptTemplate(name, template, { ...options, reserved: Object.keys(AGENT_CLASSES) });
+}
+
+/**
+ * Read an agent's credentials from the environment
+ * Uses the variables named in state.env_keys (see config/agents), falling back to the personality convention
+ * @param {import('../types/index.js').AgentState} state
+ * @returns {{ clientId: string, clientSecret: string, apiKey: string }}
+ */
+export function credentialsFromEnv(state) {
+  const keys = state.env_keys || defaultEnvKeys(state.personality);
+  return {
+    clientId: process.env[keys.client_id],
+    clientSecret: process.env[keys.client_secret],
+    apiKey: process.env[keys.api_key],
+  };
+}
+
+/**
+ * Create an agent instance for a state based on its personality
+ * Agents with decision_mode 'rules' apply their personality's rules instead of calling an LLM.
+ * @param {import('../types/index.js').AgentState} state
+ * @param {Object} [options] - Agent options (e.g. simulatePayments)
+ * @returns {import('./BaseAgent.js').BaseAgent}
+ */
+export function createAgent(state, options = {}) {
+  if (state.decision_mode === 'rules') {
+    const rule = RULES[state.personality];
+    if (!rule) {
+      throw new Error(`No rule-based version of personality: ${state.personality}`);
+    }
+    return new RuleBasedAgent(state, { ...options, rule });
+  }
+  const AgentClass = AGENT_CLASSES[state.personality];
+  if (AgentClass) {
+    return new AgentClass(state, options);
+  }
+  const template = getPromptTemplate(state.personality);
+  if (!template) {
+    throw new Error(`Unknown agent personality: ${state.personality}`);
+  }
+  return new PromptAgent(state, { ...options, template });
+}
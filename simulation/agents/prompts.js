@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Prompt templates - personalities defined by text instead of a subclass
+ *
+ * A template is a markdown file in PROMPT_DIR (default config/prompts), selected by name:
+ * config/prompts/<name>.md. It holds the whole system prompt - personality, buying/selling
+ * rules, examples - with {{variable}} placeholders filled in from the agent's state:
+ *
+ *   {{name}}               - display name
+ *   {{id}}                 - agent ID
+ *   {{good}}               - traded good (e.g. apple)
+ *   {{threshold}}          - preferences.threshold, 4 decimals
+ *   {{max_spend_percent}}  - preferences.max_spend_percent as a percentage, 1 decimal (0.04 -> 4.0)
+ *   {{priority}}           - preferences.priority
+ *
+ * An optional front matter block (--- description: ... ---) describes the template.
+ * Templates can also be registered at runtime; those shadow files with the same name.
+ */
+
+const TEMPLATE_NAME = /^[a-z][\w-]*$/;
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Preferences used to check a template's placeholders when it is registered
+const SAMPLE_STATE = {
+  id: 'buyer_1',
+  name: 'Sample Trader',
+  preferences: { good: 'apple', max_spend_percent: 0.05, threshold: 0.015, priority: 1 },
+};
+
+/** @type {Map<string, import('../types/index.js').PromptTemplate>} */
+const registered = new Map();
+
+/**
+ * Directory templates are read from
+ * @returns {string}
+ */
+function promptDir() {
+  return process.env.PROMPT_DIR || path.join(process.cwd(), 'config', 'prompts');
+}
+
+/**
+ * Split a template file into its description and prompt text
+ * @param {string} text
+ * @returns {{ description: string | null, template: string }}
+ */
+export function parseTemplateFile(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { description: null, template: text.trim() };
+  }
+  const description = match[1].match(/^description:\s*(.+)$/m)?.[1].trim() || null;
+  return { description, template: text.slice(match[0].length).trim() };
+}
+
+/**
+ * Values available to a template for an agent
+ * @param {Pick<import('../types/index.js').AgentState, 'id' | 'name' | 'preferences'>} state
+ * @returns {Record<string, string | undefined>}
+ */
+export function templateVariables(state) {
+  const { preferences } = state;
+  return {
+    name: state.name,
+    id: state.id,
+    good: preferences.good,
+    threshold: preferences.threshold?.toFixed(4),
+    max_spend_percent: (preferences.max_spend_percent * 100).toFixed(1),
+    priority: preferences.priority?.toString(),
+  };
+}
+
+/**
+ * Fill a template's placeholders for an agent
+ * @param {string} template
+ * @param {Pick<import('../types/index.js').AgentState, 'id' | 'name' | 'preferences'>} state
+ * @returns {string}
+ * @throws {Error} If a placeholder is unknown or has no value for this agent
+ */
+export function renderTemplate(template, state) {
+  const variables = templateVariables(state);
+  return template.replace(PLACEHOLDER, (placeholder, key) => {
+    if (!(key in variables)) {
+      throw new Error(`Unknown template variable ${placeholder} (available: ${Object.keys(variables).join(', ')})`);
+    }
+    if (variables[key] === undefined) {
+      throw new Error(`Template variable ${placeholder} is not set for ${state.name}`);
+    }
+    return variables[key];
+  });
+}
+
+/**
+ * Names of the templates on disk
+ * @returns {string[]}
+ */
+function templateFiles() {
+  if (!fs.existsSync(promptDir())) return [];
+  return fs.readdirSync(promptDir())
+    .filter(file => file.endsWith('.md'))
+    .map(file => file.slice(0, -'.md'.length))
+    .filter(name => TEMPLATE_NAME.test(name));
+}
+
+/**
+ * Look up a template by name (runtime registrations first, then files)
+ * Files are re-read on every lookup, so an edited template applies to the next agents created.
+ * @param {string} name
+ * @returns {import('../types/index.js').PromptTemplate | null}
+ */
+export function getPromptTemplate(name) {
+  if (registered.has(name)) {
+    return registered.get(name);
+  }
+  if (!TEMPLATE_NAME.test(name)) {
+    return null;
+  }
+  const file = path.join(promptDir(), `${name}.md`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return { name, source: 'file', ...parseTemplateFile(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * Every available template, sorted by name
+ * @returns {import('../types/index.js').PromptTemplate[]}
+ */
+export function listPromptTemplates() {
+  const names = new Set([...templateFiles(), ...registered.keys()]);
+  return Array.from(names).sort().map(getPromptTemplate);
+}
+
+/**
+ * Register a template at runtime
+ * Replaces any earlier registration with the same name; agents already running keep their prompt.
+ * @param {string} name
+ * @param {string} template - Prompt text with {{variable}} placeholders
+ * @param {Object} [options]
+ * @param {string} [options.description]
+ * @param {boolean} [options.save] - Also write it to PROMPT_DIR so it survives a restart
+ * @param {string[]} [options.reserved] - Names that can't be used (built-in personalities)
+ * @returns {import('../types/index.js').PromptTemplate}
+ * @throws {Error} If the name or template is invalid
+ */
+export function registerPromptTemplate(name, template, options = {}) {
+  if (typeof name !== 'string' || !TEMPLATE_NAME.test(name)) {
+    throw new Error(`Invalid personality name "${name}" - start with a lowercase letter, then letters, digits, _ and -`);
+  }
+  if (options.reserved?.includes(name)) {
+    throw new Error(`"${name}" is a built-in personality and can't be replaced`);
+  }
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    throw new Error('Template must be a non-empty string');
+  }
+
+  // Surface unknown placeholders now rather than on the first tick
+  renderTemplate(template, SAMPLE_STATE);
+
+  const entry = {
+    name,
+    source: 'runtime',
+    description: options.description || null,
+    template: template.trim(),
+  };
+
+  if (options.save) {
+    fs.mkdirSync(promptDir(), { recursive: true });
+    const frontMatter = entry.description ? `---\ndescription: ${entry.description}\n---\n\n` : '';
+    fs.writeFileSync(path.join(promptDir(), `${name}.md`), `${frontMatter}${entry.template}\n`);
+    // The file is now the source of truth, so later edits to it apply
+    registered.delete(name);
+    return { ...entry, source: 'file' };
+  }
+
+  registered.set(name, entry);
+  return entry;
+}
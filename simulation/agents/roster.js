@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { credentialsFromEnv, hasPersonality, listPersonalities } from './index.js';
+import { getPromptTemplate, renderTemplate } from './prompts.js';
+import { RULES } from './rules.js';
+import { LLM_PROVIDERS } from '../llm/index.js';
+import { resolveRiskLimits } from '../market/RiskManager.js';
+import { COST_BASIS_METHODS, createPosition } from '../market/PositionBook.js';
+
+/**
+ * Agent rosters - which traders a simulation starts with
+ *
+ * A roster is a JSON file in AGENT_CONFIG_DIR (default config/agents), selected by name:
+ * config/agents/<name>.json. Each entry names its personality (class or prompt template), display name,
+ * preferences, starting inventory, and the environment variables holding its Locus
+ * credentials and wallet address. Secrets themselves never go in the file.
+ */
+
+const ROSTER_NAME = /^[\w-]+$/;
+
+const envKey = z.string().regex(/^[A-Z_][A-Z0-9_]*$/, 'must be an environment variable name (e.g. FRUGAL_BUYER_ADDRESS)');
+
+const agentConfigSchema = z.object({
+  id: z.string().regex(/^[\w-]+$/, 'may only contain letters, digits, _ and -'),
+  name: z.string().min(1),
+  // Checked lazily - personalities are defined by the module that re-exports this one
+  personality: z.string().refine(
+    personality => hasPersonality(personality),
+    personality => ({ message: `unknown personality "${personality}" (expected one of: ${listPersonalities().map(p => p.name).join(', ')})` })
+  ),
+  preferences: z.object({
+    good: z.string().default('apple'),
+    max_spend_percent: z.number().gt(0).max(1),
+    threshold: z.number().positive().optional(),
+    priority: z.number().optional(),
+  }).strict(),
+  inventory: z.number().int().min(0).default(0),
+  decision_mode: z.enum(['llm', 'rules']).default('llm'),
+  llm: z.object({
+    provider: z.enum(LLM_PROVIDERS),
+    model: z.string().min(1).optional(),
+    base_url: z.string().url().optional(),
+    api_key_env: envKey.optional(),
+    temperature: z.number().min(0).max(2).optional(),
+    fixture: z.string().min(1).optional(),
+  }).strict().optional(),
+  // Unset limits fall back to the RISK_* environment variables (0 = off)
+  risk: z.object({
+    max_position: z.number().int().min(0).optional(),
+    max_drawdown: z.number().min(0).max(1).optional(),
+    max_session_loss: z.number().min(0).optional(),
+    cooldown_after_losses: z.number().int().min(0).optional(),
+    cooldown_ticks: z.number().int().min(1).optional(),
+    stop_loss: z.number().min(0).max(1).optional(),
+    take_profit: z.number().min(0).optional(),
+  }).strict().default({}),
+  // Order sales close lots in (default: COST_BASIS_METHOD env, else fifo)
+  cost_basis: z.enum(COST_BASIS_METHODS).optional(),
+  env_keys: z.object({
+    client_id: envKey,
+    client_secret: envKey,
+    api_key: envKey.default('ANTHROPIC_API_KEY'),
+    wallet_address: envKey,
+  }).strict(),
+}).strict();
+
+const rosterSchema = z.object({
+  description: z.string().optional(),
+  agents: z.array(agentConfigSchema).min(1, 'at least one agent is required'),
+}).strict().superRefine((roster, ctx) => {
+  // Two agents sharing an ID or a wallet would corrupt each other's books
+  for (const field of ['id', 'wallet_address']) {
+    const seen = new Set();
+    roster.agents.forEach((agent, index) => {
+      const value = field === 'id' ? agent.id : agent.env_keys.wallet_address;
+      if (seen.has(value)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['agents', index, ...(field === 'id' ? ['id'] : ['env_keys', 'wallet_address'])],
+          message: `duplicate ${field} "${value}"`,
+        });
+      }
+      seen.add(value);
+    });
+  }
+
+  // Only the built-in personalities have rule-based versions (rules.js)
+  roster.agents.forEach((agent, index) => {
+    if (agent.decision_mode === 'rules' && !(agent.personality in RULES)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['agents', index, 'decision_mode'],
+        message: `no rule-based version of "${agent.personality}" (available: ${Object.keys(RULES).join(', ')})`,
+      });
+    }
+  });
+
+  // A template placeholder the agent has no value for (e.g. {{threshold}}) would fail every decision
+  roster.agents.forEach((agent, index) => {
+    const template = getPromptTemplate(agent.personality);
+    if (!template) return;
+    try {
+      renderTemplate(template.template, agent);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['agents', index, 'personality'], message: error.message });
+    }
+  });
+});
+
+/**
+ * Directory rosters are read from
+ * @returns {string}
+ */
+function rosterDir() {
+  return process.env.AGENT_CONFIG_DIR || path.join(process.cwd(), 'config', 'agents');
+}
+
+/**
+ * Names of the available rosters
+ * @returns {string[]}
+ */
+export function listRosters() {
+  if (!fs.existsSync(rosterDir())) return [];
+  return fs.readdirSync(rosterDir())
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Validate a parsed roster
+ * @param {unknown} config
+ * @param {string} [name] - Used in error messages
+ * @returns {import('../types/index.js').AgentRoster}
+ */
+export function validateRoster(config, name = 'roster') {
+  const result = rosterSchema.safeParse(config);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new Error(`Invalid agent config "${name}" - ${issues.join('; ')}`);
+  }
+  return { name, ...result.data };
+}
+
+/**
+ * Load and validate a roster by name
+ * @param {string} [name] - Roster name (falls back to AGENT_CONFIG env, then default)
+ * @returns {import('../types/index.js').AgentRoster}
+ */
+export function loadRoster(name = process.env.AGENT_CONFIG || 'default') {
+  if (!ROSTER_NAME.test(name)) {
+    throw new Error(`Invalid agent config name "${name}" - use letters, digits, _ and -`);
+  }
+  const file = path.join(rosterDir(), `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Agent config "${name}" not found (available: ${listRosters().join(', ') || 'none'})`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Agent config "${name}" is not valid JSON: ${error.message}`);
+  }
+  return validateRoster(config, name);
+}
+
+/**
+ * Build a fresh agent state from a roster entry
+ * Money starts at 0 and is read from the agent's wallet once it is connected;
+ * credentials are read from the environment variables the entry names.
+ * @param {import('../types/index.js').AgentConfig} config
+ * @returns {import('../types/index.js').AgentState}
+ */
+export function createAgentState(config) {
+  const state = {
+    id: config.id,
+    name: config.name,
+    type: 'buyer',
+    personality: config.personality,
+    money: 0, // Will be fetched from the wallet
+    inventory: config.inventory,
+    decision_mode: config.decision_mode,
+    ...(config.llm ? { llm: { ...config.llm } } : {}),
+    // Resolved now, so replays and forks apply the limits the session ran with
+    risk: resolveRiskLimits(config.risk),
+    position: createPosition(config.cost_basis),
+    preferences: { ...config.preferences },
+    history: {
+      prices_seen: [],
+      actions: [],
+      last_tick_seen: 0,
+    },
+    long_term: {
+      total_spent: 0,
+      total_qty_bought: 0,
+      avg_purchase_price: 0,
+      max_single_tick_purchase: 0,
+      total_revenue: 0,
+      total_qty_sold: 0,
+      realized_profit: 0,
+      total_fees: 0,
+    },
+    env_keys: { ...config.env_keys },
+  };
+  state.credentials = credentialsFromEnv(state);
+  return state;
+}
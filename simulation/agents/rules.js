@@ -0,0 +1,194 @@
+/**
+ * Trading rules - the built-in personalities' system prompts as code
+ *
+ * Each rule follows its prompt's BUYING / SELLING RULES (thresholds, budget tiers, profit
+ * targets) and returns the decision the prompt asks for, with no LLM and no randomness.
+ * Where a prompt leaves room ("70-80% of the time", "sell 5-6%") the rule takes the
+ * middle of the range. Sell signals are checked before buy signals.
+ *
+ * Rules only see what the LLM sees in its prompt: the agent's state, the market state and
+ * the agent's trade limits (BaseAgent.tradeLimits).
+ */
+
+/**
+ * @typedef {(state: import('../types/index.js').AgentState, marketState: import('../types/index.js').MarketState, limits: ReturnType<import('./BaseAgent.js').BaseAgent['tradeLimits']>) => import('../types/index.js').AgentDecision} TradingRule
+ */
+
+/**
+ * Values every rule works from
+ * @param {import('../types/index.js').AgentState} state
+ * @param {import('../types/index.js').MarketState} marketState
+ * @param {ReturnType<import('./BaseAgent.js').BaseAgent['tradeLimits']>} limits
+ */
+function signals(state, marketState, limits) {
+  const price = marketState.current_price;
+  const prices = state.history.prices_seen;
+  const rollingAvg = prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0;
+  const avgCost = state.long_term.avg_purchase_price;
+  // Profit if sold now, at the bid (as in the prompt's "Profit if sold now")
+  const profit = state.inventory > 0 && avgCost > 0 ? (limits.bidPrice - avgCost) / avgCost : null;
+
+  // Consecutive moves up (positive) or down (negative) ending at the current price
+  const path = [...prices, price];
+  let streak = 0;
+  for (let i = path.length - 1; i > 0; i--) {
+    const move = Math.sign(path[i] - path[i - 1]);
+    if (move === 0 || (streak !== 0 && move !== Math.sign(streak))) break;
+    streak += move;
+  }
+
+  return {
+    price,
+    rollingAvg,
+    profit,
+    streak,
+    lastChange: prices.length > 0 ? (price - prices[prices.length - 1]) / prices[prices.length - 1] : 0,
+    recentPeak: prices.length > 0 ? Math.max(...prices.slice(-5)) : price,
+  };
+}
+
+/**
+ * Buy with a fraction of the per-tick budget, sized as money_to_spend / current_price
+ * @param {ReturnType<import('./BaseAgent.js').BaseAgent['tradeLimits']>} limits
+ * @param {number} price - Current price
+ * @param {number} fraction - Share of the budget (0-1)
+ * @param {string} note
+ * @param {{ roundUp?: boolean }} [options]
+ * @returns {import('../types/index.js').AgentDecision}
+ */
+function buy(limits, price, fraction, note, options = {}) {
+  const round = options.roundUp ? Math.ceil : Math.floor;
+  const quantity = Math.min(limits.maxBuy, round(limits.budget * fraction / price));
+  return quantity > 0
+    ? { action: 'buy', quantity, note }
+    : { action: 'wait', quantity: 0, note: `${note} - budget too small` };
+}
+
+/**
+ * Sell a share of inventory (at least one apple), within the per-tick sell limit
+ * @param {import('../types/index.js').AgentState} state
+ * @param {ReturnType<import('./BaseAgent.js').BaseAgent['tradeLimits']>} limits
+ * @param {number} share - Share of inventory (0-1), or a fixed count when units is set
+ * @param {string} note
+ * @param {{ units?: boolean }} [options]
+ * @returns {import('../types/index.js').AgentDecision}
+ */
+function sell(state, limits, share, note, options = {}) {
+  const wanted = options.units ? share : Math.max(1, Math.round(state.inventory * share));
+  return { action: 'sell', quantity: Math.min(wanted, limits.maxSell, state.inventory), note };
+}
+
+/**
+ * @param {string} note
+ * @returns {import('../types/index.js').AgentDecision}
+ */
+function wait(note) {
+  return { action: 'wait', quantity: 0, note };
+}
+
+/**
+ * @param {number} value - Fraction (0.012)
+ * @returns {string} e.g. "1.2%"
+ */
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/** @type {TradingRule} Frugal Fred: buy below threshold, take 0.8%+ profits, never sell at a loss */
+function frugal(state, marketState, limits) {
+  const { price, rollingAvg, profit } = signals(state, marketState, limits);
+  const threshold = state.preferences.threshold ?? Infinity;
+
+  if (profit !== null && profit >= 0.015) {
+    return sell(state, limits, 0.055, `${pct(profit)} profit, excellent - taking it`);
+  }
+  if (profit !== null && profit >= 0.008) {
+    return sell(state, limits, 0.035, `${pct(profit)} profit, locking it in`);
+  }
+  if (profit !== null && profit >= 0 && state.inventory > 6) {
+    return sell(state, limits, 2, `rebalancing ${state.inventory} apples`, { units: true });
+  }
+
+  if (price < threshold * 0.90) {
+    return buy(limits, price, 1, `price $${price.toFixed(4)} far below threshold, excellent deal`);
+  }
+  if (price < threshold * 0.95) {
+    return buy(limits, price, 0.75, `price $${price.toFixed(4)} well below threshold, good deal`);
+  }
+  if (price <= threshold || (rollingAvg > 0 && price <= rollingAvg * 0.98)) {
+    return buy(limits, price, 0.5, `price $${price.toFixed(4)} below threshold or average, decent deal`);
+  }
+  return wait(`price $${price.toFixed(4)} above threshold, no profit opportunity`);
+}
+
+/** @type {TradingRule} Impulsive Ivan: quick profits, panic sells, buys almost every tick */
+function impulsive(state, marketState, limits) {
+  const { price, profit, lastChange, recentPeak } = signals(state, marketState, limits);
+  const lastBuy = state.history.actions.filter(a => a.action === 'buy').slice(-1)[0];
+  const ticksHeld = lastBuy ? marketState.tick + 1 - lastBuy.tick : 0;
+
+  if (state.inventory > 0) {
+    if (profit !== null && profit >= 0.015) {
+      return sell(state, limits, 0.05, `up ${pct(profit)}! take profit NOW!`);
+    }
+    if (recentPeak > 0 && price < recentPeak * (1 - 0.008)) {
+      return sell(state, limits, 0.055, `it's crashing from $${recentPeak.toFixed(4)}! panic sell!`);
+    }
+    if (profit !== null && profit >= 0.005) {
+      return sell(state, limits, 0.035, `${pct(profit)} up, quick! sell before it drops!`);
+    }
+    if (profit !== null && profit >= 0.003 && ticksHeld >= 2) {
+      return sell(state, limits, 0.03, `held ${ticksHeld} ticks, grabbing ${pct(profit)}`);
+    }
+  }
+
+  if (lastChange < 0) {
+    return buy(limits, price, 1, 'price dropped! going ALL IN!', { roundUp: true });
+  }
+  if (lastChange > 0) {
+    return buy(limits, price, 0.75, 'price spiking, FOMO kicking in!', { roundUp: true });
+  }
+  return buy(limits, price, 0.55, "can't resist, buying some!", { roundUp: true });
+}
+
+/** @type {TradingRule} Skeptical Sarah: trade against the rolling average, only on confirmed trends */
+function skeptical(state, marketState, limits) {
+  const { price, rollingAvg, streak } = signals(state, marketState, limits);
+
+  if (rollingAvg === 0) {
+    return wait('no price history yet, gathering data');
+  }
+
+  if (state.inventory > 0) {
+    if (price > rollingAvg * 1.005 && streak >= 2) {
+      return sell(state, limits, 0.055, `price $${price.toFixed(4)} > avg $${rollingAvg.toFixed(4)}, uptrend ${streak} ticks, take profit`);
+    }
+    if (price > rollingAvg * 1.002 && streak >= 2) {
+      return sell(state, limits, 0.035, `price slightly above avg, uptrend ${streak} ticks`);
+    }
+    if (state.inventory > 5 && state.money < state.inventory * price) {
+      return sell(state, limits, 3, 'inventory heavy vs money, rebalancing', { units: true });
+    }
+  }
+
+  if (price < rollingAvg * 0.95) {
+    return buy(limits, price, 1, `price $${price.toFixed(4)} < avg $${rollingAvg.toFixed(4)} by 5%+, high confidence`);
+  }
+  if (price < rollingAvg * 0.98) {
+    return buy(limits, price, 0.7, `price $${price.toFixed(4)} < avg $${rollingAvg.toFixed(4)}, good signal`);
+  }
+  if (price <= rollingAvg * 1.02) {
+    return buy(limits, price, 0.3, 'price near avg, small position');
+  }
+  return wait(`price $${price.toFixed(4)} > avg $${rollingAvg.toFixed(4)}, wait for better entry`);
+}
+
+/**
+ * Rules by personality
+ * @type {Object.<string, TradingRule>}
+ */
+export const RULES = {
+  frugal,
+  impulsive,
+  skeptical,
+};
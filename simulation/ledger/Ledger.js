@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Ledger - Append-only JSONL store of sessions, ticks, decisions and transactions
+ *
+ * Layout under the ledger directory:
+ *   sessions.jsonl       - one line per session_started / session_ended event
+ *   <sessionId>.jsonl    - every event recorded for that session, in order
+ *
+ * Lines are only ever appended, so a crash loses at most the line being written.
+ */
+export class Ledger {
+  /**
+   * @param {string} dir - Directory to store ledger files in (created if missing)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {string} Path of the session's event file
+   */
+  sessionFile(sessionId) {
+    // Session IDs are generated internally, but never let one escape the ledger directory
+    if (!/^[\w-]+$/.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(this.dir, `${sessionId}.jsonl`);
+  }
+
+  /**
+   * Append one JSON line to a file
+   * @param {string} file
+   * @param {Object} entry
+   */
+  append(file, entry) {
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Read every JSON line of a file
+   * @param {string} file
+   * @returns {Object[]}
+   */
+  readLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Record the start of a session
+   * @param {string} sessionId
+   * @param {Object} meta - Seed, pricing config, starting price/inventory and agent roster
+   */
+  startSession(sessionId, meta) {
+    this.append(path.join(this.dir, 'sessions.jsonl'), {
+      type: 'session_started',
+      session_id: sessionId,
+      timestamp: new Date(),
+      ...meta,
+    });
+  }
+
+  /**
+   * Record that a session was resumed from a snapshot
+   * @param {string} sessionId
+   * @param {Object} details - Tick the session resumed at
+   */
+  resumeSession(sessionId, details) {
+    this.append(path.join(this.dir, 'sessions.jsonl'), {
+      type: 'session_resumed',
+      session_id: sessionId,
+      timestamp: new Date(),
+      ...details,
+    });
+  }
+
+  /**
+   * Record the end of a session
+   * @param {string} sessionId
+   * @param {Object} summary - Reason and final market figures
+   */
+  endSession(sessionId, summary) {
+    this.append(path.join(this.dir, 'sessions.jsonl'), {
+      type: 'session_ended',
+      session_id: sessionId,
+      timestamp: new Date(),
+      ...summary,
+    });
+  }
+
+  /**
+   * Record the state a session's replay starts from
+   * @param {string} sessionId
+   * @param {Object} initial - Recording.initial
+   */
+  recordInitialState(sessionId, initial) {
+    this.append(this.sessionFile(sessionId), {
+      type: 'initial_state',
+      timestamp: new Date(),
+      ...initial,
+    });
+  }
+
+  /**
+   * Record a completed tick: the tick summary, one decision line per agent and one line per transaction
+   * Decision lines carry the agent's audit (prompts, completions, latency, model) when there is one.
+   * @param {string} sessionId
+   * @param {import('../types/index.js').TickResult} tickResult
+   * @param {import('../types/index.js').RecordedTick} recordedTick - Raw decisions and fingerprint
+   * @param {Object.<string, import('../types/index.js').DecisionAudit>} [audits] - By agent ID
+   */
+  recordTick(sessionId, tickResult, recordedTick, audits = {}) {
+    const file = this.sessionFile(sessionId);
+
+    this.append(file, {
+      type: 'tick',
+      tick: tickResult.tick,
+      price_before: tickResult.price_before,
+      price_after: tickResult.price_after,
+      market_state: tickResult.market_state,
+      failed_payments: recordedTick.failed_payments,
+      fingerprint: recordedTick.fingerprint,
+      timestamp: tickResult.timestamp,
+    });
+
+    for (const [agentId, decision] of Object.entries(tickResult.decisions)) {
+      this.append(file, {
+        type: 'decision',
+        tick: tickResult.tick,
+        agent_id: agentId,
+        raw: recordedTick.decisions[agentId],
+        sanitized: decision,
+        ...audits[agentId],
+        timestamp: tickResult.timestamp,
+      });
+    }
+
+    for (const transaction of tickResult.executed_transactions) {
+      this.append(file, {
+        type: 'transaction',
+        ...transaction,
+      });
+    }
+  }
+
+  /**
+   * Record a closed netting window
+   * @param {string} sessionId
+   * @param {import('../types/index.js').SettlementWindowReport} report
+   */
+  recordSettlementWindow(sessionId, report) {
+    this.append(this.sessionFile(sessionId), {
+      type: 'settlement_window',
+      tick: report.to_tick,
+      ...report,
+    });
+  }
+
+  /**
+   * List all sessions, newest first
+   * @returns {Object[]} Session summaries (start metadata merged with end summary)
+   */
+  listSessions() {
+    const sessions = new Map();
+    for (const entry of this.readLines(path.join(this.dir, 'sessions.jsonl'))) {
+      if (entry.type === 'session_started') {
+        const { type, timestamp, ...meta } = entry;
+        sessions.set(entry.session_id, { ...meta, started_at: timestamp, ended_at: null });
+      } else if (entry.type === 'session_resumed' && sessions.has(entry.session_id)) {
+        Object.assign(sessions.get(entry.session_id), { ended_at: null, resumed_at: entry.timestamp });
+      } else if (entry.type === 'session_ended' && sessions.has(entry.session_id)) {
+        const { type, timestamp, session_id, ...summary } = entry;
+        Object.assign(sessions.get(entry.session_id), summary, { ended_at: timestamp });
+      }
+    }
+    return Array.from(sessions.values()).reverse();
+  }
+
+  /**
+   * Get one session's summary
+   * @param {string} sessionId
+   * @returns {Object | null}
+   */
+  getSession(sessionId) {
+    return this.listSessions().find(s => s.session_id === sessionId) || null;
+  }
+
+  /**
+   * Query a session's events
+   * @param {string} sessionId
+   * @param {Object} [filter]
+   * @param {string} [filter.type] - 'tick' | 'decision' | 'transaction' | ...
+   * @param {string} [filter.agentId] - Only events for this agent
+   * @param {number} [filter.fromTick] - First tick (inclusive)
+   * @param {number} [filter.toTick] - Last tick (inclusive)
+   * @returns {Object[]}
+   */
+  getEvents(sessionId, { type, agentId, fromTick, toTick } = {}) {
+    return this.readLines(this.sessionFile(sessionId)).filter(entry =>
+      (type === undefined || entry.type === type) &&
+      (agentId === undefined || entry.agent_id === agentId) &&
+      (fromTick === undefined || entry.tick >= fromTick) &&
+      (toTick === undefined || entry.tick <= toTick)
+    );
+  }
+
+  /**
+   * Find a payment recorded under an idempotency key: a fill, or a netting window transfer
+   * @param {string} sessionId
+   * @param {string} idempotencyKey
+   * @returns {{ id: string, tick: number, amount: number } | null}
+   */
+  findPayment(sessionId, idempotencyKey) {
+    for (const entry of this.readLines(this.sessionFile(sessionId))) {
+      if (entry.type === 'transaction' && entry.idempotency_key === idempotencyKey) {
+        return { id: entry.id, tick: entry.tick, amount: entry.net_amount };
+      }
+      if (entry.type === 'settlement_window') {
+        const transfer = entry.agents.find(a => a.idempotency_key === idempotencyKey && a.status === 'settled');
+        if (transfer) {
+          return { id: transfer.transaction_hash, tick: entry.tick, amount: transfer.amount };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rebuild a session's replay recording
+   * @param {string} sessionId
+   * @returns {import('../types/index.js').Recording | null} Null if the session never executed a tick
+   */
+  getRecording(sessionId) {
+    const session = this.getSession(sessionId);
+    const events = this.readLines(this.sessionFile(sessionId));
+    const initialEvent = events.find(e => e.type === 'initial_state');
+    if (!session || !initialEvent) return null;
+
+    const { type, timestamp, ...initial } = initialEvent;
+
+    /** @type {Map<number, import('../types/index.js').RecordedTick>} */
+    const ticks = new Map();
+    for (const entry of events) {
+      if (entry.type === 'tick') {
+        ticks.set(entry.tick, {
+          tick: entry.tick,
+          decisions: {},
+          failed_payments: entry.failed_payments || [],
+          fingerprint: entry.fingerprint,
+        });
+      } else if (entry.type === 'decision' && ticks.has(entry.tick)) {
+        ticks.get(entry.tick).decisions[entry.agent_id] = entry.raw;
+      }
+    }
+
+    return {
+      seed: session.seed,
+      pricing: session.pricing,
+      initial,
+      ticks: Array.from(ticks.values()),
+    };
+  }
+}
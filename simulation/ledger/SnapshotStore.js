@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * SnapshotStore - Named simulation snapshots saved as JSON files
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated snapshot behind.
+ */
+export class SnapshotStore {
+  /**
+   * @param {string} dir - Directory to store snapshots in (created if missing)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string} Path of the snapshot file
+   */
+  file(name) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid snapshot name: ${name} (letters, numbers, _ and - only)`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Save (or overwrite) a snapshot
+   * @param {string} name
+   * @param {import('../types/index.js').SimulationSnapshot} snapshot
+   */
+  save(name, snapshot) {
+    const target = this.file(name);
+    const temp = `${target}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(snapshot));
+    fs.renameSync(temp, target);
+  }
+
+  /**
+   * Load a snapshot by name
+   * @param {string} name
+   * @returns {import('../types/index.js').SimulationSnapshot | null}
+   */
+  load(name) {
+    const target = this.file(name);
+    if (!fs.existsSync(target)) return null;
+    return JSON.parse(fs.readFileSync(target, 'utf8'));
+  }
+
+  /**
+   * List saved snapshots, newest first
+   * @returns {{ name: string, session_id: string, tick: number, taken_at: string }[]}
+   */
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        const name = f.slice(0, -'.json'.length);
+        const snapshot = this.load(name);
+        return {
+          name,
+          session_id: snapshot.session_id,
+          tick: snapshot.market_state.tick,
+          taken_at: snapshot.taken_at,
+        };
+      })
+      .sort((a, b) => String(b.taken_at).localeCompare(String(a.taken_at)));
+  }
+}
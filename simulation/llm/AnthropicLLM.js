@@ -0,0 +1,40 @@
+import { ChatAnthropic } from '@langchain/anthropic';
+import { LLMClient } from './LLMClient.js';
+
+/**
+ * AnthropicLLM - Claude through LangChain's ChatAnthropic
+ */
+export class AnthropicLLM extends LLMClient {
+  /**
+   * @param {string} model - e.g. claude-sonnet-4-20250514
+   * @param {string} apiKey
+   * @param {number} temperature
+   */
+  constructor(model, apiKey, temperature) {
+    super(model);
+    this.client = new ChatAnthropic({ model, apiKey, temperature });
+  }
+
+  get provider() {
+    return 'anthropic';
+  }
+
+  get chatModel() {
+    return this.client;
+  }
+
+  async invoke(messages, context, options = {}) {
+    const model = options.tool
+      ? this.client.bindTools([options.tool], { tool_choice: options.tool.name })
+      : this.client;
+    const response = await model.invoke(messages);
+    // Content is a string, or content blocks when the model returns more than text
+    const content = typeof response.content === 'string'
+      ? response.content
+      : response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    const usage = response.usage_metadata
+      ? { input_tokens: response.usage_metadata.input_tokens, output_tokens: response.usage_metadata.output_tokens }
+      : undefined;
+    return { content, toolInput: response.tool_calls?.[0]?.args, model: response.response_metadata?.model, usage };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * LLMClient - One agent's connection to a language model
+ * Subclasses implement invoke; agents only ever see { content } back.
+ */
+export class LLMClient {
+  /**
+   * @param {string} model - Model ID sent to the backend
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  /**
+   * Provider name (anthropic, openai, scripted)
+   * @returns {string}
+   */
+  get provider() {
+    throw new Error('provider must be implemented by subclass');
+  }
+
+  /**
+   * Whether calls leave the machine
+   * @returns {boolean}
+   */
+  get offline() {
+    return false;
+  }
+
+  /**
+   * LangChain chat model behind this client, for tool-using agents (null if there isn't one)
+   * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel | null}
+   */
+  get chatModel() {
+    return null;
+  }
+
+  /**
+   * Get a completion for a conversation
+   * @param {import('../types/index.js').LLMMessage[]} messages
+   * @param {import('../types/index.js').LLMCallContext} [context] - The deciding agent and market (used by offline models)
+   * @param {Object} [options]
+   * @param {{ name: string, description: string, schema: import('zod').ZodObject<any> }} [options.tool] - Ask the model to answer by calling this tool
+   * @returns {Promise<import('../types/index.js').LLMResponse>} toolInput holds the tool call's arguments, if the model made one
+   */
+  async invoke(messages, context, options = {}) {
+    throw new Error('invoke() must be implemented by subclass');
+  }
+}
@@ -0,0 +1,82 @@
+import { toJsonSchema } from '@langchain/core/utils/json_schema';
+import { LLMClient } from './LLMClient.js';
+
+/**
+ * OpenAICompatibleLLM - Any server speaking the OpenAI chat completions API
+ * (OpenAI itself, or a local model behind Ollama, vLLM, llama.cpp, LM Studio, ...)
+ */
+export class OpenAICompatibleLLM extends LLMClient {
+  /**
+   * @param {string} model
+   * @param {string} baseUrl - API root, e.g. http://localhost:11434/v1
+   * @param {string} [apiKey] - Sent as a bearer token when set (local servers usually need none)
+   * @param {number} temperature
+   */
+  constructor(model, baseUrl, apiKey, temperature) {
+    super(model);
+    this.url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.temperature = temperature;
+    this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '60000');
+    // Set when the server rejects tool calling - decisions are then read from the reply text
+    this.toolsUnsupported = false;
+  }
+
+  get provider() {
+    return 'openai';
+  }
+
+  async invoke(messages, context, options = {}) {
+    const tool = this.toolsUnsupported ? null : options.tool;
+    const body = { model: this.model, messages, temperature: this.temperature };
+    if (tool) {
+      body.tools = [{
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: toJsonSchema(tool.schema) },
+      }];
+      body.tool_choice = { type: 'function', function: { name: tool.name } };
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      // Many local servers don't do tool calling - fall back to plain text for good
+      if (tool && response.status === 400) {
+        console.log(`   ⚠️  ${this.url} rejected tool calling - reading decisions from text (${text.substring(0, 100)})`);
+        this.toolsUnsupported = true;
+        return this.invoke(messages, context, options);
+      }
+      throw new Error(`LLM request to ${this.url} failed: ${response.status} ${text.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message;
+    const usage = data.usage
+      ? { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 }
+      : undefined;
+    const call = message?.tool_calls?.[0]?.function;
+    if (call) {
+      let toolInput;
+      try {
+        toolInput = JSON.parse(call.arguments);
+      } catch {
+        // Left for the caller to report - the raw arguments are returned as text
+        return { content: call.arguments, model: data.model, usage };
+      }
+      return { content: message.content || '', toolInput, model: data.model, usage };
+    }
+    if (typeof message?.content !== 'string') {
+      throw new Error(`LLM response from ${this.url} has no message content`);
+    }
+    return { content: message.content, model: data.model, usage };
+  }
+}
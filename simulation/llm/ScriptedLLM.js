@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { LLMClient } from './LLMClient.js';
+import { RULES } from '../agents/rules.js';
+
+/**
+ * ScriptedLLM - Offline stand-in that never leaves the process
+ *
+ * With a fixture file, replies are taken from it in order. The file holds either a list of
+ * replies, or lists keyed by agent ID, personality or "default":
+ *
+ *   [{ "action": "buy", "quantity": 3, "note": "..." }, "not json - tests the parser", ...]
+ *   { "buyer_1": [...], "impulsive": [...], "default": [...] }
+ *
+ * Objects are sent back as a decision (as tool call arguments when a tool is offered), strings
+ * verbatim as text - handy for exercising the parser and corrective retries. Without a fixture, or
+ * once an agent's script runs out, the reply is what the personality's rules (rules.js)
+ * decide - so a scripted run trades sensibly and is fully repeatable.
+ *
+ * Token usage is estimated at 4 characters per token, so cost accounting can be exercised offline.
+ */
+export class ScriptedLLM extends LLMClient {
+  /**
+   * @param {string | null} fixture - Path to a fixture file (relative to the working directory)
+   * @param {string} agentId - Picks the agent's script from a keyed fixture
+   * @param {string} personality - Fallback key, and the rules used once the script ends
+   */
+  constructor(fixture, agentId, personality) {
+    super(fixture ? `scripted:${path.basename(fixture)}` : 'scripted:rules');
+    this.script = fixture ? ScriptedLLM.loadScript(fixture, agentId, personality) : [];
+    this.rule = RULES[personality] || null;
+    this.calls = 0;
+  }
+
+  /**
+   * Read an agent's replies from a fixture file
+   * @param {string} fixture
+   * @param {string} agentId
+   * @param {string} personality
+   * @returns {Array<Object | string>}
+   */
+  static loadScript(fixture, agentId, personality) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), fixture), 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read LLM fixture ${fixture}: ${error.message}`);
+    }
+    const script = Array.isArray(data) ? data : (data[agentId] || data[personality] || data.default || []);
+    if (!Array.isArray(script)) {
+      throw new Error(`LLM fixture ${fixture}: the script for ${agentId} must be a list of replies`);
+    }
+    return script;
+  }
+
+  get provider() {
+    return 'scripted';
+  }
+
+  get offline() {
+    return true;
+  }
+
+  async invoke(messages, context, options = {}) {
+    const reply = this.script[this.calls++];
+    if (typeof reply === 'string') {
+      return { content: reply, usage: ScriptedLLM.estimateUsage(messages, reply) };
+    }
+
+    const decision = reply
+      || (this.rule && context ? this.rule(context.state, context.marketState, context.limits) : null)
+      || { action: 'wait', quantity: 0, note: 'scripted: nothing to do' };
+    const content = `\`\`\`json\n${JSON.stringify(decision)}\n\`\`\``;
+    return {
+      content,
+      ...(options.tool ? { toolInput: decision } : {}),
+      usage: ScriptedLLM.estimateUsage(messages, content),
+    };
+  }
+
+  /**
+   * Rough token counts (4 characters per token)
+   * @param {import('../types/index.js').LLMMessage[]} messages
+   * @param {string} reply
+   * @returns {import('../types/index.js').TokenUsage}
+   */
+  static estimateUsage(messages, reply) {
+    const chars = messages.reduce((sum, message) => sum + message.content.length, 0);
+    return { input_tokens: Math.ceil(chars / 4), output_tokens: Math.ceil(reply.length / 4) };
+  }
+}
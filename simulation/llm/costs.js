@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * LLM costs - token usage priced with a per-model table
+ *
+ * The table is a JSON file (LLM_PRICES_FILE, default config/llm-prices.json) of USD per million
+ * input and output tokens, keyed by model ID prefix; the longest matching prefix wins, so
+ * "claude-sonnet-4" prices claude-sonnet-4-20250514. Calls to models missing from the table
+ * are counted but cost nothing, and are reported as unpriced.
+ */
+
+/** @type {{ file: string, models: Object.<string, { input: number, output: number }> } | null} */
+let table = null;
+
+// Models already warned about, so an unpriced model is only logged once
+const warned = new Set();
+
+/**
+ * The price table (read once per file)
+ * @returns {Object.<string, { input: number, output: number }>}
+ */
+function priceTable() {
+  const file = process.env.LLM_PRICES_FILE || path.join(process.cwd(), 'config', 'llm-prices.json');
+  if (table?.file !== file) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read LLM price table ${file}: ${error.message}`);
+    }
+    table = { file, models: data.models || {} };
+  }
+  return table.models;
+}
+
+/**
+ * Prices for a model
+ * @param {string} model - Model ID
+ * @returns {{ input: number, output: number } | null} USD per million tokens, null if not in the table
+ */
+export function modelPrice(model) {
+  const prefix = Object.keys(priceTable())
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? priceTable()[prefix] : null;
+}
+
+/**
+ * Cost of one call
+ * @param {string} model - Model ID
+ * @param {import('../types/index.js').TokenUsage} usage
+ * @returns {number | null} USD, null if the model has no price
+ */
+export function usageCost(model, usage) {
+  const price = modelPrice(model);
+  if (!price) {
+    if (!warned.has(model)) {
+      warned.add(model);
+      console.log(`   ⚠️  No price for model "${model}" in the LLM price table - its calls are counted as free`);
+    }
+    return null;
+  }
+  return (usage.input_tokens * price.input + usage.output_tokens * price.output) / 1_000_000;
+}
+
+/**
+ * Empty usage totals
+ * @returns {import('../types/index.js').LLMUsage}
+ */
+export function emptyUsage() {
+  return { calls: 0, input_tokens: 0, output_tokens: 0, cost: 0, unpriced_calls: 0 };
+}
+
+/**
+ * Session totals across agents
+ * @param {import('../types/index.js').AgentState[]} states
+ * @returns {import('../types/index.js').LLMUsage}
+ */
+export function sumUsage(states) {
+  const total = emptyUsage();
+  for (const state of states) {
+    if (!state.llm_usage) continue;
+    for (const key of Object.keys(total)) {
+      total[key] += state.llm_usage[key];
+    }
+  }
+  return total;
+}
@@ -0,0 +1,60 @@
+/**
+ * LLM backends
+ *
+ *   anthropic - Claude via LangChain (default)
+ *   openai    - Any OpenAI-compatible chat completions endpoint, e.g. a local model server
+ *   scripted  - Offline replies from a fixture file or the personality's rules (no network)
+ */
+export { LLMClient } from './LLMClient.js';
+export { AnthropicLLM } from './AnthropicLLM.js';
+export { OpenAICompatibleLLM } from './OpenAICompatibleLLM.js';
+export { ScriptedLLM } from './ScriptedLLM.js';
+export { modelPrice, usageCost, emptyUsage, sumUsage } from './costs.js';
+
+import { AnthropicLLM } from './AnthropicLLM.js';
+import { OpenAICompatibleLLM } from './OpenAICompatibleLLM.js';
+import { ScriptedLLM } from './ScriptedLLM.js';
+
+export const LLM_PROVIDERS = ['anthropic', 'openai', 'scripted'];
+
+/**
+ * Resolve and validate an LLM provider
+ * @param {string} [provider] - Provider name (falls back to LLM_PROVIDER env, then anthropic)
+ * @returns {string}
+ */
+export function resolveLLMProvider(provider) {
+  const resolved = provider || process.env.LLM_PROVIDER || 'anthropic';
+  if (!LLM_PROVIDERS.includes(resolved)) {
+    throw new Error(`Unknown LLM provider "${resolved}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Create the LLM client for one agent
+ * Unset fields fall back to the LLM_* / OPENAI_* environment variables.
+ * @param {import('../types/index.js').LLMConfig} [config] - The agent's llm settings from its roster entry
+ * @param {Object} agent
+ * @param {string} agent.id
+ * @param {string} agent.personality
+ * @param {string} [agent.apiKey] - Anthropic key read from the agent's api_key env var
+ * @returns {import('./LLMClient.js').LLMClient}
+ */
+export function createLLM(config = {}, { id, personality, apiKey }) {
+  const provider = resolveLLMProvider(config.provider);
+  const temperature = config.temperature ?? parseFloat(process.env.LLM_TEMPERATURE || '0.4');
+
+  if (provider === 'openai') {
+    return new OpenAICompatibleLLM(
+      config.model || process.env.OPENAI_MODEL || 'llama3.1',
+      config.base_url || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      // Its own key variable, so the Anthropic key is never sent to a third-party endpoint
+      process.env[config.api_key_env || 'OPENAI_API_KEY'],
+      temperature
+    );
+  }
+  if (provider === 'scripted') {
+    return new ScriptedLLM(config.fixture || process.env.LLM_FIXTURE || null, id, personality);
+  }
+  return new AnthropicLLM(config.model || process.env.LLM_MODEL || 'claude-sonnet-4-20250514', apiKey, temperature);
+}
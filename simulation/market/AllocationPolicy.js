@@ -0,0 +1,132 @@
+/**
+ * Allocation policies - Share scarce merchant inventory between market buy orders
+ * Every policy is applied to the whole tick's demand before any payment is sent,
+ * so no agent gets first claim just because its decision was processed first.
+ *
+ *   pro_rata - Each buyer gets the same fraction of what they asked for;
+ *              leftover units go to the largest remainders (ties broken randomly)
+ *   random   - Buyers are filled in full, one at a time, in a fresh random order each tick
+ *   priority - Buyers are filled in order of preferences.priority (highest first),
+ *              equal priorities in random order
+ */
+
+/**
+ * Fisher-Yates shuffle driven by the engine's seeded random source
+ * @template T
+ * @param {T[]} items
+ * @param {{ next: () => number }} random
+ * @returns {T[]} New shuffled array
+ */
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random.next() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Fill requests one at a time in the given order
+ * @param {import('../types/index.js').AllocationRequest[]} ordered
+ * @param {number} available
+ * @returns {Object.<string, number>}
+ */
+function fillInOrder(ordered, available) {
+  const allocated = {};
+  let remaining = available;
+  for (const request of ordered) {
+    allocated[request.agentId] = Math.min(request.quantity, remaining);
+    remaining -= allocated[request.agentId];
+  }
+  return allocated;
+}
+
+export const ALLOCATION_POLICIES = {
+  /**
+   * @param {import('../types/index.js').AllocationRequest[]} requests
+   * @param {number} available
+   * @param {{ next: () => number }} random
+   */
+  pro_rata(requests, available, random) {
+    const total = requests.reduce((sum, r) => sum + r.quantity, 0);
+    const shares = shuffle(requests, random).map(r => {
+      const exact = (r.quantity * available) / total;
+      return { agentId: r.agentId, base: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    // Stable sort keeps the random order among equal remainders
+    shares.sort((a, b) => b.remainder - a.remainder);
+
+    let leftover = available - shares.reduce((sum, s) => sum + s.base, 0);
+    const allocated = {};
+    for (const share of shares) {
+      allocated[share.agentId] = share.base + (leftover > 0 ? 1 : 0);
+      leftover--;
+    }
+    return { allocated, order: shares.map(s => s.agentId) };
+  },
+
+  /**
+   * @param {import('../types/index.js').AllocationRequest[]} requests
+   * @param {number} available
+   * @param {{ next: () => number }} random
+   */
+  random(requests, available, random) {
+    const ordered = shuffle(requests, random);
+    return { allocated: fillInOrder(ordered, available), order: ordered.map(r => r.agentId) };
+  },
+
+  /**
+   * @param {import('../types/index.js').AllocationRequest[]} requests
+   * @param {number} available
+   * @param {{ next: () => number }} random
+   */
+  priority(requests, available, random) {
+    const ordered = shuffle(requests, random).sort((a, b) => b.priority - a.priority);
+    return { allocated: fillInOrder(ordered, available), order: ordered.map(r => r.agentId) };
+  },
+};
+
+/**
+ * Resolve and validate an allocation policy name
+ * @param {string} [name] - Policy name (falls back to ALLOCATION_POLICY env, then 'pro_rata')
+ * @returns {string}
+ */
+export function resolveAllocationPolicy(name) {
+  const policy = name || process.env.ALLOCATION_POLICY || 'pro_rata';
+  if (!ALLOCATION_POLICIES[policy]) {
+    throw new Error(`Unknown allocation policy "${policy}" (expected one of: ${Object.keys(ALLOCATION_POLICIES).join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Allocate merchant inventory between this tick's market buy requests
+ * When everything fits no policy is needed and every request is filled in full.
+ * @param {string} policy - One of the ALLOCATION_POLICIES keys
+ * @param {import('../types/index.js').AllocationRequest[]} requests
+ * @param {number} available - Merchant inventory at the start of the tick
+ * @param {{ next: () => number }} random - Seeded random source
+ * @returns {import('../types/index.js').Allocation}
+ */
+export function allocateInventory(policy, requests, available, random) {
+  // Sort by agent ID so the result never depends on the order decisions arrived in
+  const sorted = [...requests].sort((a, b) => a.agentId.localeCompare(b.agentId));
+  const requested = Object.fromEntries(sorted.map(r => [r.agentId, r.quantity]));
+  const total = sorted.reduce((sum, r) => sum + r.quantity, 0);
+
+  if (total <= available) {
+    return { policy, available, scarce: false, requested, allocated: { ...requested }, order: [] };
+  }
+
+  const { allocated, order } = ALLOCATION_POLICIES[policy](sorted, Math.max(0, available), random);
+  return {
+    policy,
+    available,
+    scarce: true,
+    requested,
+    allocated: Object.fromEntries(sorted.map(r => [r.agentId, allocated[r.agentId]])),
+    order,
+  };
+}
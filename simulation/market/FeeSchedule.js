@@ -0,0 +1,69 @@
+/**
+ * FeeSchedule - Exchange fees and the merchant's bid/ask spread
+ * current_price is the mid price. The merchant sells at the ask (mid + half the spread)
+ * and buys back at the bid (mid - half the spread). Every fill also pays a fee:
+ * a percentage of the notional (maker or taker rate) plus a fixed amount per trade.
+ * Fees are collected into the exchange treasury.
+ */
+export class FeeSchedule {
+  /**
+   * @param {import('../types/index.js').FeeConfig} [config] - Overrides (falls back to env)
+   */
+  constructor(config = {}) {
+    /** @type {import('../types/index.js').FeeConfig} */
+    this.config = {
+      makerPct: config.makerPct ?? parseFloat(process.env.MAKER_FEE_PCT || '0.001'),
+      takerPct: config.takerPct ?? parseFloat(process.env.TAKER_FEE_PCT || '0.003'),
+      fixedFee: config.fixedFee ?? parseFloat(process.env.FIXED_TRADE_FEE || '0'),
+      spreadPct: config.spreadPct ?? parseFloat(process.env.SPREAD_PCT || '0.01'),
+    };
+  }
+
+  /**
+   * Merchant's ask (price agents buy at)
+   * @param {number} midPrice
+   * @returns {number}
+   */
+  askPrice(midPrice) {
+    return midPrice * (1 + this.config.spreadPct / 2);
+  }
+
+  /**
+   * Merchant's bid (price agents sell at)
+   * @param {number} midPrice
+   * @returns {number}
+   */
+  bidPrice(midPrice) {
+    return midPrice * (1 - this.config.spreadPct / 2);
+  }
+
+  /**
+   * Merchant quote for a side
+   * @param {'buy' | 'sell'} side - The agent's side
+   * @param {number} midPrice
+   * @returns {number}
+   */
+  quote(side, midPrice) {
+    return side === 'buy' ? this.askPrice(midPrice) : this.bidPrice(midPrice);
+  }
+
+  /**
+   * Fee for one fill
+   * @param {number} notional - quantity * price
+   * @param {'maker' | 'taker'} liquidity - Whether the order rested (maker) or took liquidity (taker)
+   * @returns {number}
+   */
+  feeFor(notional, liquidity) {
+    const pct = liquidity === 'maker' ? this.config.makerPct : this.config.takerPct;
+    return notional * pct + this.config.fixedFee;
+  }
+
+  /**
+   * Largest notional a taker can afford once fees are added
+   * @param {number} budget
+   * @returns {number}
+   */
+  notionalWithin(budget) {
+    return Math.max(0, (budget - this.config.fixedFee) / (1 + this.config.takerPct));
+  }
+}
@@ -0,0 +1,232 @@
+import { v4 as uuidv4 } from 'uuid';
+import { MarketEngine } from './MarketEngine.js';
+import { replayRecording } from './Replay.js';
+
+/**
+ * Validate fork overrides and apply them to a snapshot of the fork point
+ * @param {import('../types/index.js').SimulationSnapshot} snapshot - Modified in place
+ * @param {import('../types/index.js').ForkOverrides} overrides
+ */
+function applyOverrides(snapshot, overrides) {
+  const { pricing, agents = {}, decisions = {} } = overrides;
+  const agentIds = new Set(snapshot.agents.map(a => a.id));
+
+  if (pricing) {
+    const minPrice = pricing.minPrice ?? snapshot.pricing.minPrice;
+    const maxPrice = pricing.maxPrice ?? snapshot.pricing.maxPrice;
+    if (!(minPrice > 0) || !(maxPrice > minPrice)) {
+      throw new Error(`Invalid price bounds: $${minPrice} - $${maxPrice}`);
+    }
+
+    // A different model cannot reuse the old model's state - it starts fresh at the fork price
+    if (pricing.model && pricing.model !== snapshot.pricing.model) {
+      snapshot.pricing_state = null;
+    }
+    snapshot.pricing = {
+      ...snapshot.pricing,
+      model: pricing.model ?? snapshot.pricing.model,
+      minPrice,
+      maxPrice,
+    };
+  }
+
+  for (const [agentId, preferences] of Object.entries(agents)) {
+    if (!agentIds.has(agentId)) {
+      throw new Error(`Unknown agent: ${agentId}`);
+    }
+    const { max_spend_percent } = preferences;
+    if (!(max_spend_percent > 0 && max_spend_percent <= 1)) {
+      throw new Error(`max_spend_percent for ${agentId} must be between 0 and 1`);
+    }
+    const agent = snapshot.agents.find(a => a.id === agentId);
+    agent.preferences = { ...agent.preferences, max_spend_percent };
+  }
+
+  for (const [agentId, decision] of Object.entries(decisions)) {
+    if (!agentIds.has(agentId)) {
+      throw new Error(`Unknown agent: ${agentId}`);
+    }
+    if (!['buy', 'sell', 'wait'].includes(decision?.action)) {
+      throw new Error(`Forced decision for ${agentId} must have action buy, sell or wait`);
+    }
+  }
+}
+
+/**
+ * Fork - A what-if branch of a recorded simulation
+ * Starts from the exact state after a past tick, with overrides applied,
+ * and runs forward with live agents whose payments are always simulated.
+ */
+export class Fork {
+  /**
+   * @param {Object} params
+   * @param {string} params.sourceSessionId - Session the fork branches from
+   * @param {number} params.fromTick - Tick whose end state the fork starts from
+   * @param {import('../types/index.js').ForkOverrides} params.overrides - What changed
+   * @param {MarketEngine} params.engine - Engine positioned at the fork point
+   * @param {Array} params.agents - Agent instances (simulated payments)
+   * @param {{ tick: number, price: number }[]} params.originalPrices - Price path of the source session
+   * @param {number} params.ticks - Ticks to run forward
+   * @param {boolean} params.replayMatched - Whether the replay up to the fork point reproduced the original
+   */
+  constructor({ sourceSessionId, fromTick, overrides, engine, agents, originalPrices, ticks, replayMatched }) {
+    this.id = engine.sessionId;
+    this.sourceSessionId = sourceSessionId;
+    this.fromTick = fromTick;
+    this.overrides = overrides;
+    this.engine = engine;
+    this.agents = agents;
+    this.originalPrices = originalPrices;
+    this.prices = [{ tick: fromTick, price: engine.marketState.current_price }];
+    this.ticksToRun = ticks;
+    this.replayMatched = replayMatched;
+
+    /** @type {'pending' | 'running' | 'completed' | 'stopped' | 'failed'} */
+    this.status = 'pending';
+    this.error = null;
+    this.createdAt = new Date();
+  }
+
+  /**
+   * Initialize the agents and run the fork forward
+   * Forced decisions replace the LLM's choice on the first forked tick only.
+   * @returns {Promise<void>}
+   */
+  async run() {
+    this.status = 'running';
+    console.log(`\n🔀 Fork ${this.id.substring(0, 8)} running ${this.ticksToRun} ticks from tick ${this.fromTick}...`);
+
+    try {
+      await Promise.all(this.agents.map(agent => agent.initialize()));
+
+      for (let i = 0; i < this.ticksToRun; i++) {
+        const marketState = this.engine.getMarketState();
+        const forced = i === 0 ? this.overrides.decisions || {} : {};
+        const decisions = {};
+
+        for (const agent of this.agents) {
+          if (this.status !== 'running') return;
+
+          const agentId = agent.getState().id;
+          decisions[agentId] = forced[agentId]
+            ? { quantity: 0, note: 'What-if: forced decision', ...forced[agentId] }
+            : await agent.makeDecision(marketState);
+        }
+
+        if (this.status !== 'running') return;
+
+        const result = await this.engine.executeTick(decisions);
+        this.prices.push({ tick: result.tick, price: result.price_after });
+        console.log(`   🔀 Fork ${this.id.substring(0, 8)} tick ${result.tick}: $${result.price_before.toFixed(4)} → $${result.price_after.toFixed(4)}`);
+
+        if (result.market_state.seller_inventory <= 0) break;
+      }
+
+      this.status = 'completed';
+      console.log(`   ✅ Fork ${this.id.substring(0, 8)} completed\n`);
+    } catch (error) {
+      console.error(`   ❌ Fork ${this.id.substring(0, 8)} failed:`, error);
+      this.status = 'failed';
+      this.error = error.message;
+    }
+  }
+
+  /**
+   * Stop the fork after the current agent decision
+   */
+  stop() {
+    if (this.status === 'pending' || this.status === 'running') {
+      this.status = 'stopped';
+    }
+  }
+
+  /**
+   * @returns {import('../types/index.js').ForkSummary}
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      source_session_id: this.sourceSessionId,
+      from_tick: this.fromTick,
+      overrides: this.overrides,
+      status: this.status,
+      error: this.error,
+      replay_matched: this.replayMatched,
+      ticks_run: this.prices.length - 1,
+      ticks_requested: this.ticksToRun,
+      created_at: this.createdAt,
+    };
+  }
+
+  /**
+   * Summary plus both price paths and the fork's current market and agents
+   * @returns {Object}
+   */
+  getDetail() {
+    return {
+      ...this.getSummary(),
+      original_prices: this.originalPrices,
+      fork_prices: this.prices,
+      market: this.engine.getMarketState(),
+      agents: this.engine.getAgents().map(({ credentials, ...agent }) => agent),
+    };
+  }
+}
+
+/**
+ * Branch a recording at a past tick
+ * Replays the recording to rebuild the state after fromTick, applies the overrides
+ * and returns a Fork ready to run (call fork.run()).
+ * @param {import('../types/index.js').Recording} recording
+ * @param {Object} params
+ * @param {string} params.sourceSessionId - Session the recording belongs to
+ * @param {number} params.fromTick - Fork from the state after this tick
+ * @param {number} [params.ticks] - Ticks to run forward (default: as many as the original ran after fromTick)
+ * @param {import('../types/index.js').ForkOverrides} [params.overrides] - What to change
+ * @param {(state: import('../types/index.js').AgentState) => Object} params.createAgent - Builds a live agent with simulated payments
+ * @returns {Promise<Fork>}
+ */
+export async function createFork(recording, { sourceSessionId, fromTick, ticks, overrides = {}, createAgent }) {
+  if (!recording?.initial || recording.ticks.length === 0) {
+    throw new Error('Recording has no executed ticks to fork from');
+  }
+
+  const firstTick = recording.initial.market.tick;
+  const lastTick = recording.ticks.at(-1).tick;
+  if (!Number.isInteger(fromTick) || fromTick < firstTick || fromTick > lastTick) {
+    throw new Error(`fromTick must be an integer between ${firstTick} and ${lastTick}`);
+  }
+
+  // Original price path (whole recording) and the engine positioned at the fork point
+  const original = await replayRecording(recording);
+  const originalPrices = [
+    { tick: firstTick, price: original.results[0].price_before },
+    ...original.results.map(r => ({ tick: r.tick, price: r.price_after })),
+  ];
+  const atFork = await replayRecording(recording, { untilTick: fromTick });
+  if (!atFork.matched) {
+    console.log(`   ⚠️  Replay diverged at tick ${atFork.mismatches[0].tick} - fork state may differ from the original`);
+  }
+
+  const snapshot = structuredClone(atFork.engine.toSnapshot());
+  applyOverrides(snapshot, overrides);
+
+  const agents = snapshot.agents.map(state => createAgent(state));
+  const engine = MarketEngine.fromSnapshot(snapshot, agents, { sessionId: uuidv4() });
+
+  const ticksToRun = ticks ?? Math.max(1, lastTick - fromTick);
+  if (!Number.isInteger(ticksToRun) || ticksToRun < 1) {
+    throw new Error('ticks must be a positive integer');
+  }
+
+  return new Fork({
+    sourceSessionId,
+    fromTick,
+    overrides,
+    engine,
+    agents,
+    originalPrices,
+    ticks: ticksToRun,
+    replayMatched: atFork.matched,
+  });
+}
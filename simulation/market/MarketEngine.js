@@ -1,6 +1,17 @@
 import { PricingEngine } from './PricingEngine.js';
+import { OrderBook } from './OrderBook.js';
+import { SeededRandom } from './SeededRandom.js';
+import { fingerprintTickResult } from './TickFingerprint.js';
+import { allocateInventory, resolveAllocationPolicy } from './AllocationPolicy.js';
+import { PriceImpact } from './PriceImpact.js';
+import { FeeSchedule } from './FeeSchedule.js';
+import { RiskManager } from './RiskManager.js';
+import { PositionBook } from './PositionBook.js';
+import { NettingBook } from '../settlement/NettingBook.js';
 import { v4 as uuidv4 } from 'uuid';
 
+export const SETTLEMENT_MODES = ['per_fill', 'netted'];
+
 /**
  * MarketEngine - Core simulation coordinator
  * Manages market state, executes ticks, processes transactions
@@ -11,14 +22,16 @@ export class MarketEngine {
    * @param {number} initialInventory - Starting inventory
    * @param {import('../types/index.js').AgentState[]} agentStates - Array of agent states
    * @param {Array} agentInstances - Array of agent instances (with MCP tools)
+   * @param {import('../types/index.js').MarketEngineOptions} [options] - Engine configuration
    */
-  constructor(initialPrice, initialInventory, agentStates, agentInstances = []) {
+  constructor(initialPrice, initialInventory, agentStates, agentInstances = [], options = {}) {
     /** @type {import('../types/index.js').MarketState} */
     this.marketState = {
       tick: 0,
       current_price: initialPrice,
       seller_inventory: initialInventory,
       seller_revenue: 0,
+      treasury: 0,
       last_updated: new Date(),
     };
     
@@ -28,213 +41,413 @@ export class MarketEngine {
     /** @type {Map<string, any>} */
     this.agentInstances = new Map(agentInstances.map(a => [a.getState().id, a]));
     
-    this.pricingEngine = new PricingEngine();
+    // Every random draw (price noise, transaction and order IDs) comes from this seed
+    this.seed = options.seed ?? SeededRandom.randomSeed();
+    this.random = new SeededRandom(this.seed);
+    
+    this.pricingEngine = new PricingEngine(options.pricing, this.random);
+    this.pricingConfig = this.pricingEngine.config;
+    this.pricingEngine.initialize(initialPrice);
+    
+    // Exchange fees and the merchant's spread around the mid price
+    this.fees = new FeeSchedule(options.fees);
+    this.feeConfig = this.fees.config;
+    
+    // Large merchant fills walk the price within a tick
+    this.priceImpact = new PriceImpact({
+      perUnit: this.pricingConfig.priceImpact,
+      minPrice: this.pricingEngine.minPrice,
+      maxPrice: this.pricingEngine.maxPrice,
+    });
+    
+    // Per-agent position, drawdown, loss and cooldown limits, plus stop-loss / take-profit exits
+    this.risk = new RiskManager();
+    
+    // Lots, realized and unrealized P&L and equity per agent (FIFO, LIFO or average cost)
+    this.positions = new PositionBook();
+    
+    // How scarce merchant inventory is shared between market buys (pro_rata, random, priority)
+    this.allocationPolicy = resolveAllocationPolicy(options.allocationPolicy);
+    
+    this.orderBook = new OrderBook(() => this.random.uuid());
+    for (const agent of this.agents.values()) {
+      agent.open_orders = agent.open_orders || [];
+      agent.long_term.total_fees = agent.long_term.total_fees || 0;
+      // Starting inventory is costed at the starting price
+      this.positions.open(agent, initialPrice, 0);
+    }
     
     /** @type {import('../types/index.js').TickResult[]} */
     this.tickHistory = [];
+    
+    /**
+     * Everything needed to replay this run: the starting state plus each tick's raw decisions
+     * @type {import('../types/index.js').Recording}
+     */
+    this.recording = {
+      seed: this.seed,
+      pricing: this.pricingConfig,
+      allocation_policy: this.allocationPolicy,
+      fees: this.feeConfig,
+      initial: null,
+      ticks: [],
+    };
+    
+    /** @type {import('../types/index.js').FailedPayment[]} */
+    this.failedPayments = [];
+    
+    /** @type {Map<string, number>} */
+    this.paymentCounts = new Map();
+    
+    this.tickInProgress = false;
+    
+    // Persistent ledger (optional) - every session, tick, decision and transaction is appended to it
+    this.sessionId = options.sessionId || uuidv4();
+    // Fresh for every start and resume, so ticks re-run after a resume never reuse a payment key
+    this.runId = uuidv4().substring(0, 8);
+    this.ledger = options.ledger || null;
+    
+    // Settlement journal (optional) - real payments are journaled before they are sent
+    this.settlements = options.settlements || null;
+    
+    // per_fill: one payment per fill; netted: fills accrue and each window settles the net per agent
+    this.settlementMode = options.settlementMode || process.env.SETTLEMENT_MODE || 'per_fill';
+    if (!SETTLEMENT_MODES.includes(this.settlementMode)) {
+      throw new Error(`Unknown settlement mode "${this.settlementMode}" (expected one of: ${SETTLEMENT_MODES.join(', ')})`);
+    }
+    this.netting = new NettingBook(options.settlementWindowTicks ?? parseInt(process.env.SETTLEMENT_WINDOW_TICKS || '10'));
+    
+    // Session spending caps and kill switch (optional) - shared with the agents, which check it before paying
+    this.spendingGuard = options.spendingGuard || null;
+    if (!options.resumed) {
+      this.writeLedger(ledger => ledger.startSession(this.sessionId, {
+        seed: this.seed,
+        pricing: this.pricingConfig,
+        allocation_policy: this.allocationPolicy,
+        fees: this.feeConfig,
+        settlement_mode: this.settlementMode,
+        run_id: this.runId,
+        initial_price: initialPrice,
+        initial_inventory: initialInventory,
+        agents: agentStates.map(a => ({ id: a.id, name: a.name, personality: a.personality })),
+      }));
+    }
+  }
+
+  /**
+   * Rebuild an engine from a snapshot taken with toSnapshot()
+   * The session continues under its original ID, seed and random position.
+   * @param {import('../types/index.js').SimulationSnapshot} snapshot
+   * @param {Array} agentInstances - Agent instances built from snapshot.agents (with fresh credentials)
+   * @param {import('../types/index.js').MarketEngineOptions} [options] - Extra options (e.g. ledger)
+   * @returns {MarketEngine}
+   */
+  static fromSnapshot(snapshot, agentInstances, options = {}) {
+    const engine = new MarketEngine(
+      snapshot.market_state.current_price,
+      snapshot.market_state.seller_inventory,
+      agentInstances.map(a => a.getState()),
+      agentInstances,
+      {
+        seed: snapshot.seed,
+        pricing: snapshot.pricing,
+        allocationPolicy: snapshot.allocation_policy,
+        fees: snapshot.fees,
+        // Snapshots taken before these were saved fall back to the env
+        settlementMode: snapshot.settlement_mode,
+        settlementWindowTicks: snapshot.netting?.window_ticks,
+        sessionId: snapshot.session_id,
+        resumed: true,
+        ...options,
+      }
+    );
+    
+    engine.marketState.tick = snapshot.market_state.tick;
+    engine.marketState.seller_revenue = snapshot.market_state.seller_revenue;
+    engine.marketState.treasury = snapshot.market_state.treasury ?? 0;
+    engine.orderBook.loadState(snapshot.order_book);
+    engine.random.setState(snapshot.random_state);
+    // A snapshot whose pricing model was swapped has no state - the new model starts at the current price
+    if (snapshot.pricing_state) {
+      engine.pricingEngine.loadModelState(snapshot.pricing_state);
+    }
+    engine.tickHistory = snapshot.tick_history || [];
+    // Positions still owed from before the snapshot settle with the next window
+    if (snapshot.netting) {
+      engine.netting.loadState(snapshot.netting);
+    }
+    // Caps keep counting from where the session left off
+    if (snapshot.spending && engine.spendingGuard) {
+      engine.spendingGuard.loadState(snapshot.spending);
+    }
+    
+    engine.writeLedger(ledger => ledger.resumeSession(engine.sessionId, { tick: engine.marketState.tick, run_id: engine.runId }));
+    
+    return engine;
+  }
+
+  /**
+   * Capture everything needed to resume this simulation later
+   * Agent credentials are never included - they are re-read from the environment on resume.
+   * @returns {import('../types/index.js').SimulationSnapshot}
+   */
+  toSnapshot() {
+    if (this.tickInProgress) {
+      throw new Error('A tick is in progress - try again once it completes');
+    }
+    
+    return {
+      version: 1,
+      taken_at: new Date(),
+      session_id: this.sessionId,
+      seed: this.seed,
+      random_state: this.random.getState(),
+      pricing: this.pricingConfig,
+      pricing_state: this.pricingEngine.getConfig().state,
+      allocation_policy: this.allocationPolicy,
+      fees: this.feeConfig,
+      settlement_mode: this.settlementMode,
+      market_state: {
+        tick: this.marketState.tick,
+        current_price: this.marketState.current_price,
+        seller_inventory: this.marketState.seller_inventory,
+        seller_revenue: this.marketState.seller_revenue,
+        treasury: this.marketState.treasury,
+      },
+      order_book: this.orderBook.getState(),
+      agents: this.getAgents().map(({ credentials, ...agent }) => structuredClone(agent)),
+      tick_history: this.tickHistory,
+      netting: this.netting.getState(),
+      spending: this.spendingGuard?.getState(),
+    };
+  }
+
+  /**
+   * Write to the ledger if one is attached
+   * Ledger failures are logged, never thrown - by the time we record, payments have already moved
+   * @param {(ledger: import('../ledger/Ledger.js').Ledger) => void} write
+   */
+  writeLedger(write) {
+    if (!this.ledger) return;
+    try {
+      write(this.ledger);
+    } catch (error) {
+      console.error(`   ❌ Ledger write failed for session ${this.sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark the session as ended in the ledger
+   * @param {string} reason - Why the session ended (e.g. 'stopped', 'inventory_depleted')
+   */
+  endSession(reason) {
+    this.writeLedger(ledger => ledger.endSession(this.sessionId, {
+      reason,
+      final_tick: this.marketState.tick,
+      final_price: this.marketState.current_price,
+      seller_inventory: this.marketState.seller_inventory,
+      seller_revenue: this.marketState.seller_revenue,
+    }));
+  }
+
+  /**
+   * Capture the state the recording replays from
+   * Taken lazily on the first tick so balances fetched after construction are included
+   */
+  captureInitialState() {
+    this.recording.initial = {
+      market: {
+        tick: this.marketState.tick,
+        current_price: this.marketState.current_price,
+        seller_inventory: this.marketState.seller_inventory,
+        seller_revenue: this.marketState.seller_revenue,
+        treasury: this.marketState.treasury,
+      },
+      // Credentials never leave the process
+      agents: this.getAgents().map(({ credentials, ...agent }) => structuredClone(agent)),
+      order_book: this.orderBook.getState(),
+      random_state: this.random.getState(),
+      pricing_state: this.pricingEngine.getConfig().state,
+    };
+    this.writeLedger(ledger => ledger.recordInitialState(this.sessionId, this.recording.initial));
   }
 
   /**
    * Execute one tick of the simulation
    * @param {Object.<string, import('../types/index.js').AgentDecision>} decisions - Agent decisions
+   * @param {Object.<string, import('../types/index.js').DecisionAudit>} [audits] - How each decision was made, for the ledger
    * @returns {Promise<import('../types/index.js').TickResult>}
    */
-  async executeTick(decisions) {
+  async executeTick(decisions, audits = {}) {
+    // Payments are awaited mid-tick, so snapshots must not be taken until the tick settles
+    this.tickInProgress = true;
+    try {
+      return await this.runTick(decisions, audits);
+    } finally {
+      this.tickInProgress = false;
+    }
+  }
+
+  /**
+   * @param {Object.<string, import('../types/index.js').AgentDecision>} decisions - Agent decisions
+   * @param {Object.<string, import('../types/index.js').DecisionAudit>} audits
+   * @returns {Promise<import('../types/index.js').TickResult>}
+   */
+  async runTick(decisions, audits) {
+    if (!this.recording.initial) {
+      this.captureInitialState();
+    }
+    
     const tick = ++this.marketState.tick;
     const priceBefore = this.marketState.current_price;
+    // Payments sent this tick per agent and side, numbering idempotency keys
+    this.paymentCounts = new Map();
     
     /** @type {import('../types/index.js').Transaction[]} */
     const transactions = [];
     
-    // 1. Sanitize and validate decisions
-    const validDecisions = this.sanitizeDecisions(decisions);
+    this.failedPayments = [];
+    this.priceImpact.reset();
+    
+    // 1. Sanitize and validate decisions, then apply each agent's risk limits and exits
+    const { decisions: validDecisions, overrides: riskOverrides } = this.risk.apply(
+      this.sanitizeDecisions(decisions),
+      this.agents,
+      tick,
+      priceBefore,
+      this.fees.bidPrice(priceBefore)
+    );
     
-    // 2. Execute purchases and sales
+    // 2. Drop expired GTT orders and process cancellations before anything new is routed
+    const expiredOrders = this.orderBook.expire(tick);
+    for (const order of expiredOrders) {
+      console.log(`   ⌛ Limit ${order.side} order ${order.id.substring(0, 8)} expired (${order.remaining} unfilled)`);
+    }
+    for (const [agentId, decision] of Object.entries(validDecisions)) {
+      if (decision.cancel_open_orders) {
+        const cancelled = this.orderBook.cancelForAgent(agentId);
+        if (cancelled.length > 0) {
+          console.log(`   🗑️  Cancelled ${cancelled.length} resting order(s) for ${this.agents.get(agentId)?.name}`);
+        }
+      }
+    }
+    
+    // 3. Share merchant inventory between market buys before any payment is sent
+    const allocation = allocateInventory(
+      this.allocationPolicy,
+      Object.entries(validDecisions)
+        .filter(([, decision]) => decision.action === 'buy' && decision.order_type === 'market')
+        .map(([agentId, decision]) => ({
+          agentId,
+          quantity: decision.quantity,
+          priority: this.agents.get(agentId)?.preferences.priority ?? 0,
+        })),
+      this.marketState.seller_inventory,
+      this.random
+    );
+    if (allocation.scarce) {
+      console.log(`   ⚖️  Inventory short (${allocation.available} available) - ${allocation.policy} allocation: ${JSON.stringify(allocation.allocated)}`);
+    }
+    
+    // 4. Route orders: market orders fill against the merchant, limit orders go to the book
     let totalDemand = 0;
     let totalSupply = 0;
     
+    /** @type {import('../types/index.js').LimitOrder[]} */
+    const immediateOrders = [];
+    
     for (const [agentId, decision] of Object.entries(validDecisions)) {
-      if (decision.action === 'buy' && decision.quantity > 0) {
-        const agent = this.agents.get(agentId);
-        const agentInstance = this.agentInstances.get(agentId);
-        if (!agent || !agentInstance) continue;
+      const agent = this.agents.get(agentId);
+      if (!agent) continue;
+      
+      if (decision.action === 'wait' || decision.quantity <= 0) {
+        this.recordAction(agent, { tick, action: 'wait', qty: 0, note: decision.note });
+      } else if (decision.order_type === 'limit') {
+        const order = this.orderBook.add({
+          agentId,
+          side: decision.action,
+          price: decision.limit_price,
+          quantity: decision.quantity,
+          timeInForce: decision.time_in_force || 'GTC',
+          tick,
+          expiresAtTick: decision.time_in_force === 'GTT' ? tick + decision.expire_after_ticks : undefined,
+          note: decision.note,
+        });
         
-        const qty = decision.quantity;
-        const cost = qty * this.marketState.current_price;
+        console.log(`   📝 ${agent.name} placed limit ${order.side} ${order.quantity} @ $${order.price.toFixed(4)} (${order.time_in_force})`);
         
-        // Check if we have inventory and agent has money
-        if (
-          this.marketState.seller_inventory >= qty &&
-          agent.money >= cost
-        ) {
-          try {
-            // Execute REAL MCP transaction via agent's purchase tool
-            console.log(`   💸 Executing real MCP purchase for ${agent.name}: ${qty} apples @ $${this.marketState.current_price}`);
-            
-            const result = await agentInstance.purchaseTool.invoke({
-              quantity: qty,
-            });
-            
-            // Parse result (it's a JSON string)
-            const purchaseResult = JSON.parse(result);
-            
-            if (!purchaseResult.success) {
-              console.error(`   ❌ Purchase failed for ${agent.name}: ${purchaseResult.error}`);
-              continue; // Skip this transaction
-            }
-            
-            console.log(`   ✅ MCP purchase successful for ${agent.name}`);
-            
-            // Update in-memory state (money already deducted by MCP)
-            agent.money -= cost;
-            agent.inventory += qty;
-            this.marketState.seller_inventory -= qty;
-            this.marketState.seller_revenue += cost;
-            
-            // Update long-term stats
-            agent.long_term.total_spent += cost;
-            agent.long_term.total_qty_bought += qty;
-            agent.long_term.avg_purchase_price =
-              agent.long_term.total_spent / agent.long_term.total_qty_bought;
-            agent.long_term.max_single_tick_purchase = Math.max(
-              agent.long_term.max_single_tick_purchase,
-              qty
-            );
-            
-            // Record transaction
-            /** @type {import('../types/index.js').Transaction} */
-            const transaction = {
-              id: uuidv4(),
-              tick,
-              agent_id: agentId,
-              agent_name: agent.name,
-              quantity: qty,
-              price: this.marketState.current_price,
-              total_cost: cost,
-              note: decision.note,
-              timestamp: new Date(),
-              action: 'buy',
-              transaction_hash: purchaseResult.transaction?.id || 'N/A',
-            };
-            
-            transactions.push(transaction);
-            totalDemand += qty;
-            
-            // Update agent history
-            agent.history.actions.push({
-              tick,
-              action: 'buy',
-              qty,
-              price: this.marketState.current_price,
-              note: decision.note,
-            });
-          } catch (error) {
-            console.error(`   ❌ MCP purchase error for ${agent.name}:`, error.message);
-            // Don't update state if transaction failed
-          }
+        if (order.time_in_force === 'IOC') {
+          immediateOrders.push(order);
         }
-      } else if (decision.action === 'sell' && decision.quantity > 0) {
-        const agent = this.agents.get(agentId);
-        const agentInstance = this.agentInstances.get(agentId);
-        if (!agent || !agentInstance) continue;
         
-        const qty = decision.quantity;
-        const revenue = qty * this.marketState.current_price;
+        this.recordAction(agent, {
+          tick,
+          action: 'wait',
+          qty: 0,
+          note: decision.note,
+          order: { id: order.id, side: order.side, price: order.price, quantity: order.quantity },
+        });
+      } else if (decision.action === 'buy') {
+        const quantity = allocation.allocated[agentId];
+        if (quantity <= 0) {
+          this.recordAction(agent, { tick, action: 'wait', qty: 0, note: `Nothing allocated (inventory short) - ${decision.note}` });
+          continue;
+        }
         
-        // Check if agent has inventory to sell
-        if (agent.inventory >= qty) {
-          try {
-            // Execute REAL MCP transaction via agent's sell tool
-            console.log(`   💰 Executing real MCP sale for ${agent.name}: ${qty} apples @ $${this.marketState.current_price}`);
-            
-            const result = await agentInstance.sellTool.invoke({
-              quantity: qty,
-            });
-            
-            // Parse result (it's a JSON string)
-            const sellResult = JSON.parse(result);
-            
-            if (!sellResult.success) {
-              console.error(`   ❌ Sale failed for ${agent.name}: ${sellResult.error}`);
-              continue; // Skip this transaction
-            }
-            
-            console.log(`   ✅ MCP sale successful for ${agent.name}`);
-            
-            // Update in-memory state (money already received via MCP)
-            agent.money += revenue;
-            agent.inventory -= qty;
-            this.marketState.seller_inventory += qty;
-            this.marketState.seller_revenue -= revenue;
-            
-            // Update long-term stats for sales
-            agent.long_term.total_revenue += revenue;
-            agent.long_term.total_qty_sold += qty;
-            agent.long_term.realized_profit = agent.long_term.total_revenue - agent.long_term.total_spent;
-            
-            // Record transaction
-            /** @type {import('../types/index.js').Transaction} */
-            const transaction = {
-              id: uuidv4(),
-              tick,
-              agent_id: agentId,
-              agent_name: agent.name,
-              quantity: qty,
-              price: this.marketState.current_price,
-              total_cost: revenue,
-              note: decision.note,
-              timestamp: new Date(),
-              action: 'sell',
-              transaction_hash: sellResult.transaction?.id || 'N/A',
-            };
-            
-            transactions.push(transaction);
-            totalSupply += qty;
-            
-            // Update agent history
-            agent.history.actions.push({
-              tick,
-              action: 'sell',
-              qty,
-              price: this.marketState.current_price,
-              note: decision.note,
-            });
-          } catch (error) {
-            console.error(`   ❌ MCP sale error for ${agent.name}:`, error.message);
-            // Don't update state if transaction failed
-          }
+        const fillPrice = this.priceImpact.averagePrice('buy', quantity, this.fees.askPrice(priceBefore));
+        const transaction = await this.executeBuy(agentId, quantity, fillPrice, decision.note, tick, { liquidity: 'taker' });
+        if (transaction) {
+          transactions.push(transaction);
+          totalDemand += transaction.quantity;
         }
-      } else {
-        // Wait action
-        const agent = this.agents.get(agentId);
-        if (agent) {
-          agent.history.actions.push({
-            tick,
-            action: 'wait',
-            qty: 0,
-            note: decision.note,
-          });
+      } else if (decision.action === 'sell') {
+        const fillPrice = this.priceImpact.averagePrice('sell', decision.quantity, this.fees.bidPrice(priceBefore));
+        const transaction = await this.executeSell(agentId, decision.quantity, fillPrice, decision.note, tick, { liquidity: 'taker' });
+        if (transaction) {
+          transactions.push(transaction);
+          totalSupply += transaction.quantity;
         }
       }
-      
-      // Update agent price history
+    }
+    
+    // 5. Match resting orders against each other, then against the merchant
+    const bookFlow = await this.matchOrderBook(tick, transactions);
+    totalDemand += bookFlow.demand;
+    totalSupply += bookFlow.supply;
+    
+    // 6. Whatever is left of an IOC order does not rest
+    for (const order of immediateOrders) {
+      if (this.orderBook.remove(order.id)) {
+        console.log(`   ✂️  IOC ${order.side} order ${order.id.substring(0, 8)} cancelled (${order.remaining} unfilled)`);
+      }
+    }
+    
+    // Losing streaks start risk cooldowns
+    this.risk.recordFills(tick, transactions, this.agents);
+    
+    // Update agent price history and open order view
+    for (const agentId of Object.keys(validDecisions)) {
       const agent = this.agents.get(agentId);
-      if (agent) {
-        agent.history.prices_seen.push(this.marketState.current_price);
-        agent.history.last_tick_seen = tick;
-        
-        // Truncate history to last 10
-        if (agent.history.prices_seen.length > 10) {
-          agent.history.prices_seen = agent.history.prices_seen.slice(-10);
-        }
-        if (agent.history.actions.length > 10) {
-          agent.history.actions = agent.history.actions.slice(-10);
-        }
+      if (!agent) continue;
+      
+      agent.history.prices_seen.push(this.marketState.current_price);
+      agent.history.last_tick_seen = tick;
+      
+      // Truncate history to last 10
+      if (agent.history.prices_seen.length > 10) {
+        agent.history.prices_seen = agent.history.prices_seen.slice(-10);
       }
+      if (agent.history.actions.length > 10) {
+        agent.history.actions = agent.history.actions.slice(-10);
+      }
+    }
+    for (const agent of this.agents.values()) {
+      agent.open_orders = this.orderBook.getOrdersForAgent(agent.id);
     }
     
-    // 3. Calculate new price
+    // 7. Calculate new price
     // Net demand = buys - sells (positive = net buying pressure, negative = net selling pressure)
+    // Only merchant fills count - agent-to-agent crosses move no net inventory
     // Baseline = 0 for maximum sensitivity (any imbalance moves price)
     // If net demand > 0 → price goes up (more buying than selling)
     // If net demand < 0 → price goes down (more selling than buying)
@@ -245,13 +458,24 @@ export class MarketEngine {
     const priceAfter = this.pricingEngine.calculatePriceChange(
       netDemand,
       baselineSupply,
-      priceBefore
+      priceBefore,
+      {
+        buyVolume: totalDemand,
+        sellVolume: totalSupply,
+        bids: this.orderBook.bids,
+        asks: this.orderBook.asks,
+      }
     );
     
     this.marketState.current_price = priceAfter;
     this.marketState.last_updated = new Date();
     
-    // 4. Create tick result
+    // Mark every position to the new price
+    for (const agent of this.agents.values()) {
+      this.positions.mark(agent, priceAfter, tick);
+    }
+    
+    // 8. Create tick result
     /** @type {import('../types/index.js').TickResult} */
     const tickResult = {
       tick,
@@ -259,10 +483,23 @@ export class MarketEngine {
       price_after: priceAfter,
       decisions: validDecisions,
       executed_transactions: transactions,
-      market_state: { ...this.marketState },
+      allocation,
+      risk_overrides: riskOverrides,
+      market_state: this.getMarketState(),
+      failed_payments: this.failedPayments,
       timestamp: new Date(),
     };
     
+    /** @type {import('../types/index.js').RecordedTick} */
+    const recordedTick = {
+      tick,
+      decisions: structuredClone(decisions),
+      failed_payments: this.failedPayments,
+      fingerprint: fingerprintTickResult(tickResult),
+    };
+    this.recording.ticks.push(recordedTick);
+    this.writeLedger(ledger => ledger.recordTick(this.sessionId, tickResult, recordedTick, audits));
+    
     this.tickHistory.push(tickResult);
     
     // Keep history bounded (last 100 ticks)
@@ -273,6 +510,665 @@ export class MarketEngine {
     return tickResult;
   }
 
+  /**
+   * Match the order book
+   * First crosses resting bids and asks between agents (price-time priority, fill at the
+   * resting order's price), then fills any orders that are marketable against the merchant
+   * at the current price.
+   * @param {number} tick - Current tick
+   * @param {import('../types/index.js').Transaction[]} transactions - Collected transactions (appended to)
+   * @returns {Promise<{ demand: number, supply: number }>} Units bought from / sold to the merchant
+   */
+  async matchOrderBook(tick, transactions) {
+    let demand = 0;
+    let supply = 0;
+    
+    // Agent-to-agent crosses. The merchant acts as central counterparty: the seller's leg
+    // is settled first (merchant pays seller), then the buyer's leg (buyer pays merchant),
+    // so merchant inventory and revenue net out to zero.
+    let cross = this.orderBook.findCross();
+    while (cross) {
+      const { bid, ask } = cross;
+      const qty = Math.min(bid.remaining, ask.remaining);
+      // The older order set the price and is the maker
+      const bidIsMaker = bid.sequence < ask.sequence;
+      const price = bidIsMaker ? bid.price : ask.price;
+      
+      const seller = this.agents.get(ask.agent_id);
+      const buyer = this.agents.get(bid.agent_id);
+      
+      if (!seller || seller.inventory < qty) {
+        console.log(`   🗑️  Cancelling ask ${ask.id.substring(0, 8)}: seller no longer holds ${qty} apples`);
+        this.orderBook.remove(ask.id);
+      } else if (!buyer || buyer.money < qty * price + this.fees.feeFor(qty * price, bidIsMaker ? 'maker' : 'taker')) {
+        console.log(`   🗑️  Cancelling bid ${bid.id.substring(0, 8)}: buyer cannot fund ${qty} apples @ $${price.toFixed(4)}`);
+        this.orderBook.remove(bid.id);
+      } else {
+        const sale = await this.executeSell(ask.agent_id, qty, price, ask.note, tick, {
+          order: ask,
+          counterparty: bid.agent_id,
+          liquidity: bidIsMaker ? 'taker' : 'maker',
+        });
+        if (!sale) {
+          this.orderBook.remove(ask.id);
+        } else {
+          transactions.push(sale);
+          this.orderBook.fill(ask, qty);
+          
+          const purchase = await this.executeBuy(bid.agent_id, qty, price, bid.note, tick, {
+            order: bid,
+            counterparty: ask.agent_id,
+            liquidity: bidIsMaker ? 'maker' : 'taker',
+          });
+          if (purchase) {
+            transactions.push(purchase);
+            this.orderBook.fill(bid, qty);
+          } else {
+            // Buyer leg failed - merchant keeps the units it took on from the seller
+            console.log(`   ⚠️  Buyer leg failed, merchant absorbs ${qty} apples`);
+            this.orderBook.remove(bid.id);
+            supply += qty;
+          }
+        }
+      }
+      
+      cross = this.orderBook.findCross();
+    }
+    
+    // Orders marketable against the merchant's ask/bid, which have already walked with this tick's fills.
+    // Each order fills only as many units as keep its average price within the limit.
+    // Orders placed this tick take liquidity; orders that rested until the price came to them make it.
+    const askPrice = this.fees.askPrice(this.marketState.current_price);
+    const bidPrice = this.fees.bidPrice(this.marketState.current_price);
+    const liquidityOf = (order) => order.placed_tick === tick ? 'taker' : 'maker';
+    
+    for (const bid of [...this.orderBook.bids]) {
+      if (bid.price < this.priceImpact.quote('buy', askPrice)) break;
+      const qty = this.priceImpact.maxQuantityWithin(
+        'buy',
+        bid.price,
+        askPrice,
+        Math.min(bid.remaining, this.marketState.seller_inventory)
+      );
+      if (qty <= 0) break;
+      
+      const fillPrice = this.priceImpact.averagePrice('buy', qty, askPrice);
+      const transaction = await this.executeBuy(bid.agent_id, qty, fillPrice, bid.note, tick, { order: bid, liquidity: liquidityOf(bid) });
+      if (transaction) {
+        transactions.push(transaction);
+        this.orderBook.fill(bid, qty);
+        demand += qty;
+      } else {
+        this.orderBook.remove(bid.id);
+      }
+    }
+    
+    for (const ask of [...this.orderBook.asks]) {
+      if (ask.price > this.priceImpact.quote('sell', bidPrice)) break;
+      const qty = this.priceImpact.maxQuantityWithin('sell', ask.price, bidPrice, ask.remaining);
+      if (qty <= 0) break;
+      
+      const fillPrice = this.priceImpact.averagePrice('sell', qty, bidPrice);
+      const transaction = await this.executeSell(ask.agent_id, qty, fillPrice, ask.note, tick, { order: ask, liquidity: liquidityOf(ask) });
+      if (transaction) {
+        transactions.push(transaction);
+        this.orderBook.fill(ask, transaction.quantity);
+        supply += transaction.quantity;
+      } else {
+        this.orderBook.remove(ask.id);
+      }
+    }
+    
+    return { demand, supply };
+  }
+
+  /**
+   * Buy from the merchant: send the MCP payment, then update in-memory state
+   * @param {string} agentId - Buying agent
+   * @param {number} qty - Units to buy
+   * @param {number} price - Average price per unit (after price impact)
+   * @param {string} note - Reasoning for the trade
+   * @param {number} tick - Current tick
+   * @param {Object} [fill] - Order book context
+   * @param {import('../types/index.js').LimitOrder} [fill.order] - Limit order being filled
+   * @param {string} [fill.counterparty] - Agent on the other side of a cross
+   * @param {'maker' | 'taker'} [fill.liquidity] - Fee tier (default taker)
+   * @returns {Promise<import('../types/index.js').Transaction | null>} Transaction, or null if not executed
+   */
+  async executeBuy(agentId, qty, price, note, tick, fill = {}) {
+    const agent = this.agents.get(agentId);
+    const agentInstance = this.agentInstances.get(agentId);
+    if (!agent || !agentInstance) return null;
+    
+    const cost = qty * price;
+    const liquidity = fill.liquidity || 'taker';
+    const fee = this.fees.feeFor(cost, liquidity);
+    
+    // Check if we have inventory and agent has money (the fee is paid in the same transfer)
+    if (this.marketState.seller_inventory < qty || agent.money < cost + fee) {
+      return null;
+    }
+    
+    let settlement = null;
+    let idempotencyKey;
+    try {
+      // Netted fills are paid when the settlement window closes
+      let purchaseResult = { success: true, netted: true };
+      if (this.settlementMode === 'per_fill') {
+        idempotencyKey = this.idempotencyKey(agentId, 'buy', tick);
+        settlement = this.beginSettlement(agentId, 'buy', qty, price, fee, cost + fee, tick, idempotencyKey);
+        
+        // Execute REAL MCP transaction via agent's purchase tool
+        console.log(`   💸 Executing real MCP purchase for ${agent.name}: ${qty} apples @ $${price} + $${fee.toFixed(6)} ${liquidity} fee`);
+        
+        const result = await agentInstance.purchase(qty, price, fee, this.paymentTags(settlement, idempotencyKey));
+        
+        // Parse result (it's a JSON string)
+        purchaseResult = JSON.parse(result);
+        
+        if (!purchaseResult.success) {
+          console.error(`   ❌ Purchase failed for ${agent.name}: ${purchaseResult.error}`);
+          this.failedPayments.push({ agent_id: agentId, action: 'buy', quantity: qty, price, error: purchaseResult.error });
+          this.closeSettlement(settlement, journal => purchaseResult.outcome_unknown
+            ? journal.markUnresolved(settlement.id, purchaseResult.error)
+            : journal.fail(settlement.id, purchaseResult.error));
+          return null; // Skip this transaction
+        }
+        
+        console.log(`   ✅ MCP purchase successful for ${agent.name}`);
+      } else {
+        const refused = this.authorizeNettedFill(agent, 'buy', qty, price, cost + fee);
+        if (refused) {
+          console.error(`   ❌ Purchase refused for ${agent.name}: ${refused}`);
+          this.failedPayments.push({ agent_id: agentId, action: 'buy', quantity: qty, price, error: refused });
+          return null;
+        }
+      }
+      
+      // Merchant fills walk the intra-tick price; crosses between agents do not
+      if (!fill.counterparty) {
+        this.priceImpact.record('buy', qty);
+      }
+      
+      // Open a lot (sets avg_purchase_price to the cost of the apples held)
+      this.positions.buy(agent, qty, (cost + fee) / qty, tick);
+      
+      // Update in-memory state (money already deducted by MCP)
+      agent.money -= cost + fee;
+      agent.inventory += qty;
+      this.marketState.seller_inventory -= qty;
+      this.marketState.seller_revenue += cost;
+      this.marketState.treasury += fee;
+      
+      // Update long-term stats (fees are part of the cost basis)
+      agent.long_term.total_spent += cost + fee;
+      agent.long_term.total_fees += fee;
+      agent.long_term.total_qty_bought += qty;
+      agent.long_term.max_single_tick_purchase = Math.max(
+        agent.long_term.max_single_tick_purchase,
+        qty
+      );
+      
+      // Record transaction
+      /** @type {import('../types/index.js').Transaction} */
+      const transaction = {
+        id: this.random.uuid(),
+        tick,
+        agent_id: agentId,
+        agent_name: agent.name,
+        quantity: qty,
+        price,
+        avg_fill_price: price,
+        ...this.slippage('buy', price, fill),
+        total_cost: cost,
+        fee,
+        net_amount: cost + fee,
+        liquidity,
+        note,
+        timestamp: new Date(),
+        action: 'buy',
+        order_type: fill.order ? 'limit' : 'market',
+        order_id: fill.order?.id,
+        counterparty: fill.counterparty || 'merchant',
+        transaction_hash: purchaseResult.netted ? 'unsettled' : purchaseResult.transaction?.id || 'N/A',
+        idempotency_key: idempotencyKey,
+      };
+      
+      // Update agent history
+      this.recordAction(agent, { tick, action: 'buy', qty, price, note });
+      
+      if (purchaseResult.netted) {
+        this.netting.record(transaction);
+      }
+      
+      this.closeSettlement(settlement, journal => journal.settle(settlement.id, {
+        transaction_id: transaction.id,
+        transaction_hash: transaction.transaction_hash,
+      }));
+      
+      return transaction;
+    } catch (error) {
+      console.error(`   ❌ MCP purchase error for ${agent.name}:`, error.message);
+      this.failedPayments.push({ agent_id: agentId, action: 'buy', quantity: qty, price, error: error.message });
+      // The payment may have gone through before the error - leave it for review
+      this.closeSettlement(settlement, journal => journal.markUnresolved(settlement.id, error.message));
+      // Don't update state if transaction failed
+      return null;
+    }
+  }
+
+  /**
+   * Sell to the merchant: send the MCP payment, then update in-memory state
+   * @param {string} agentId - Selling agent
+   * @param {number} qty - Units to sell
+   * @param {number} price - Average price per unit (after price impact)
+   * @param {string} note - Reasoning for the trade
+   * @param {number} tick - Current tick
+   * @param {Object} [fill] - Order book context
+   * @param {import('../types/index.js').LimitOrder} [fill.order] - Limit order being filled
+   * @param {string} [fill.counterparty] - Agent on the other side of a cross
+   * @param {'maker' | 'taker'} [fill.liquidity] - Fee tier (default taker)
+   * @returns {Promise<import('../types/index.js').Transaction | null>} Transaction, or null if not executed
+   */
+  async executeSell(agentId, qty, price, note, tick, fill = {}) {
+    const agent = this.agents.get(agentId);
+    const agentInstance = this.agentInstances.get(agentId);
+    if (!agent || !agentInstance) return null;
+    
+    const revenue = qty * price;
+    const liquidity = fill.liquidity || 'taker';
+    const fee = this.fees.feeFor(revenue, liquidity);
+    
+    // Check if agent has inventory to sell
+    if (agent.inventory < qty) {
+      return null;
+    }
+    
+    // The fee is withheld from the payout, so a sale worth less than its fee is refused
+    if (revenue <= fee) {
+      console.log(`   ⚠️  ${agent.name}: sale of ${qty} apples ($${revenue.toFixed(6)}) does not cover the $${fee.toFixed(6)} fee`);
+      return null;
+    }
+    
+    let settlement = null;
+    let idempotencyKey;
+    try {
+      // Netted fills are paid when the settlement window closes
+      let sellResult = { success: true, netted: true };
+      if (this.settlementMode === 'per_fill') {
+        idempotencyKey = this.idempotencyKey(agentId, 'sell', tick);
+        settlement = this.beginSettlement(agentId, 'sell', qty, price, fee, revenue - fee, tick, idempotencyKey);
+        
+        // Execute REAL MCP transaction via agent's sell tool
+        console.log(`   💰 Executing real MCP sale for ${agent.name}: ${qty} apples @ $${price} - $${fee.toFixed(6)} ${liquidity} fee`);
+        
+        const result = await agentInstance.sell(qty, price, fee, this.paymentTags(settlement, idempotencyKey));
+        
+        // Parse result (it's a JSON string)
+        sellResult = JSON.parse(result);
+        
+        if (!sellResult.success) {
+          console.error(`   ❌ Sale failed for ${agent.name}: ${sellResult.error}`);
+          this.failedPayments.push({ agent_id: agentId, action: 'sell', quantity: qty, price, error: sellResult.error });
+          this.closeSettlement(settlement, journal => sellResult.outcome_unknown
+            ? journal.markUnresolved(settlement.id, sellResult.error)
+            : journal.fail(settlement.id, sellResult.error));
+          return null; // Skip this transaction
+        }
+        
+        console.log(`   ✅ MCP sale successful for ${agent.name}`);
+      } else {
+        const refused = this.authorizeNettedFill(agent, 'sell', qty, price, revenue - fee);
+        if (refused) {
+          console.error(`   ❌ Sale refused for ${agent.name}: ${refused}`);
+          this.failedPayments.push({ agent_id: agentId, action: 'sell', quantity: qty, price, error: refused });
+          return null;
+        }
+      }
+      
+      if (!fill.counterparty) {
+        this.priceImpact.record('sell', qty);
+      }
+      
+      // Close lots in cost basis order (sets realized_profit and avg_purchase_price)
+      const closed = this.positions.sell(agent, qty, revenue - fee, tick);
+      
+      // Update in-memory state (money already received via MCP)
+      agent.money += revenue - fee;
+      agent.inventory -= qty;
+      this.marketState.seller_inventory += qty;
+      this.marketState.seller_revenue -= revenue;
+      this.marketState.treasury += fee;
+      
+      // Update long-term stats for sales (net of fees)
+      agent.long_term.total_revenue += revenue - fee;
+      agent.long_term.total_fees += fee;
+      agent.long_term.total_qty_sold += qty;
+      
+      // Record transaction
+      /** @type {import('../types/index.js').Transaction} */
+      const transaction = {
+        id: this.random.uuid(),
+        tick,
+        agent_id: agentId,
+        agent_name: agent.name,
+        quantity: qty,
+        price,
+        avg_fill_price: price,
+        ...this.slippage('sell', price, fill),
+        total_cost: revenue,
+        fee,
+        net_amount: revenue - fee,
+        ...closed,
+        liquidity,
+        note,
+        timestamp: new Date(),
+        action: 'sell',
+        order_type: fill.order ? 'limit' : 'market',
+        order_id: fill.order?.id,
+        counterparty: fill.counterparty || 'merchant',
+        transaction_hash: sellResult.netted ? 'unsettled' : sellResult.transaction?.id || 'N/A',
+        idempotency_key: idempotencyKey,
+      };
+      
+      // Update agent history
+      this.recordAction(agent, { tick, action: 'sell', qty, price, note, realized: closed.realized_pnl });
+      
+      if (sellResult.netted) {
+        this.netting.record(transaction);
+      }
+      
+      this.closeSettlement(settlement, journal => journal.settle(settlement.id, {
+        transaction_id: transaction.id,
+        transaction_hash: transaction.transaction_hash,
+      }));
+      
+      return transaction;
+    } catch (error) {
+      console.error(`   ❌ MCP sale error for ${agent.name}:`, error.message);
+      this.failedPayments.push({ agent_id: agentId, action: 'sell', quantity: qty, price, error: error.message });
+      // The payment may have gone through before the error - leave it for review
+      this.closeSettlement(settlement, journal => journal.markUnresolved(settlement.id, error.message));
+      // Don't update state if transaction failed
+      return null;
+    }
+  }
+
+  /**
+   * Journal a payment as pending before it is sent
+   * Simulated payments move no funds, so only real ones are journaled.
+   * Throws if the journal can't be written - the payment must not be sent unrecorded.
+   * @param {string} agentId
+   * @param {'buy' | 'sell'} action
+   * @param {number} qty
+   * @param {number} price
+   * @param {number} fee
+   * @param {number} amount - USDC the payment moves
+   * @param {number} tick
+   * @param {string} idempotencyKey
+   * @param {Object} [details] - Extra fields to journal (e.g. the netting window)
+   * @returns {import('../types/index.js').SettlementEntry | null} Entry, or null if not journaled
+   */
+  beginSettlement(agentId, action, qty, price, fee, amount, tick, idempotencyKey, details = {}) {
+    if (!this.settlements || this.agentInstances.get(agentId).isDevMode?.()) return null;
+    return this.settlements.begin({
+      session_id: this.sessionId,
+      tick,
+      agent_id: agentId,
+      action,
+      quantity: qty,
+      price,
+      fee,
+      amount,
+      idempotency_key: idempotencyKey,
+      ...details,
+    });
+  }
+
+  /**
+   * Idempotency key for the next payment of an agent's buys or sells this tick
+   * Derived from session, run, tick and agent, so a retried payment can be recognised in the
+   * payment ledger instead of being sent twice. The run ID changes on every resume, so a tick
+   * re-run from an earlier snapshot gets new keys rather than those of payments already sent.
+   * @param {string} agentId
+   * @param {'buy' | 'sell' | 'net'} action
+   * @param {number} tick
+   * @param {number} [n] - Payment number (default: the next one this tick)
+   * @returns {string} e.g. "<session>:<run>:12:buyer_1:buy:0"
+   */
+  idempotencyKey(agentId, action, tick, n) {
+    if (n === undefined) {
+      const counter = `${agentId}:${action}`;
+      n = this.paymentCounts.get(counter) || 0;
+      this.paymentCounts.set(counter, n + 1);
+    }
+    return `${this.sessionId}:${this.runId}:${tick}:${agentId}:${action}:${n}`;
+  }
+
+  /**
+   * Memo tags for a payment, plus the lookup its retries run against the engine's own records
+   * @param {import('../types/index.js').SettlementEntry | null} settlement
+   * @param {string} idempotencyKey
+   * @returns {import('../types/index.js').PaymentTags}
+   */
+  paymentTags(settlement, idempotencyKey) {
+    return {
+      reference: settlement?.reference,
+      idempotencyKey,
+      findRecorded: key => this.findRecordedPayment(key, settlement?.id),
+    };
+  }
+
+  /**
+   * A payment already in the settlement journal or the persistent ledger under this key
+   * The journal entry of the payment being sent is skipped.
+   * @param {string} idempotencyKey
+   * @param {string} [settlementId] - Journal entry of the payment being sent
+   * @returns {import('../types/index.js').RecordedPayment | null}
+   */
+  findRecordedPayment(idempotencyKey, settlementId) {
+    if (!idempotencyKey) return null;
+    const entry = this.settlements?.list()
+      .find(e => e.idempotency_key === idempotencyKey && e.id !== settlementId);
+    if (entry) {
+      return { source: 'settlement_journal', id: entry.id, status: entry.status, amount: entry.amount };
+    }
+    const logged = this.ledger?.findPayment(this.sessionId, idempotencyKey);
+    if (logged) {
+      return { source: 'ledger', id: logged.id, status: 'settled', amount: logged.amount };
+    }
+    return null;
+  }
+
+  /**
+   * Record the outcome of a journaled payment
+   * Journal errors are logged, not thrown - the entry stays pending and is reconciled on the next start.
+   * @param {import('../types/index.js').SettlementEntry | null} settlement
+   * @param {(journal: import('../settlement/SettlementJournal.js').SettlementJournal) => void} close
+   */
+  closeSettlement(settlement, close) {
+    if (!settlement) return;
+    try {
+      close(this.settlements);
+    } catch (error) {
+      console.error(`   ❌ Settlement journal write failed for ${settlement.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Check a netted fill against the spending caps and count it
+   * Netted fills send no payment of their own, so the engine applies the caps the agent
+   * would otherwise check before paying.
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {'buy' | 'sell'} action
+   * @param {number} qty
+   * @param {number} price
+   * @param {number} amount - USDC the fill adds to the position
+   * @returns {string | null} Why the fill was refused, or null if allowed
+   */
+  authorizeNettedFill(agent, action, qty, price, amount) {
+    if (!this.spendingGuard) return null;
+    try {
+      this.spendingGuard.authorize({ agentId: agent.id, action, amount, holdingsValue: agent.inventory * price });
+    } catch (error) {
+      return error.message;
+    }
+    const inventoryAfter = agent.inventory + (action === 'buy' ? qty : -qty);
+    this.spendingGuard.record({ agentId: agent.id, action, amount, holdingsValue: inventoryAfter * price });
+    return null;
+  }
+
+  /**
+   * Close the netting window: settle each agent's open position with one transfer for the net amount
+   * Positions whose payment is rejected stay open and roll into the next window. Positions
+   * whose outcome is unknown are left to the settlement journal (unresolved) and closed here,
+   * so they can never be paid twice.
+   * @param {'window' | 'session_end'} [reason]
+   * @returns {Promise<import('../types/index.js').SettlementWindowReport | null>} Report, or null if nothing was open
+   */
+  async settleNettedPositions(reason = 'window') {
+    const positions = this.netting.openPositions();
+    if (positions.length === 0) return null;
+    if (this.tickInProgress) {
+      throw new Error('A tick is in progress - settle once it completes');
+    }
+    
+    // Settlement payments are in flight - keep snapshots and reconciliation out like during a tick
+    this.tickInProgress = true;
+    try {
+      const tick = this.marketState.tick;
+      const window = ++this.netting.windowsClosed;
+      console.log(`\n🧮 Settling netting window ${window} (${reason}): ${positions.length} open position(s)`);
+      
+      const agents = [];
+      for (const position of positions) {
+        agents.push(await this.settlePosition(position, window, tick));
+      }
+      
+      /** @type {import('../types/index.js').SettlementWindowReport} */
+      const report = {
+        window,
+        reason,
+        from_tick: Math.min(...positions.map(p => p.from_tick)),
+        to_tick: tick,
+        settled_at: new Date(),
+        fills: agents.reduce((sum, a) => sum + a.fills, 0),
+        transfers: agents.filter(a => a.status === 'settled').length,
+        gross: agents.reduce((sum, a) => sum + a.owed_to_merchant + a.owed_to_agent, 0),
+        net: agents.reduce((sum, a) => sum + a.amount, 0),
+        carried_over: agents.filter(a => a.status === 'failed').length,
+        agents,
+      };
+      this.netting.addReport(report);
+      this.writeLedger(ledger => ledger.recordSettlementWindow(this.sessionId, report));
+      
+      console.log(`   ✓ ${report.fills} fills settled in ${report.transfers} transfer(s): $${report.gross.toFixed(4)} gross → $${report.net.toFixed(4)} net`);
+      if (report.carried_over > 0) {
+        console.log(`   ⚠️  ${report.carried_over} position(s) carried over to the next window`);
+      }
+      return report;
+    } finally {
+      this.tickInProgress = false;
+    }
+  }
+
+  /**
+   * Settle one agent's open position
+   * @param {import('../types/index.js').NettedPosition} position
+   * @param {number} window - Window number
+   * @param {number} tick - Tick the window closes on
+   * @returns {Promise<import('../types/index.js').NettedSettlement>}
+   */
+  async settlePosition(position, window, tick) {
+    const agentId = position.agent_id;
+    const agentInstance = this.agentInstances.get(agentId);
+    const amount = Math.abs(position.net);
+    const summary = {
+      ...position,
+      amount,
+      direction: position.net > 0 ? 'agent_pays' : 'merchant_pays',
+    };
+    
+    // Buys and sales that cancel out need no transfer
+    if (amount < 1e-9) {
+      this.netting.clear(agentId);
+      return { ...summary, amount: 0, direction: 'none', status: 'netted_out' };
+    }
+    if (!agentInstance?.settleNet) {
+      return { ...summary, status: 'failed', error: 'Agent cannot settle payments' };
+    }
+    
+    let settlement = null;
+    try {
+      const idempotencyKey = this.idempotencyKey(agentId, 'net', tick, window);
+      summary.idempotency_key = idempotencyKey;
+      settlement = this.beginSettlement(
+        agentId,
+        position.net > 0 ? 'buy' : 'sell',
+        position.qty_bought - position.qty_sold,
+        null,
+        position.fees,
+        amount,
+        tick,
+        idempotencyKey,
+        { window, from_tick: position.from_tick, fills: position.fills }
+      );
+      
+      const result = JSON.parse(await agentInstance.settleNet(position, this.paymentTags(settlement, idempotencyKey)));
+      
+      if (!result.success) {
+        console.error(`   ❌ Net settlement failed for ${position.agent_name}: ${result.error}`);
+        if (result.outcome_unknown) {
+          this.closeSettlement(settlement, journal => journal.markUnresolved(settlement.id, result.error));
+          this.netting.clear(agentId);
+          return { ...summary, status: 'unresolved', error: result.error };
+        }
+        this.closeSettlement(settlement, journal => journal.fail(settlement.id, result.error));
+        return { ...summary, status: 'failed', error: result.error };
+      }
+      
+      const transactionHash = result.transaction?.id || 'N/A';
+      this.closeSettlement(settlement, journal => journal.settle(settlement.id, { transaction_hash: transactionHash }));
+      this.netting.clear(agentId);
+      return { ...summary, status: 'settled', transaction_hash: transactionHash };
+    } catch (error) {
+      console.error(`   ❌ Net settlement error for ${position.agent_name}:`, error.message);
+      if (!settlement) {
+        // Nothing was sent - try again next window
+        return { ...summary, status: 'failed', error: error.message };
+      }
+      // The payment may have gone through before the error - leave it for review
+      this.closeSettlement(settlement, journal => journal.markUnresolved(settlement.id, error.message));
+      this.netting.clear(agentId);
+      return { ...summary, status: 'unresolved', error: error.message };
+    }
+  }
+
+  /**
+   * Slippage of a fill against the merchant's ask/bid at the start of the tick
+   * Crosses between agents fill at their limit price, so they have none.
+   * @param {'buy' | 'sell'} side
+   * @param {number} avgFillPrice
+   * @param {Object} fill - Order book context passed to executeBuy/executeSell
+   * @returns {{ quoted_price: number, slippage_pct: number }}
+   */
+  slippage(side, avgFillPrice, fill) {
+    const quotedPrice = fill.counterparty ? avgFillPrice : this.fees.quote(side, this.marketState.current_price);
+    return {
+      quoted_price: quotedPrice,
+      slippage_pct: ((avgFillPrice - quotedPrice) / quotedPrice) * 100,
+    };
+  }
+
+  /**
+   * Append an action to an agent's recent history
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {import('../types/index.js').ActionRecord} record
+   */
+  recordAction(agent, record) {
+    agent.history.actions.push(record);
+  }
+
   /**
    * Sanitize and validate agent decisions
    * @param {Object.<string, import('../types/index.js').AgentDecision>} decisions
@@ -288,13 +1184,43 @@ export class MarketEngine {
       
       let qty = Math.max(0, Math.floor(decision.quantity));
       let action = decision.action;
+      const cancelOpenOrders = decision.cancel_open_orders === true;
+      
+      // Limit orders need a usable price, otherwise the order is dropped
+      const isLimit = decision.order_type === 'limit' && (action === 'buy' || action === 'sell');
+      if (isLimit && !(Number.isFinite(decision.limit_price) && decision.limit_price > 0)) {
+        sanitized[agentId] = {
+          action: 'wait',
+          quantity: 0,
+          note: `Invalid limit price - ${decision.note || ''}`,
+          cancel_open_orders: cancelOpenOrders,
+        };
+        continue;
+      }
+      
+      // Limit orders carry their price and time in force through to the book
+      const orderFields = isLimit
+        ? {
+            order_type: 'limit',
+            limit_price: decision.limit_price,
+            time_in_force: ['GTC', 'IOC', 'GTT'].includes(decision.time_in_force) ? decision.time_in_force : 'GTC',
+            ...(decision.time_in_force === 'GTT'
+              ? { expire_after_ticks: Math.max(1, Math.floor(decision.expire_after_ticks) || 1) }
+              : {}),
+          }
+        : { order_type: 'market' };
       
       if (action === 'buy') {
         // Apply buy constraints based on balance
+        // Limit buys are sized against their limit price, the most they could pay per unit
+        // Market buys pay the impact-adjusted average ask plus fees, so size them against that
         const maxSpendPercent = agent.preferences.max_spend_percent || 0.40;
         const maxSpend = agent.money * maxSpendPercent;
-        const maxQtyByBalance = Math.floor(maxSpend / this.marketState.current_price);
-        const maxQtyByInventory = this.marketState.seller_inventory;
+        const maxQtyByBalance = isLimit
+          ? Math.floor(this.fees.notionalWithin(maxSpend) / decision.limit_price)
+          : this.priceImpact.maxAffordable(this.fees.notionalWithin(maxSpend), this.fees.askPrice(this.marketState.current_price));
+        // Limit buys may be filled by other agents, so only market buys are capped by merchant stock
+        const maxQtyByInventory = isLimit ? Infinity : this.marketState.seller_inventory;
         
         // Clamp to the most restrictive limit
         qty = Math.min(qty, maxQtyByBalance, maxQtyByInventory);
@@ -303,6 +1229,8 @@ export class MarketEngine {
           action: qty > 0 ? 'buy' : 'wait',
           quantity: qty,
           note: decision.note || '',
+          ...(qty > 0 ? orderFields : {}),
+          cancel_open_orders: cancelOpenOrders,
         };
       } else if (action === 'sell') {
         // Apply sell constraints - can only sell what you own
@@ -316,6 +1244,8 @@ export class MarketEngine {
           action: qty > 0 ? 'sell' : 'wait',
           quantity: qty,
           note: decision.note || '',
+          ...(qty > 0 ? orderFields : {}),
+          cancel_open_orders: cancelOpenOrders,
         };
       } else {
         // Wait action
@@ -323,6 +1253,7 @@ export class MarketEngine {
           action: 'wait',
           quantity: 0,
           note: decision.note || '',
+          cancel_open_orders: cancelOpenOrders,
         };
       }
     }
@@ -335,7 +1266,15 @@ export class MarketEngine {
    * @returns {import('../types/index.js').MarketState}
    */
   getMarketState() {
-    return { ...this.marketState };
+    return {
+      ...this.marketState,
+      pricing_model: this.pricingEngine.modelName,
+      price_impact: this.priceImpact.perUnit,
+      bid_price: this.fees.bidPrice(this.marketState.current_price),
+      ask_price: this.fees.askPrice(this.marketState.current_price),
+      fees: this.feeConfig,
+      order_book: this.orderBook.getDepth(),
+    };
   }
 
   /**
@@ -353,5 +1292,13 @@ export class MarketEngine {
   getTickHistory() {
     return this.tickHistory;
   }
+
+  /**
+   * Get the replay recording for this run
+   * @returns {import('../types/index.js').Recording}
+   */
+  getRecording() {
+    return this.recording;
+  }
 }
 
@@ -0,0 +1,206 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * OrderBook - Resting limit orders with price-time priority
+ * Bids are sorted highest price first, asks lowest price first.
+ * Orders at the same price are filled in the order they arrived.
+ */
+export class OrderBook {
+  /**
+   * @param {() => string} [generateId] - Order ID generator (seeded by the engine for reproducible runs)
+   */
+  constructor(generateId = uuidv4) {
+    this.generateId = generateId;
+
+    /** @type {import('../types/index.js').LimitOrder[]} */
+    this.bids = [];
+
+    /** @type {import('../types/index.js').LimitOrder[]} */
+    this.asks = [];
+
+    // Monotonic arrival counter used for time priority
+    this.sequence = 0;
+  }
+
+  /**
+   * Add a new limit order to the book
+   * @param {Object} params
+   * @param {string} params.agentId - Owner of the order
+   * @param {'buy' | 'sell'} params.side - Order side
+   * @param {number} params.price - Limit price per unit
+   * @param {number} params.quantity - Units to buy or sell
+   * @param {import('../types/index.js').TimeInForce} params.timeInForce - Time in force
+   * @param {number} params.tick - Tick the order was placed
+   * @param {number} [params.expiresAtTick] - Last tick the order may rest (GTT only)
+   * @param {string} [params.note] - Reasoning attached to the order
+   * @returns {import('../types/index.js').LimitOrder}
+   */
+  add({ agentId, side, price, quantity, timeInForce, tick, expiresAtTick, note }) {
+    /** @type {import('../types/index.js').LimitOrder} */
+    const order = {
+      id: this.generateId(),
+      agent_id: agentId,
+      side,
+      price,
+      quantity,
+      remaining: quantity,
+      time_in_force: timeInForce,
+      placed_tick: tick,
+      expires_at_tick: expiresAtTick ?? null,
+      sequence: ++this.sequence,
+      note: note || '',
+    };
+
+    const orders = side === 'buy' ? this.bids : this.asks;
+    orders.push(order);
+    this.sortSide(side);
+
+    return order;
+  }
+
+  /**
+   * Re-sort one side of the book by price, then arrival
+   * @param {'buy' | 'sell'} side
+   */
+  sortSide(side) {
+    if (side === 'buy') {
+      this.bids.sort((a, b) => b.price - a.price || a.sequence - b.sequence);
+    } else {
+      this.asks.sort((a, b) => a.price - b.price || a.sequence - b.sequence);
+    }
+  }
+
+  /**
+   * Remove an order by ID
+   * @param {string} orderId
+   * @returns {import('../types/index.js').LimitOrder | null} Removed order
+   */
+  remove(orderId) {
+    for (const orders of [this.bids, this.asks]) {
+      const index = orders.findIndex(o => o.id === orderId);
+      if (index !== -1) {
+        return orders.splice(index, 1)[0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cancel every resting order owned by an agent
+   * @param {string} agentId
+   * @returns {import('../types/index.js').LimitOrder[]} Cancelled orders
+   */
+  cancelForAgent(agentId) {
+    const cancelled = [
+      ...this.bids.filter(o => o.agent_id === agentId),
+      ...this.asks.filter(o => o.agent_id === agentId),
+    ];
+    this.bids = this.bids.filter(o => o.agent_id !== agentId);
+    this.asks = this.asks.filter(o => o.agent_id !== agentId);
+    return cancelled;
+  }
+
+  /**
+   * Drop GTT orders whose expiry tick has passed
+   * @param {number} tick - Current tick
+   * @returns {import('../types/index.js').LimitOrder[]} Expired orders
+   */
+  expire(tick) {
+    const isExpired = o => o.expires_at_tick !== null && o.expires_at_tick < tick;
+    const expired = [...this.bids.filter(isExpired), ...this.asks.filter(isExpired)];
+    this.bids = this.bids.filter(o => !isExpired(o));
+    this.asks = this.asks.filter(o => !isExpired(o));
+    return expired;
+  }
+
+  /**
+   * Find the best pair of crossing orders from different agents
+   * Walks the book in priority order so self-matches are skipped rather than blocking
+   * @returns {{ bid: import('../types/index.js').LimitOrder, ask: import('../types/index.js').LimitOrder } | null}
+   */
+  findCross() {
+    for (const bid of this.bids) {
+      for (const ask of this.asks) {
+        if (ask.price > bid.price) break;
+        if (ask.agent_id !== bid.agent_id) {
+          return { bid, ask };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reduce an order's remaining quantity, removing it once fully filled
+   * @param {import('../types/index.js').LimitOrder} order
+   * @param {number} quantity - Units filled
+   */
+  fill(order, quantity) {
+    order.remaining -= quantity;
+    if (order.remaining <= 0) {
+      this.remove(order.id);
+    }
+  }
+
+  /**
+   * Get all resting orders for an agent
+   * @param {string} agentId
+   * @returns {import('../types/index.js').LimitOrder[]}
+   */
+  getOrdersForAgent(agentId) {
+    return [...this.bids, ...this.asks]
+      .filter(o => o.agent_id === agentId)
+      .map(o => ({ ...o }));
+  }
+
+  /**
+   * Serializable copy of the book
+   * @returns {{ bids: import('../types/index.js').LimitOrder[], asks: import('../types/index.js').LimitOrder[], sequence: number }}
+   */
+  getState() {
+    return {
+      bids: this.bids.map(o => ({ ...o })),
+      asks: this.asks.map(o => ({ ...o })),
+      sequence: this.sequence,
+    };
+  }
+
+  /**
+   * Restore a book previously captured with getState()
+   * @param {{ bids: import('../types/index.js').LimitOrder[], asks: import('../types/index.js').LimitOrder[], sequence: number }} state
+   */
+  loadState(state) {
+    this.bids = state.bids.map(o => ({ ...o }));
+    this.asks = state.asks.map(o => ({ ...o }));
+    this.sequence = state.sequence;
+  }
+
+  /**
+   * Aggregate resting orders into price levels
+   * @param {number} [levels=10] - Max price levels per side
+   * @returns {import('../types/index.js').OrderBookDepth}
+   */
+  getDepth(levels = 10) {
+    const aggregate = (orders) => {
+      /** @type {import('../types/index.js').PriceLevel[]} */
+      const result = [];
+      for (const order of orders) {
+        const last = result[result.length - 1];
+        if (last && last.price === order.price) {
+          last.quantity += order.remaining;
+          last.orders += 1;
+        } else {
+          result.push({ price: order.price, quantity: order.remaining, orders: 1 });
+        }
+      }
+      return result.slice(0, levels);
+    };
+
+    return {
+      bids: aggregate(this.bids),
+      asks: aggregate(this.asks),
+      best_bid: this.bids[0]?.price ?? null,
+      best_ask: this.asks[0]?.price ?? null,
+    };
+  }
+}
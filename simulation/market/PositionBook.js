@@ -0,0 +1,191 @@
+/**
+ * PositionBook - Cost-basis accounting per agent
+ *
+ * Every buy opens a lot at its unit cost (fees included). A sale closes lots in the order of
+ * the agent's cost basis method, and its realized P&L is the net proceeds minus the cost of the
+ * lots it closed:
+ *
+ *   fifo    - oldest lots first (default)
+ *   lifo    - newest lots first
+ *   average - a single lot at the running average cost
+ *
+ * After each tick the open lots are marked to market at current_price for unrealized P&L and
+ * equity (money plus apples at current_price). Everything lives in state.position, so snapshots,
+ * forks and replays carry it along.
+ */
+
+export const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+// Equity points kept per agent (one per tick)
+const EQUITY_HISTORY_LENGTH = 500;
+
+/**
+ * Cost basis method from the roster entry or COST_BASIS_METHOD
+ * @param {string} [method] - The roster entry's cost_basis field
+ * @returns {import('../types/index.js').CostBasisMethod}
+ */
+export function resolveCostBasisMethod(method) {
+  const resolved = method || process.env.COST_BASIS_METHOD || 'fifo';
+  if (!COST_BASIS_METHODS.includes(resolved)) {
+    throw new Error(`Unknown cost basis method "${resolved}" (expected one of: ${COST_BASIS_METHODS.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * A flat position
+ * @param {string} [method] - Cost basis method (default: COST_BASIS_METHOD env)
+ * @returns {import('../types/index.js').Position}
+ */
+export function createPosition(method) {
+  return {
+    method: resolveCostBasisMethod(method),
+    lots: [],
+    open_cost: 0,
+    realized_pnl: 0,
+    unrealized_pnl: 0,
+    market_value: 0,
+    equity: null,
+    equity_history: [],
+  };
+}
+
+/**
+ * @param {import('../types/index.js').Lot[]} lots
+ * @returns {number} Apples in the lots
+ */
+function lotQuantity(lots) {
+  return lots.reduce((sum, lot) => sum + lot.quantity, 0);
+}
+
+export class PositionBook {
+  /**
+   * An agent's position, opening a lot for any apples not covered by one
+   * Starting inventory (and states saved before lots were tracked) is costed at the given price.
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {number} price - Cost of uncovered apples
+   * @param {number} tick
+   * @returns {import('../types/index.js').Position}
+   */
+  open(agent, price, tick) {
+    if (!agent.position) {
+      agent.position = createPosition();
+    }
+    const uncovered = agent.inventory - lotQuantity(agent.position.lots);
+    if (uncovered > 0) {
+      this.addLot(agent, uncovered, price, tick);
+      this.sync(agent, agent.inventory);
+    }
+    return agent.position;
+  }
+
+  /**
+   * Record a purchase
+   * @param {import('../types/index.js').AgentState} agent - Inventory not yet updated
+   * @param {number} qty
+   * @param {number} unitCost - Price per apple including the fee
+   * @param {number} tick
+   */
+  buy(agent, qty, unitCost, tick) {
+    this.open(agent, unitCost, tick);
+    this.addLot(agent, qty, unitCost, tick);
+    this.sync(agent, agent.inventory + qty);
+  }
+
+  /**
+   * Record a sale, closing lots in cost basis order
+   * @param {import('../types/index.js').AgentState} agent - Inventory not yet updated
+   * @param {number} qty
+   * @param {number} proceeds - USDC received, net of the fee
+   * @param {number} tick
+   * @returns {{ cost_basis: number, realized_pnl: number }} Cost of the closed lots and the profit on them
+   */
+  sell(agent, qty, proceeds, tick) {
+    const position = this.open(agent, proceeds / qty, tick);
+    let remaining = qty;
+    let cost = 0;
+
+    while (remaining > 0 && position.lots.length > 0) {
+      const lot = position.method === 'lifo' ? position.lots[position.lots.length - 1] : position.lots[0];
+      const closed = Math.min(lot.quantity, remaining);
+      cost += closed * lot.unit_cost;
+      lot.quantity -= closed;
+      remaining -= closed;
+      if (lot.quantity === 0) {
+        position.lots.splice(position.lots.indexOf(lot), 1);
+      }
+    }
+
+    const realized = proceeds - cost;
+    position.realized_pnl += realized;
+    this.sync(agent, agent.inventory - qty);
+    return { cost_basis: cost, realized_pnl: realized };
+  }
+
+  /**
+   * Mark the open lots to market and record equity for the tick
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {number} price - current_price after the tick
+   * @param {number} tick
+   */
+  mark(agent, price, tick) {
+    const position = this.open(agent, price, tick);
+    position.market_value = agent.inventory * price;
+    position.unrealized_pnl = position.market_value - position.open_cost;
+    position.equity = agent.money + position.market_value;
+    position.equity_history.push({
+      tick,
+      equity: position.equity,
+      realized_pnl: position.realized_pnl,
+      unrealized_pnl: position.unrealized_pnl,
+    });
+    if (position.equity_history.length > EQUITY_HISTORY_LENGTH) {
+      position.equity_history = position.equity_history.slice(-EQUITY_HISTORY_LENGTH);
+    }
+  }
+
+  /**
+   * Session totals across agents, as of the latest mark
+   * @param {import('../types/index.js').AgentState[]} agents
+   * @returns {{ realized_pnl: number, unrealized_pnl: number, equity: number }}
+   */
+  totals(agents) {
+    const total = { realized_pnl: 0, unrealized_pnl: 0, equity: 0 };
+    for (const agent of agents) {
+      if (!agent.position) continue;
+      total.realized_pnl += agent.position.realized_pnl;
+      total.unrealized_pnl += agent.position.unrealized_pnl;
+      total.equity += agent.position.equity ?? agent.money;
+    }
+    return total;
+  }
+
+  /**
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {number} qty
+   * @param {number} unitCost
+   * @param {number} tick
+   */
+  addLot(agent, qty, unitCost, tick) {
+    const { lots, method } = agent.position;
+    if (method === 'average' && lots.length > 0) {
+      const lot = lots[0];
+      lot.unit_cost = (lot.quantity * lot.unit_cost + qty * unitCost) / (lot.quantity + qty);
+      lot.quantity += qty;
+      return;
+    }
+    lots.push({ tick, quantity: qty, unit_cost: unitCost });
+  }
+
+  /**
+   * Refresh the open cost and the long-term figures derived from the lots
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {number} inventory - Apples held once the fill is applied
+   */
+  sync(agent, inventory) {
+    const position = agent.position;
+    position.open_cost = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.unit_cost, 0);
+    agent.long_term.avg_purchase_price = inventory > 0 ? position.open_cost / inventory : 0;
+    agent.long_term.realized_profit = position.realized_pnl;
+  }
+}
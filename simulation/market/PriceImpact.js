@@ -0,0 +1,130 @@
+/**
+ * Average per-unit price of filling quantity units against the merchant
+ * Each unit moves the merchant's quote by perUnit (a fraction of the tick's price),
+ * so unit i of a buy costs price * (1 + perUnit * (netFlow + i)).
+ * @param {'buy' | 'sell'} side
+ * @param {number} quantity - Units to fill
+ * @param {number} price - Price at the start of the tick
+ * @param {number} perUnit - Impact per unit as a fraction of price
+ * @param {number} [netFlow=0] - Units already bought (+) or sold (-) this tick
+ * @returns {number} Average fill price (unclamped)
+ */
+export function averageFillPrice(side, quantity, price, perUnit, netFlow = 0) {
+  const midpoint = side === 'buy'
+    ? netFlow + (quantity - 1) / 2
+    : netFlow - (quantity + 1) / 2;
+  return price * (1 + perUnit * midpoint);
+}
+
+/**
+ * PriceImpact - Walks the merchant's price within a tick as units are filled
+ * The walk only affects fills inside the tick; the price model still sets the
+ * next tick's price from total demand. Agent-to-agent crosses have no impact.
+ */
+export class PriceImpact {
+  /**
+   * @param {Object} config
+   * @param {number} config.perUnit - Impact per unit as a fraction of price (0 disables impact)
+   * @param {number} config.minPrice - Lowest fill price
+   * @param {number} config.maxPrice - Highest fill price
+   */
+  constructor({ perUnit, minPrice, maxPrice }) {
+    this.perUnit = perUnit;
+    this.minPrice = minPrice;
+    this.maxPrice = maxPrice;
+
+    // Units bought from (+) or sold to (-) the merchant so far this tick
+    this.netFlow = 0;
+  }
+
+  /**
+   * Start a new tick
+   */
+  reset() {
+    this.netFlow = 0;
+  }
+
+  /**
+   * @param {number} price
+   * @returns {number}
+   */
+  clamp(price) {
+    return Math.max(this.minPrice, Math.min(this.maxPrice, price));
+  }
+
+  /**
+   * Price of the next single unit on a side
+   * @param {'buy' | 'sell'} side
+   * @param {number} price - Price at the start of the tick
+   * @returns {number}
+   */
+  quote(side, price) {
+    return this.averagePrice(side, 1, price);
+  }
+
+  /**
+   * Average price for filling quantity units given this tick's flow so far
+   * @param {'buy' | 'sell'} side
+   * @param {number} quantity
+   * @param {number} price - Price at the start of the tick
+   * @returns {number}
+   */
+  averagePrice(side, quantity, price) {
+    return this.clamp(averageFillPrice(side, quantity, price, this.perUnit, this.netFlow));
+  }
+
+  /**
+   * Largest quantity whose average price stays within a limit
+   * @param {'buy' | 'sell'} side
+   * @param {number} limitPrice - Highest average for buys, lowest for sells
+   * @param {number} price - Price at the start of the tick
+   * @param {number} upTo - Most units wanted
+   * @returns {number}
+   */
+  maxQuantityWithin(side, limitPrice, price, upTo) {
+    const withinLimit = (qty) => side === 'buy'
+      ? this.averagePrice(side, qty, price) <= limitPrice
+      : this.averagePrice(side, qty, price) >= limitPrice;
+    return this.searchMax(upTo, withinLimit);
+  }
+
+  /**
+   * Largest buy whose total cost fits a budget
+   * @param {number} budget - USDC available
+   * @param {number} price - Price at the start of the tick
+   * @returns {number}
+   */
+  maxAffordable(budget, price) {
+    const upTo = Math.floor(budget / this.clamp(price));
+    return this.searchMax(upTo, qty => qty * this.averagePrice('buy', qty, price) <= budget);
+  }
+
+  /**
+   * Binary search for the largest quantity in [0, upTo] that passes a monotonic check
+   * @param {number} upTo
+   * @param {(qty: number) => boolean} passes
+   * @returns {number}
+   */
+  searchMax(upTo, passes) {
+    let low = 0;
+    let high = Math.max(0, Math.floor(upTo));
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (passes(mid)) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Record a completed merchant fill so later fills this tick pay the walked price
+   * @param {'buy' | 'sell'} side
+   * @param {number} quantity
+   */
+  record(side, quantity) {
+    this.netFlow += side === 'buy' ? quantity : -quantity;
+  }
+}
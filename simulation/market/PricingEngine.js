@@ -1,52 +1,111 @@
+import { createPriceModel } from './models/index.js';
+
 /**
  * PricingEngine - Calculates price changes based on supply and demand
+ * Delegates price formation to a pluggable model and clamps the result to the price bounds
  */
 export class PricingEngine {
-  constructor() {
-    this.minPrice = parseFloat(process.env.MIN_PRICE || '0.0001');
-    this.maxPrice = parseFloat(process.env.MAX_PRICE || '1.0');
-    
+  /**
+   * @param {import('../types/index.js').PricingConfig} [config] - Model selection and options (falls back to env)
+   * @param {{ next: () => number }} [random] - Random source for models with noise
+   */
+  constructor(config = {}, random = { next: Math.random }) {
+    this.minPrice = config.minPrice ?? parseFloat(process.env.MIN_PRICE || '0.0001');
+    this.maxPrice = config.maxPrice ?? parseFloat(process.env.MAX_PRICE || '1.0');
+
+    // Resolve every option up front so the exact configuration can be recorded and replayed
+    /** @type {import('../types/index.js').PricingConfig} */
+    this.config = {
+      model: config.model || process.env.PRICING_MODEL || 'linear',
+      minPrice: this.minPrice,
+      maxPrice: this.maxPrice,
+      sensitivity: config.sensitivity ?? parseFloat(process.env.PRICE_SENSITIVITY || '0.05'),
+      noise: config.noise ?? parseFloat(process.env.PRICE_NOISE || '0.01'),
+      liquidity: config.liquidity ?? (process.env.PRICE_LIQUIDITY ? parseFloat(process.env.PRICE_LIQUIDITY) : undefined),
+      depth: config.depth ?? (process.env.AUCTION_DEPTH ? parseFloat(process.env.AUCTION_DEPTH) : undefined),
+      priceImpact: config.priceImpact ?? parseFloat(process.env.PRICE_IMPACT || '0.001'),
+    };
+
+    const { model, priceImpact, ...options } = this.config;
+    this.model = createPriceModel(model, { ...options, random });
+
     console.log(`   Price bounds: $${this.minPrice} - $${this.maxPrice}`);
+    console.log(`   Pricing model: ${this.model.name}`);
+  }
+
+  /**
+   * Name of the active price model
+   * @returns {string}
+   */
+  get modelName() {
+    return this.model.name;
+  }
+
+  /**
+   * Anchor the model's internal state to the starting price
+   * @param {number} initialPrice
+   */
+  initialize(initialPrice) {
+    this.model.initialize(initialPrice);
   }
 
   /**
    * Calculate new price based on demand and supply
-   * Formula: price_delta = 0.05 * (demand - supply) + noise
-   * Then: price_next = price_current * (1 + price_delta)
-   * Then clamp(price_next, min, max)
-   * 
+   * The model produces the raw next price, which is then clamped to [min, max]
+   *
    * @param {number} demand - Total units demanded this tick (net: buys - sells)
    * @param {number} supply - Expected baseline supply per tick (equilibrium point)
    * @param {number} currentPrice - Current price per unit
+   * @param {Object} [context] - Extra order flow for models that use it
+   * @param {number} [context.buyVolume] - Units bought from the merchant this tick
+   * @param {number} [context.sellVolume] - Units sold to the merchant this tick
+   * @param {import('../types/index.js').LimitOrder[]} [context.bids] - Resting bids
+   * @param {import('../types/index.js').LimitOrder[]} [context.asks] - Resting asks
    * @returns {number} New price (clamped to min/max)
    */
-  calculatePriceChange(demand, supply, currentPrice) {
+  calculatePriceChange(demand, supply, currentPrice, context = {}) {
     // Fixed baseline supply expectation (equilibrium point)
     // Set to 0 for maximum sensitivity - any net buying/selling moves price
     const baselineSupply = supply > 0 ? supply : 0;
-    
+
     // Calculate raw imbalance
     // Positive = net buying pressure → price up
     // Negative = net selling pressure → price down
-    // Zero = balanced → price stable (plus noise)
+    // Zero = balanced → price stable
     const imbalance = demand - baselineSupply;
-    
-    // Scale the imbalance to percentage change
-    // 0.05 = 5% price change per unit of net imbalance
-    // Example: If net demand = +4, price increases 20%
-    // Example: If net demand = -3, price decreases 15%
-    const baseDelta = imbalance * 0.05;
-    
-    // Add noise for volatility: random between -1% and +1%
-    const noise = (Math.random() - 0.5) * 0.02;
-    
-    const priceDelta = baseDelta + noise;
-    
-    // Calculate new price
-    const newPrice = currentPrice * (1 + priceDelta);
-    
-    // Clamp to bounds
-    return Math.max(this.minPrice, Math.min(this.maxPrice, newPrice));
+
+    const newPrice = this.model.nextPrice({
+      netDemand: imbalance,
+      currentPrice,
+      ...context,
+    });
+
+    // Clamp to bounds, and let stateful models re-anchor if clamping moved the price
+    const clamped = Math.max(this.minPrice, Math.min(this.maxPrice, newPrice));
+    this.model.sync(clamped);
+
+    return clamped;
+  }
+
+  /**
+   * Get the pricing configuration and model state
+   * @returns {{ model: string, min_price: number, max_price: number, state: Object }}
+   */
+  getConfig() {
+    return {
+      model: this.model.name,
+      min_price: this.minPrice,
+      max_price: this.maxPrice,
+      state: this.model.getState(),
+    };
+  }
+
+  /**
+   * Restore model state captured with getConfig().state
+   * @param {Object} state
+   */
+  loadModelState(state) {
+    this.model.loadState(state);
   }
 
   /**
@@ -60,4 +119,3 @@ export class PricingEngine {
     return sum / prices.length;
   }
 }
-
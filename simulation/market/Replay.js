@@ -0,0 +1,146 @@
+import { MarketEngine } from './MarketEngine.js';
+
+/**
+ * ReplayAgent - Stand-in agent instance for replays
+ * Never touches Locus. Payments succeed unless the recording says they failed,
+ * so the replayed engine takes exactly the same branches as the original run.
+ */
+export class ReplayAgent {
+  /**
+   * @param {import('../types/index.js').AgentState} state
+   */
+  constructor(state) {
+    this.state = state;
+    /** @type {import('../types/index.js').FailedPayment[]} */
+    this.pendingFailures = [];
+  }
+
+  /**
+   * @returns {import('../types/index.js').AgentState}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * @param {number} quantity
+   * @param {number} price
+   * @returns {Promise<string>} JSON result string
+   */
+  async purchase(quantity, price) {
+    return this.settle('buy', quantity, price);
+  }
+
+  /**
+   * @param {number} quantity
+   * @param {number} price
+   * @returns {Promise<string>} JSON result string
+   */
+  async sell(quantity, price) {
+    return this.settle('sell', quantity, price);
+  }
+
+  /**
+   * Resolve a payment from the recorded outcomes
+   * @param {'buy' | 'sell'} action
+   * @param {number} quantity
+   * @param {number} price
+   * @returns {string} JSON result string
+   */
+  settle(action, quantity, price) {
+    const index = this.pendingFailures.findIndex(
+      f => f.action === action && f.quantity === quantity && f.price === price
+    );
+    if (index !== -1) {
+      const [failure] = this.pendingFailures.splice(index, 1);
+      return JSON.stringify({ success: false, replay: true, error: failure.error });
+    }
+    return JSON.stringify({ success: true, replay: true, quantity, price, total: quantity * price });
+  }
+}
+
+/**
+ * Build an engine positioned at the start of a recording, backed by ReplayAgents
+ * @param {import('../types/index.js').Recording} recording
+ * @param {import('../types/index.js').MarketEngineOptions} [overrides] - Engine options to change (e.g. pricing)
+ * @returns {{ engine: MarketEngine, replayAgents: Map<string, ReplayAgent> }}
+ */
+export function createReplayEngine(recording, overrides = {}) {
+  if (!recording?.initial) {
+    throw new Error('Recording has no initial state - nothing was executed yet');
+  }
+
+  const { initial } = recording;
+  const agentStates = structuredClone(initial.agents);
+  const replayAgents = new Map(agentStates.map(state => [state.id, new ReplayAgent(state)]));
+
+  const engine = new MarketEngine(
+    initial.market.current_price,
+    initial.market.seller_inventory,
+    agentStates,
+    Array.from(replayAgents.values()),
+    {
+      seed: recording.seed,
+      pricing: recording.pricing,
+      allocationPolicy: recording.allocation_policy,
+      fees: recording.fees,
+      // Replays never move funds, so nothing is left to net
+      settlementMode: 'per_fill',
+      ...overrides,
+    }
+  );
+
+  engine.marketState.tick = initial.market.tick;
+  engine.marketState.seller_revenue = initial.market.seller_revenue;
+  engine.marketState.treasury = initial.market.treasury ?? 0;
+  engine.orderBook.loadState(initial.order_book);
+  engine.random.setState(initial.random_state);
+  engine.pricingEngine.loadModelState(initial.pricing_state);
+
+  return { engine, replayAgents };
+}
+
+/**
+ * Re-feed recorded decisions tick by tick and check each result against the original
+ * @param {import('../types/index.js').Recording} recording
+ * @param {Object} [options]
+ * @param {number} [options.untilTick] - Stop after this tick (default: replay everything)
+ * @returns {Promise<import('../types/index.js').ReplayReport>}
+ */
+export async function replayRecording(recording, { untilTick } = {}) {
+  const { engine, replayAgents } = createReplayEngine(recording);
+
+  /** @type {import('../types/index.js').TickResult[]} */
+  const results = [];
+  const mismatches = [];
+
+  for (const recordedTick of recording.ticks) {
+    if (untilTick !== undefined && recordedTick.tick > untilTick) break;
+
+    for (const agent of replayAgents.values()) {
+      agent.pendingFailures = (recordedTick.failed_payments || [])
+        .filter(f => f.agent_id === agent.state.id);
+    }
+
+    const result = await engine.executeTick(structuredClone(recordedTick.decisions));
+    results.push(result);
+
+    const replayed = engine.getRecording().ticks.at(-1);
+    if (result.tick !== recordedTick.tick || replayed.fingerprint !== recordedTick.fingerprint) {
+      mismatches.push({
+        tick: recordedTick.tick,
+        expected: recordedTick.fingerprint,
+        actual: replayed.fingerprint,
+      });
+    }
+  }
+
+  return {
+    seed: recording.seed,
+    ticks_replayed: results.length,
+    matched: mismatches.length === 0,
+    mismatches,
+    results,
+    engine,
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * RiskManager - Per-agent risk limits applied after decisions are sanitized
+ *
+ * Each agent's limits are in state.risk (roster "risk" field, RISK_* env defaults; 0 = off):
+ *
+ *   max_position          - apples held, counting resting buy orders; larger buys are cut down
+ *   max_drawdown          - equity drop from its session peak (fraction); buys stop once reached
+ *   max_session_loss      - equity lost since the session started (USDC); buys stop once reached
+ *   cooldown_after_losses - losing sales in a row that start a cooldown: no new orders for
+ *   cooldown_ticks          cooldown_ticks ticks
+ *   stop_loss/take_profit - sell the whole position at market, without asking the LLM, once
+ *                           the bid is this far below/above the average cost (fraction)
+ *
+ * Equity is money plus apples marked at the mid price, the same mark as PositionBook and the
+ * dashboard's equity, so a limit fires at the equity operators see. Exits compare the bid, the
+ * price the position would actually sell for. Tracking (start and peak equity, losing streak,
+ * cooldown) lives in state.risk_state, so snapshots, forks and replays carry it along.
+ * Every override is returned with its rule and reason for the TickResult.
+ */
+
+/**
+ * Fill an agent's risk limits from the roster entry and the RISK_* environment variables
+ * @param {Partial<import('../types/index.js').RiskLimits>} [config] - The roster entry's risk field
+ * @returns {import('../types/index.js').RiskLimits}
+ */
+export function resolveRiskLimits(config = {}) {
+  const limit = (key, envKey, fallback = '0') => config[key] ?? parseFloat(process.env[envKey] || fallback);
+  return {
+    max_position: limit('max_position', 'RISK_MAX_POSITION'),
+    max_drawdown: limit('max_drawdown', 'RISK_MAX_DRAWDOWN'),
+    max_session_loss: limit('max_session_loss', 'RISK_MAX_SESSION_LOSS'),
+    cooldown_after_losses: limit('cooldown_after_losses', 'RISK_COOLDOWN_AFTER_LOSSES'),
+    cooldown_ticks: limit('cooldown_ticks', 'RISK_COOLDOWN_TICKS', '3'),
+    stop_loss: limit('stop_loss', 'RISK_STOP_LOSS'),
+    take_profit: limit('take_profit', 'RISK_TAKE_PROFIT'),
+  };
+}
+
+/**
+ * @param {number} count
+ * @returns {string} e.g. "2 losing sales"
+ */
+function losingSales(count) {
+  return `${count} losing ${count === 1 ? 'sale' : 'sales'}`;
+}
+
+export class RiskManager {
+  /**
+   * Risk tracking for an agent (created on first use)
+   * @param {import('../types/index.js').AgentState} agent
+   * @returns {import('../types/index.js').RiskState}
+   */
+  stateOf(agent) {
+    if (!agent.risk_state) {
+      agent.risk_state = {
+        start_equity: null,
+        peak_equity: null,
+        equity: null,
+        consecutive_losses: 0,
+        cooldown_until_tick: 0,
+        overrides: 0,
+      };
+    }
+    return agent.risk_state;
+  }
+
+  /**
+   * Money plus apples marked at the mid price
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {number} midPrice - current_price
+   * @returns {number}
+   */
+  equity(agent, midPrice) {
+    return agent.money + agent.inventory * midPrice;
+  }
+
+  /**
+   * Stop-loss or take-profit exit due for an agent at this bid, if any
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {number} markPrice - Bid price
+   * @returns {{ rule: 'stop_loss' | 'take_profit', reason: string } | null}
+   */
+  exitFor(agent, markPrice) {
+    const limits = agent.risk;
+    const avgCost = agent.long_term.avg_purchase_price;
+    if (!limits || agent.inventory <= 0 || avgCost <= 0) return null;
+
+    const change = (markPrice - avgCost) / avgCost;
+    if (limits.stop_loss > 0 && change <= -limits.stop_loss) {
+      return { rule: 'stop_loss', reason: `Stop-loss: bid $${markPrice.toFixed(4)} is ${(-change * 100).toFixed(1)}% below avg cost $${avgCost.toFixed(4)}` };
+    }
+    if (limits.take_profit > 0 && change >= limits.take_profit) {
+      return { rule: 'take_profit', reason: `Take-profit: bid $${markPrice.toFixed(4)} is ${(change * 100).toFixed(1)}% above avg cost $${avgCost.toFixed(4)}` };
+    }
+    return null;
+  }
+
+  /**
+   * Apply every agent's limits to this tick's sanitized decisions
+   * @param {Object.<string, import('../types/index.js').AgentDecision>} decisions - Sanitized decisions
+   * @param {Map<string, import('../types/index.js').AgentState>} agents
+   * @param {number} tick - Tick being executed
+   * @param {number} midPrice - current_price at the start of the tick, for equity
+   * @param {number} bidPrice - Bid at the start of the tick, for exits
+   * @returns {{ decisions: Object.<string, import('../types/index.js').AgentDecision>, overrides: import('../types/index.js').RiskOverride[] }}
+   */
+  apply(decisions, agents, tick, midPrice, bidPrice) {
+    const checked = {};
+    /** @type {import('../types/index.js').RiskOverride[]} */
+    const overrides = [];
+
+    for (const [agentId, decision] of Object.entries(decisions)) {
+      const agent = agents.get(agentId);
+      if (!agent?.risk) {
+        checked[agentId] = decision;
+        continue;
+      }
+
+      const result = this.check(agent, decision, tick, midPrice, bidPrice);
+      checked[agentId] = result.decision;
+      if (result.rule) {
+        this.stateOf(agent).overrides++;
+        overrides.push({
+          agent_id: agentId,
+          rule: result.rule,
+          reason: result.reason,
+          requested: { action: decision.action, quantity: decision.quantity },
+          applied: { action: result.decision.action, quantity: result.decision.quantity },
+        });
+        console.log(`   🛡️  ${agent.name}: ${result.reason}`);
+      }
+    }
+
+    return { decisions: checked, overrides };
+  }
+
+  /**
+   * One agent's decision against its limits
+   * @param {import('../types/index.js').AgentState} agent
+   * @param {import('../types/index.js').AgentDecision} decision
+   * @param {number} tick
+   * @param {number} midPrice
+   * @param {number} bidPrice
+   * @returns {{ decision: import('../types/index.js').AgentDecision, rule?: string, reason?: string }}
+   */
+  check(agent, decision, tick, midPrice, bidPrice) {
+    const limits = agent.risk;
+    const risk = this.stateOf(agent);
+    const equity = this.equity(agent, midPrice);
+    risk.equity = equity;
+    risk.start_equity ??= equity;
+    risk.peak_equity = Math.max(risk.peak_equity ?? equity, equity);
+
+    const wait = (rule, reason) => ({
+      decision: { action: 'wait', quantity: 0, note: `${reason} - ${decision.note}`, cancel_open_orders: decision.cancel_open_orders },
+      rule,
+      reason,
+    });
+
+    // Exits replace whatever the agent decided, and clear its resting orders
+    const exit = this.exitFor(agent, bidPrice);
+    if (exit) {
+      return {
+        decision: { action: 'sell', quantity: agent.inventory, note: exit.reason, order_type: 'market', cancel_open_orders: true },
+        ...exit,
+      };
+    }
+
+    if (decision.action === 'wait') {
+      return { decision };
+    }
+
+    if (tick <= risk.cooldown_until_tick) {
+      return wait('cooldown', `Cooling down after ${losingSales(limits.cooldown_after_losses)} (until tick ${risk.cooldown_until_tick})`);
+    }
+
+    // Sales only reduce risk - the remaining limits stop new buying
+    if (decision.action !== 'buy') {
+      return { decision };
+    }
+
+    const loss = risk.start_equity - equity;
+    if (limits.max_session_loss > 0 && loss >= limits.max_session_loss) {
+      return wait('session_loss_limit', `Session loss $${loss.toFixed(4)} reached the $${limits.max_session_loss} limit - no new buys`);
+    }
+
+    const drawdown = risk.peak_equity > 0 ? (risk.peak_equity - equity) / risk.peak_equity : 0;
+    if (limits.max_drawdown > 0 && drawdown >= limits.max_drawdown) {
+      return wait('max_drawdown', `Drawdown ${(drawdown * 100).toFixed(1)}% from peak $${risk.peak_equity.toFixed(4)} reached the ${(limits.max_drawdown * 100).toFixed(1)}% limit - no new buys`);
+    }
+
+    if (limits.max_position > 0) {
+      const pendingBuys = (agent.open_orders || [])
+        .filter(order => order.side === 'buy')
+        .reduce((sum, order) => sum + order.remaining, 0);
+      const room = Math.max(0, limits.max_position - agent.inventory - pendingBuys);
+      if (room === 0) {
+        return wait('max_position', `Position ${agent.inventory} (+${pendingBuys} on order) is at the ${limits.max_position} apple limit`);
+      }
+      if (decision.quantity > room) {
+        return {
+          decision: { ...decision, quantity: room },
+          rule: 'max_position',
+          reason: `Buy cut from ${decision.quantity} to ${room} apples to stay within the ${limits.max_position} apple position limit`,
+        };
+      }
+    }
+
+    return { decision };
+  }
+
+  /**
+   * Count losing sales in a row and start cooldowns
+   * A sale loses when it nets less than the cost of the lots it closed.
+   * @param {number} tick
+   * @param {import('../types/index.js').Transaction[]} transactions - This tick's fills
+   * @param {Map<string, import('../types/index.js').AgentState>} agents
+   */
+  recordFills(tick, transactions, agents) {
+    for (const transaction of transactions) {
+      const agent = agents.get(transaction.agent_id);
+      if (transaction.action !== 'sell' || !(agent?.risk?.cooldown_after_losses > 0)) continue;
+
+      const risk = this.stateOf(agent);
+      if (transaction.realized_pnl >= 0) {
+        risk.consecutive_losses = 0;
+        continue;
+      }
+
+      risk.consecutive_losses++;
+      if (risk.consecutive_losses >= agent.risk.cooldown_after_losses) {
+        risk.cooldown_until_tick = tick + agent.risk.cooldown_ticks;
+        risk.consecutive_losses = 0;
+        console.log(`   🛡️  ${agent.name}: ${losingSales(agent.risk.cooldown_after_losses)} in a row - cooling down until tick ${risk.cooldown_until_tick}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * SeededRandom - Deterministic pseudo-random source (mulberry32)
+ * Drives every random draw in the market so a run can be reproduced from its seed
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit integer seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Pick a fresh seed for runs that did not specify one
+   * @returns {number}
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Deterministic RFC 4122 v4-formatted ID
+   * @returns {string}
+   */
+  uuid() {
+    const bytes = [];
+    for (let i = 0; i < 16; i++) {
+      bytes.push(Math.floor(this.next() * 256));
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // variant 10xx
+
+    const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Current generator position (for snapshots)
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore a generator position
+   * @param {number} state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
@@ -0,0 +1,18 @@
+import { createHash } from 'crypto';
+
+const EXCLUDED_KEYS = new Set(['timestamp', 'last_updated', 'transaction_hash', 'idempotency_key']);
+
+/**
+ * Hash a tick result so two runs can be compared tick by tick
+ * Wall-clock timestamps, Locus transaction hashes and payment idempotency keys (which carry the
+ * run ID) are excluded - none can be reproduced without re-sending payments. Everything else
+ * must match exactly.
+ * @param {import('../types/index.js').TickResult} tickResult
+ * @returns {string} SHA-256 hex digest
+ */
+export function fingerprintTickResult(tickResult) {
+  const normalized = JSON.stringify(tickResult, (key, value) =>
+    EXCLUDED_KEYS.has(key) ? undefined : value
+  );
+  return createHash('sha256').update(normalized).digest('hex');
+}
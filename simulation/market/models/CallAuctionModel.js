@@ -0,0 +1,77 @@
+/**
+ * CallAuctionModel - Walrasian call auction that clears once per tick
+ * Aggregates this tick's market flow and every resting limit order into demand and supply
+ * curves, adds the merchant as a liquidity provider who sells more as price rises above the
+ * last clearing price (and buys back below it), then finds the price where excess demand is zero.
+ */
+export class CallAuctionModel {
+  /**
+   * @param {Object} options
+   * @param {number} [options.depth=100] - Merchant units offered per 100% move from the last price
+   * @param {number} options.minPrice - Lower price bound
+   * @param {number} options.maxPrice - Upper price bound
+   */
+  constructor({ depth = 100, minPrice, maxPrice }) {
+    this.name = 'call_auction';
+    this.depth = depth;
+    this.minPrice = minPrice;
+    this.maxPrice = maxPrice;
+    this.lastClearingVolume = 0;
+  }
+
+  /**
+   * @param {number} initialPrice
+   */
+  initialize(initialPrice) {}
+
+  /**
+   * @param {import('../../types/index.js').PriceContext} context
+   * @returns {number} Clearing price
+   */
+  nextPrice({ currentPrice, buyVolume = 0, sellVolume = 0, bids = [], asks = [] }) {
+    const excessDemand = (price) => {
+      const limitDemand = bids.reduce((sum, o) => sum + (o.price >= price ? o.remaining : 0), 0);
+      const limitSupply = asks.reduce((sum, o) => sum + (o.price <= price ? o.remaining : 0), 0);
+      const merchantSupply = this.depth * (price / currentPrice - 1);
+      return buyVolume + limitDemand - sellVolume - limitSupply - merchantSupply;
+    };
+
+    // Excess demand is non-increasing in price, so bisect for the zero crossing
+    let low = this.minPrice;
+    let high = this.maxPrice;
+    if (excessDemand(low) <= 0) return low;
+    if (excessDemand(high) >= 0) return high;
+    
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (excessDemand(mid) > 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    
+    const clearingPrice = (low + high) / 2;
+    this.lastClearingVolume = buyVolume + bids.reduce((sum, o) => sum + (o.price >= clearingPrice ? o.remaining : 0), 0);
+    return clearingPrice;
+  }
+
+  /**
+   * @param {number} price - Price after clamping
+   */
+  sync(price) {}
+
+  /**
+   * @returns {Object} Model parameters and internal state
+   */
+  getState() {
+    return { depth: this.depth, last_clearing_volume: this.lastClearingVolume };
+  }
+
+  /**
+   * @param {Object} state - Output of getState()
+   */
+  loadState(state) {
+    this.lastClearingVolume = state.last_clearing_volume;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * ConstantProductModel - Uniswap-style AMM curve (x * y = k)
+ * The pool holds a virtual reserve of apples (x) and USDC (y); price is y / x.
+ * Buying removes apples from the pool, so impact grows with order size relative to liquidity.
+ */
+export class ConstantProductModel {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.liquidity=1000] - Virtual apple reserve backing the curve
+   */
+  constructor({ liquidity = 1000 } = {}) {
+    this.name = 'constant_product';
+    this.liquidity = liquidity;
+    this.reserveApples = liquidity;
+    this.reserveUsdc = 0;
+  }
+
+  /**
+   * Seed the pool so its spot price equals the starting price
+   * @param {number} initialPrice
+   */
+  initialize(initialPrice) {
+    this.reserveApples = this.liquidity;
+    this.reserveUsdc = initialPrice * this.liquidity;
+  }
+
+  /**
+   * @param {import('../../types/index.js').PriceContext} context
+   * @returns {number} Unclamped next price
+   */
+  nextPrice({ netDemand }) {
+    const k = this.reserveApples * this.reserveUsdc;
+    
+    // Never drain the pool completely - the curve is asymptotic
+    const minReserve = this.liquidity * 0.001;
+    this.reserveApples = Math.max(minReserve, this.reserveApples - netDemand);
+    this.reserveUsdc = k / this.reserveApples;
+    
+    return this.reserveUsdc / this.reserveApples;
+  }
+
+  /**
+   * Re-anchor the pool to a clamped price, keeping the apple reserve
+   * @param {number} price - Price after clamping
+   */
+  sync(price) {
+    this.reserveUsdc = price * this.reserveApples;
+  }
+
+  /**
+   * @returns {Object} Model parameters and internal state
+   */
+  getState() {
+    return {
+      liquidity: this.liquidity,
+      reserve_apples: this.reserveApples,
+      reserve_usdc: this.reserveUsdc,
+    };
+  }
+
+  /**
+   * Restore pool reserves captured with getState()
+   * @param {Object} state
+   */
+  loadState(state) {
+    this.reserveApples = state.reserve_apples;
+    this.reserveUsdc = state.reserve_usdc;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * LMSRModel - Logarithmic market scoring rule adapted to a single good
+ * Treats the market as a two-outcome LMSR ("price goes up" vs "price goes down") whose
+ * probability is mapped onto the [minPrice, maxPrice] band. Cumulative net demand is the
+ * outstanding quantity q; the liquidity parameter b controls how far each unit moves price.
+ *   p = min + (max - min) * e^(q/b) / (e^(q/b) + 1)
+ */
+export class LMSRModel {
+  /**
+   * @param {Object} options
+   * @param {number} [options.liquidity=100] - LMSR liquidity parameter b
+   * @param {number} options.minPrice - Lower price bound
+   * @param {number} options.maxPrice - Upper price bound
+   */
+  constructor({ liquidity = 100, minPrice, maxPrice }) {
+    this.name = 'lmsr';
+    this.liquidity = liquidity;
+    this.minPrice = minPrice;
+    this.maxPrice = maxPrice;
+    this.outstanding = 0;
+  }
+
+  /**
+   * Solve for the outstanding quantity that prices at the starting price
+   * @param {number} initialPrice
+   */
+  initialize(initialPrice) {
+    this.sync(initialPrice);
+  }
+
+  /**
+   * @param {import('../../types/index.js').PriceContext} context
+   * @returns {number} Unclamped next price
+   */
+  nextPrice({ netDemand }) {
+    this.outstanding += netDemand;
+    const probability = 1 / (1 + Math.exp(-this.outstanding / this.liquidity));
+    return this.minPrice + (this.maxPrice - this.minPrice) * probability;
+  }
+
+  /**
+   * @param {number} price - Price after clamping
+   */
+  sync(price) {
+    // Keep strictly inside (0, 1) so the log stays finite at the bounds
+    const epsilon = 1e-9;
+    const probability = Math.min(
+      1 - epsilon,
+      Math.max(epsilon, (price - this.minPrice) / (this.maxPrice - this.minPrice))
+    );
+    this.outstanding = this.liquidity * Math.log(probability / (1 - probability));
+  }
+
+  /**
+   * @returns {Object} Model parameters and internal state
+   */
+  getState() {
+    return { liquidity: this.liquidity, outstanding: this.outstanding };
+  }
+
+  /**
+   * Restore the outstanding quantity captured with getState()
+   * @param {Object} state
+   */
+  loadState(state) {
+    this.outstanding = state.outstanding;
+  }
+}
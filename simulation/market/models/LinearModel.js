@@ -0,0 +1,55 @@
+/**
+ * LinearModel - The original rule: each unit of net demand moves price a fixed percentage
+ * price_next = price * (1 + sensitivity * netDemand + noise)
+ */
+export class LinearModel {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sensitivity=0.05] - Fractional price change per unit of net demand
+   * @param {number} [options.noise=0.01] - Max random move either way per tick (0.01 = ±1%)
+   * @param {{ next: () => number }} [options.random] - Random source (seeded by the engine)
+   */
+  constructor({ sensitivity = 0.05, noise = 0.01, random = { next: Math.random } } = {}) {
+    this.name = 'linear';
+    this.sensitivity = sensitivity;
+    this.noise = noise;
+    this.random = random;
+  }
+
+  /**
+   * @param {number} initialPrice
+   */
+  initialize(initialPrice) {}
+
+  /**
+   * @param {import('../../types/index.js').PriceContext} context
+   * @returns {number} Unclamped next price
+   */
+  nextPrice({ netDemand, currentPrice }) {
+    // Scale the imbalance to percentage change
+    // Example (sensitivity 0.05): net demand +4 → +20%, net demand -3 → -15%
+    const baseDelta = netDemand * this.sensitivity;
+    
+    // Add noise for volatility: random between -noise and +noise
+    const noise = (this.random.next() - 0.5) * 2 * this.noise;
+    
+    return currentPrice * (1 + baseDelta + noise);
+  }
+
+  /**
+   * @param {number} price - Price after clamping
+   */
+  sync(price) {}
+
+  /**
+   * @returns {Object} Model parameters and internal state
+   */
+  getState() {
+    return { sensitivity: this.sensitivity, noise: this.noise };
+  }
+
+  /**
+   * @param {Object} state - Output of getState()
+   */
+  loadState(state) {}
+}
@@ -0,0 +1,32 @@
+/**
+ * Price formation models
+ * Each model implements initialize(price), nextPrice(context), sync(price), getState() and loadState(state)
+ */
+import { LinearModel } from './LinearModel.js';
+import { ConstantProductModel } from './ConstantProductModel.js';
+import { LMSRModel } from './LMSRModel.js';
+import { CallAuctionModel } from './CallAuctionModel.js';
+
+export { LinearModel, ConstantProductModel, LMSRModel, CallAuctionModel };
+
+/** Model classes by config name */
+export const PRICE_MODELS = {
+  linear: LinearModel,
+  constant_product: ConstantProductModel,
+  lmsr: LMSRModel,
+  call_auction: CallAuctionModel,
+};
+
+/**
+ * Create a price model by name
+ * @param {string} name - One of the PRICE_MODELS keys
+ * @param {Object} options - Model options (price bounds are always included)
+ * @returns {LinearModel | ConstantProductModel | LMSRModel | CallAuctionModel}
+ */
+export function createPriceModel(name, options) {
+  const ModelClass = PRICE_MODELS[name];
+  if (!ModelClass) {
+    throw new Error(`Unknown pricing model "${name}" (expected one of: ${Object.keys(PRICE_MODELS).join(', ')})`);
+  }
+  return new ModelClass(options);
+}
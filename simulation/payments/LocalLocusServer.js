@@ -0,0 +1,105 @@
+import http from 'http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { z } from 'zod';
+import { PaymentError } from './errors.js';
+
+/**
+ * Local Locus MCP stand-in
+ * Serves send_to_address and get_payment_context over streamable HTTP, backed by a
+ * WalletLedger. Callers identify their wallet with the x-wallet-address header;
+ * wallets are opened on first contact.
+ */
+
+/**
+ * Build an MCP server bound to one caller's wallet
+ * @param {import('./WalletLedger.js').WalletLedger} walletLedger
+ * @param {string} wallet - Caller's address
+ * @returns {McpServer}
+ */
+function createWalletServer(walletLedger, wallet) {
+  const server = new McpServer({ name: 'locus-local', version: '1.0.0' });
+
+  server.tool(
+    'send_to_address',
+    'Send USDC from your wallet to an address',
+    {
+      address: z.string().describe('Recipient wallet address'),
+      amount: z.number().describe('Amount in USDC'),
+      memo: z.string().optional().describe('Payment memo'),
+    },
+    async ({ address, amount, memo }) => {
+      try {
+        const transaction = walletLedger.transfer(wallet, address, amount, memo);
+        console.log(`   💸 ${wallet} → ${address}: $${amount.toFixed(6)} USDC (${transaction.id})`);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ ...transaction, status: 'sent', remaining: walletLedger.balanceOf(wallet) }),
+          }],
+        };
+      } catch (error) {
+        if (!(error instanceof PaymentError)) throw error;
+        console.log(`   ❌ ${wallet} → ${address}: ${error.message}`);
+        return { content: [{ type: 'text', text: error.message }], isError: true };
+      }
+    }
+  );
+
+  server.tool(
+    'get_payment_context',
+    'Get your wallet balance and recent payments',
+    {},
+    async () => ({ content: [{ type: 'text', text: walletLedger.paymentContext(wallet) }] })
+  );
+
+  return server;
+}
+
+/**
+ * Start the stand-in HTTP server
+ * @param {Object} options
+ * @param {import('./WalletLedger.js').WalletLedger} options.walletLedger - Wallets to serve
+ * @param {number} options.port
+ * @param {(address: string) => number} options.openingBalance - Balance for a wallet seen for the first time
+ * @returns {Promise<http.Server>}
+ */
+export async function startLocalLocusServer({ walletLedger, port, openingBalance }) {
+  const httpServer = http.createServer(async (req, res) => {
+    const sendError = (status, message) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+    };
+
+    if (new URL(req.url, 'http://localhost').pathname !== '/mcp') {
+      return sendError(404, 'Not found');
+    }
+    // Stateless: every request is handled by a fresh server, so there is no SSE stream to open
+    if (req.method !== 'POST') {
+      return sendError(405, 'Method not allowed');
+    }
+
+    const wallet = req.headers['x-wallet-address'];
+    if (!wallet) {
+      return sendError(401, 'x-wallet-address header is required');
+    }
+    walletLedger.openWallet(wallet, openingBalance(wallet));
+
+    try {
+      const server = createWalletServer(walletLedger, wallet);
+      const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+      res.on('close', () => {
+        transport.close();
+        server.close();
+      });
+      await server.connect(transport);
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      console.error('❌ Stand-in request failed:', error.message);
+      if (!res.headersSent) sendError(500, error.message);
+    }
+  });
+
+  await new Promise(resolve => httpServer.listen(port, resolve));
+  return httpServer;
+}
@@ -0,0 +1,65 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { PaymentAdapter } from './PaymentAdapter.js';
+import { PaymentError, InsufficientFundsError } from './errors.js';
+
+/**
+ * LocalMCPPaymentAdapter - Payments through the local Locus MCP stand-in (npm run locus:local)
+ * Speaks MCP like the live adapter, but the server keeps its own wallets offline.
+ * The stand-in identifies the paying wallet by the x-wallet-address header.
+ */
+export class LocalMCPPaymentAdapter extends PaymentAdapter {
+  /**
+   * @param {string} address - Address of this wallet
+   * @param {string} url - Stand-in MCP endpoint
+   * @param {string} [label] - Wallet name for logs
+   */
+  constructor(address, url, label = 'Wallet') {
+    super(address);
+    this.url = url;
+    this.label = label;
+    this.client = null;
+  }
+
+  get mode() {
+    return 'local_mcp';
+  }
+
+  async connect() {
+    this.client = new Client({ name: 'locus-market', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(this.url), {
+      requestInit: { headers: { 'x-wallet-address': this.address } },
+    });
+    await this.client.connect(transport);
+    console.log(`   ✓ ${this.label} connected to local Locus stand-in at ${this.url}`);
+  }
+
+  /**
+   * Call a stand-in tool and return its text, throwing on tool errors
+   * @param {string} name
+   * @param {Object} args
+   * @returns {Promise<string>}
+   */
+  async callTool(name, args) {
+    const result = await this.client.callTool({ name, arguments: args });
+    const text = result.content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+
+    if (result.isError) {
+      throw text.startsWith('Insufficient funds')
+        ? new InsufficientFundsError(text)
+        : new PaymentError(text);
+    }
+    return text;
+  }
+
+  async sendToAddress(address, amount, memo) {
+    return JSON.parse(await this.callTool('send_to_address', { address, amount, memo }));
+  }
+
+  async getPaymentContext() {
+    return this.callTool('get_payment_context', {});
+  }
+}
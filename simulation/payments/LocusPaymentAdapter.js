@@ -0,0 +1,79 @@
+import { MCPClientCredentials } from '@locus-technologies/langchain-mcp-m2m';
+import { PaymentAdapter } from './PaymentAdapter.js';
+
+const LOCUS_MCP_URL = 'https://mcp.paywithlocus.com/mcp';
+
+/**
+ * LocusPaymentAdapter - Real USDC payments through the Locus MCP server
+ */
+export class LocusPaymentAdapter extends PaymentAdapter {
+  /**
+   * @param {string} address - Address of this wallet
+   * @param {{ clientId: string, clientSecret: string }} credentials - Locus M2M credentials
+   * @param {string} [label] - Wallet name for logs
+   */
+  constructor(address, credentials, label = 'Locus') {
+    super(address);
+    this.credentials = credentials;
+    this.label = label;
+    this.mcpClient = null;
+    this.tools = [];
+  }
+
+  get mode() {
+    return 'locus';
+  }
+
+  async connect() {
+    this.mcpClient = new MCPClientCredentials({
+      mcpServers: {
+        locus: {
+          url: LOCUS_MCP_URL,
+          auth: {
+            clientId: this.credentials.clientId,
+            clientSecret: this.credentials.clientSecret,
+          },
+        },
+      },
+    });
+
+    await this.mcpClient.initializeConnections();
+    this.tools = await this.mcpClient.getTools();
+    console.log(`   ✓ ${this.label} connected to Locus MCP (${this.tools.length} tools loaded)`);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {import('@langchain/core/tools').DynamicStructuredTool}
+   */
+  tool(name) {
+    const tool = this.tools.find(t => t.name === name);
+    if (!tool) {
+      throw new Error(`${name} tool not found`);
+    }
+    return tool;
+  }
+
+  async sendToAddress(address, amount, memo) {
+    const result = await this.tool('send_to_address').invoke({ address, amount, memo });
+
+    // Locus answers in text; pick up a transaction ID when the response is JSON
+    let id;
+    try {
+      const parsed = typeof result === 'string' ? JSON.parse(result) : result;
+      id = parsed?.id || parsed?.transaction_id;
+    } catch {
+      id = undefined;
+    }
+    return { id, address, amount, memo, response: result };
+  }
+
+  async getPaymentContext() {
+    return String(await this.tool('get_payment_context').invoke({}));
+  }
+
+  getTools() {
+    // Only the read-only tool - never send_to_address or send_to_email
+    return this.tools.filter(t => t.name === 'get_payment_context');
+  }
+}
@@ -0,0 +1,103 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { z } from 'zod';
+
+/**
+ * Whether a memo (or a payment history line) carries a tag as a whole token
+ * Tags are whitespace-separated inside the memo's brackets, so "idem:x:buy:1" does not match
+ * a memo tagged "idem:x:buy:10".
+ * @param {string} text
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function hasMemoTag(text, tag) {
+  return text.split(/[\s()[\]]+/).includes(tag);
+}
+
+/**
+ * PaymentAdapter - One wallet's connection to a payment backend
+ * Subclasses implement connect, sendToAddress and getPaymentContext.
+ */
+export class PaymentAdapter {
+  /**
+   * @param {string} address - Address of the wallet this adapter pays from
+   */
+  constructor(address) {
+    this.address = address;
+  }
+
+  /**
+   * Payment mode name (locus, simulated, local_mcp)
+   * @returns {string}
+   */
+  get mode() {
+    throw new Error('mode must be implemented by subclass');
+  }
+
+  /**
+   * Whether payments only move funds inside this process
+   * @returns {boolean}
+   */
+  get simulated() {
+    return false;
+  }
+
+  /**
+   * Connect to the payment backend
+   * @returns {Promise<void>}
+   */
+  async connect() {}
+
+  /**
+   * Send USDC from this wallet
+   * Throws a PaymentError (e.g. InsufficientFundsError) if the payment is rejected.
+   * @param {string} address - Recipient
+   * @param {number} amount - USDC
+   * @param {string} memo
+   * @returns {Promise<Object>} Backend transaction record (has an id where the backend provides one)
+   */
+  async sendToAddress(address, amount, memo) {
+    throw new Error('sendToAddress() must be implemented by subclass');
+  }
+
+  /**
+   * Balance and recent payments, as text in the Locus get_payment_context format
+   * @returns {Promise<string>}
+   */
+  async getPaymentContext() {
+    throw new Error('getPaymentContext() must be implemented by subclass');
+  }
+
+  /**
+   * Look up a payment sent from this wallet by a tag written into its memo (e.g. an idempotency key)
+   * Searches the recent payments in getPaymentContext; throws if they can't be read.
+   * @param {string} tag - Whole memo token, e.g. "idem:<key>"
+   * @returns {Promise<{ id?: string, to?: string, amount?: number, record: string } | null>} Matching payment, or null if none
+   */
+  async findPayment(tag) {
+    const context = await this.getPaymentContext();
+    const line = context.split('\n').find(l => hasMemoTag(l, tag) && !/\breceived \$/.test(l));
+    if (!line) return null;
+    const sent = line.match(/sent \$([\d.]+) USDC to (\S+)/);
+    return {
+      id: line.match(/^\s*-\s*([^:\s]+):/)?.[1],
+      to: sent?.[2],
+      amount: sent ? parseFloat(sent[1]) : undefined,
+      record: line.trim(),
+    };
+  }
+
+  /**
+   * Read-only tools safe to hand to the LLM agent
+   * @returns {DynamicStructuredTool[]}
+   */
+  getTools() {
+    return [
+      new DynamicStructuredTool({
+        name: 'get_payment_context',
+        description: 'Check your wallet balance and recent payments (read-only).',
+        schema: z.object({}),
+        func: async () => this.getPaymentContext(),
+      }),
+    ];
+  }
+}
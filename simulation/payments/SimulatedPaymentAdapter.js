@@ -0,0 +1,43 @@
+import { PaymentAdapter, hasMemoTag } from './PaymentAdapter.js';
+
+/**
+ * SimulatedPaymentAdapter - Payments between in-process wallets
+ * Balances are tracked in a WalletLedger, so overspending fails the way it would on Locus.
+ */
+export class SimulatedPaymentAdapter extends PaymentAdapter {
+  /**
+   * @param {string} address - Address of this wallet
+   * @param {import('./WalletLedger.js').WalletLedger} walletLedger - Shared wallets
+   * @param {number} openingBalance - Balance the wallet is opened with if it doesn't exist yet
+   */
+  constructor(address, walletLedger, openingBalance) {
+    super(address);
+    this.walletLedger = walletLedger;
+    this.openingBalance = openingBalance;
+  }
+
+  get mode() {
+    return 'simulated';
+  }
+
+  get simulated() {
+    return true;
+  }
+
+  async connect() {
+    this.walletLedger.openWallet(this.address, this.openingBalance);
+  }
+
+  async sendToAddress(address, amount, memo) {
+    return this.walletLedger.transfer(this.address, address, amount, memo);
+  }
+
+  async getPaymentContext() {
+    return this.walletLedger.paymentContext(this.address);
+  }
+
+  async findPayment(tag) {
+    return this.walletLedger.transactions
+      .find(tx => tx.from === this.address && hasMemoTag(tx.memo, tag)) || null;
+  }
+}
@@ -0,0 +1,183 @@
+import { SpendingCapError, TradingHaltedError } from './errors.js';
+
+/**
+ * SpendingGuard - Session-wide ceilings on what agents can pay, plus the kill switch
+ *
+ * Every payment is authorized before it is sent and recorded once it went through.
+ * Caps apply per agent and across the whole session (0 = no cap):
+ *
+ *   max_spend    - USDC paid for apples (notional + fees)
+ *   max_loss     - net loss: paid - received - value of apples still held; buys stop once reached
+ *   max_payments - payments sent (buys and sales)
+ *
+ * Sales are never blocked by the spend and loss caps, since they reduce exposure. Once
+ * halted, every outgoing payment is refused until the session ends.
+ */
+export class SpendingGuard {
+  /**
+   * @param {Object} [limits]
+   * @param {import('../types/index.js').SpendingLimits} [limits.agent] - Per-agent caps (default: AGENT_MAX_SPEND, AGENT_MAX_LOSS, AGENT_MAX_PAYMENTS env)
+   * @param {import('../types/index.js').SpendingLimits} [limits.session] - Caps across all agents (default: SESSION_MAX_SPEND, SESSION_MAX_LOSS, SESSION_MAX_PAYMENTS env)
+   */
+  constructor(limits = {}) {
+    const cap = (value, envKey) => value ?? parseFloat(process.env[envKey] || '0');
+    this.limits = {
+      agent: {
+        max_spend: cap(limits.agent?.max_spend, 'AGENT_MAX_SPEND'),
+        max_loss: cap(limits.agent?.max_loss, 'AGENT_MAX_LOSS'),
+        max_payments: cap(limits.agent?.max_payments, 'AGENT_MAX_PAYMENTS'),
+      },
+      session: {
+        max_spend: cap(limits.session?.max_spend, 'SESSION_MAX_SPEND'),
+        max_loss: cap(limits.session?.max_loss, 'SESSION_MAX_LOSS'),
+        max_payments: cap(limits.session?.max_payments, 'SESSION_MAX_PAYMENTS'),
+      },
+    };
+
+    /** @type {Map<string, import('../types/index.js').SpendingUsage>} */
+    this.usage = new Map();
+
+    /** @type {{ reason: string, halted_at: Date } | null} */
+    this.halted = null;
+  }
+
+  /**
+   * @param {string} agentId
+   * @returns {import('../types/index.js').SpendingUsage}
+   */
+  usageOf(agentId) {
+    if (!this.usage.has(agentId)) {
+      this.usage.set(agentId, { spent: 0, received: 0, payments: 0, holdings_value: 0 });
+    }
+    return this.usage.get(agentId);
+  }
+
+  /**
+   * Usage summed over every agent
+   * @returns {import('../types/index.js').SpendingUsage}
+   */
+  totals() {
+    const totals = { spent: 0, received: 0, payments: 0, holdings_value: 0 };
+    for (const usage of this.usage.values()) {
+      totals.spent += usage.spent;
+      totals.received += usage.received;
+      totals.payments += usage.payments;
+      totals.holdings_value += usage.holdings_value;
+    }
+    return totals;
+  }
+
+  /**
+   * @param {import('../types/index.js').SpendingUsage} usage
+   * @returns {number} Positive when the agent is down
+   */
+  netLoss(usage) {
+    return usage.spent - usage.received - usage.holdings_value;
+  }
+
+  /**
+   * Throw if the kill switch is on
+   */
+  assertNotHalted() {
+    if (this.halted) {
+      throw new TradingHaltedError(this.halted.reason);
+    }
+  }
+
+  /**
+   * Check a payment against every cap before it is sent
+   * Throws TradingHaltedError or SpendingCapError if it must not go out.
+   * @param {Object} payment
+   * @param {string} payment.agentId
+   * @param {'buy' | 'sell'} payment.action - buy: the agent pays; sell: the merchant pays the agent
+   * @param {number} payment.amount - USDC the payment moves
+   * @param {number} payment.holdingsValue - Value of the agent's apples at the current price
+   */
+  authorize({ agentId, action, amount, holdingsValue }) {
+    this.assertNotHalted();
+
+    const usage = this.usageOf(agentId);
+    usage.holdings_value = holdingsValue;
+    const totals = this.totals();
+
+    for (const [scope, limits, current] of [['agent', this.limits.agent, usage], ['session', this.limits.session, totals]]) {
+      const who = scope === 'agent' ? agentId : 'Session';
+
+      if (limits.max_payments > 0 && current.payments + 1 > limits.max_payments) {
+        throw new SpendingCapError(`${who} payment cap reached (${limits.max_payments} payments)`);
+      }
+      if (action !== 'buy') continue;
+
+      if (limits.max_spend > 0 && current.spent + amount > limits.max_spend) {
+        throw new SpendingCapError(
+          `${who} spend cap: $${(current.spent + amount).toFixed(4)} would exceed $${limits.max_spend.toFixed(4)} USDC`
+        );
+      }
+      const loss = this.netLoss(current);
+      if (limits.max_loss > 0 && loss >= limits.max_loss) {
+        throw new SpendingCapError(
+          `${who} loss cap: net loss $${loss.toFixed(4)} has reached $${limits.max_loss.toFixed(4)} USDC - buying stopped`
+        );
+      }
+    }
+  }
+
+  /**
+   * Count a payment that went through
+   * @param {Object} payment
+   * @param {string} payment.agentId
+   * @param {'buy' | 'sell'} payment.action
+   * @param {number} payment.amount - USDC the payment moved
+   * @param {number} payment.holdingsValue - Value of the agent's apples after the trade
+   */
+  record({ agentId, action, amount, holdingsValue }) {
+    const usage = this.usageOf(agentId);
+    usage.payments++;
+    if (action === 'buy') {
+      usage.spent += amount;
+    } else {
+      usage.received += amount;
+    }
+    usage.holdings_value = holdingsValue;
+  }
+
+  /**
+   * Kill switch: refuse every outgoing payment from now on
+   * @param {string} reason
+   */
+  halt(reason) {
+    if (this.halted) return;
+    this.halted = { reason, halted_at: new Date() };
+    console.log(`🛑 TRADING HALTED: ${reason} - all outgoing payments blocked`);
+  }
+
+  /**
+   * Caps, usage and halt state for the dashboard
+   * @returns {import('../types/index.js').SpendingStatus}
+   */
+  getStatus() {
+    const withLoss = usage => ({ ...usage, net_loss: this.netLoss(usage) });
+    return {
+      halted: this.halted,
+      limits: this.limits,
+      session: withLoss(this.totals()),
+      agents: Object.fromEntries(Array.from(this.usage, ([agentId, usage]) => [agentId, withLoss(usage)])),
+    };
+  }
+
+  /**
+   * Usage so far, for snapshots
+   * A halt is not carried over - resuming a snapshot is itself the operator's decision.
+   * @returns {Object.<string, import('../types/index.js').SpendingUsage>}
+   */
+  getState() {
+    return Object.fromEntries(structuredClone(Array.from(this.usage)));
+  }
+
+  /**
+   * @param {Object.<string, import('../types/index.js').SpendingUsage>} usage
+   */
+  loadState(usage) {
+    this.usage = new Map(Object.entries(structuredClone(usage)));
+  }
+}
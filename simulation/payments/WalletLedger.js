@@ -0,0 +1,106 @@
+import { v4 as uuidv4 } from 'uuid';
+import { PaymentError, InsufficientFundsError } from './errors.js';
+
+/**
+ * WalletLedger - In-memory USDC wallets with real balance tracking
+ * Backs both the in-process simulated adapter and the local Locus MCP stand-in,
+ * so offline runs see the same failures a real wallet would produce.
+ */
+export class WalletLedger {
+  constructor() {
+    /** @type {Map<string, { balance: number, funded: number }>} */
+    this.wallets = new Map();
+
+    /** @type {import('../types/index.js').WalletTransaction[]} */
+    this.transactions = [];
+  }
+
+  /**
+   * Open a wallet with a starting balance (no-op if it already exists)
+   * @param {string} address
+   * @param {number} balance - Opening balance (USDC)
+   */
+  openWallet(address, balance) {
+    if (!this.wallets.has(address)) {
+      this.wallets.set(address, { balance, funded: balance });
+    }
+  }
+
+  /**
+   * @param {string} address
+   * @returns {number} Current balance, 0 for unknown wallets
+   */
+  balanceOf(address) {
+    return this.wallets.get(address)?.balance ?? 0;
+  }
+
+  /**
+   * Move USDC between wallets
+   * Unknown recipients are opened with a zero balance, like an external address.
+   * @param {string} from - Paying wallet
+   * @param {string} to - Receiving address
+   * @param {number} amount - USDC
+   * @param {string} [memo]
+   * @returns {import('../types/index.js').WalletTransaction}
+   */
+  transfer(from, to, amount, memo = '') {
+    if (!to) {
+      throw new PaymentError('Recipient address is required', 'invalid_address');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new PaymentError(`Invalid amount: ${amount}`, 'invalid_amount');
+    }
+
+    const sender = this.wallets.get(from);
+    if (!sender) {
+      throw new PaymentError(`Unknown wallet: ${from}`, 'unknown_wallet');
+    }
+    // Allow for float rounding in the engine's own balance checks
+    if (amount > sender.balance + 1e-9) {
+      throw new InsufficientFundsError(
+        `Insufficient funds: wallet has $${sender.balance.toFixed(6)} USDC, payment needs $${amount.toFixed(6)} USDC`
+      );
+    }
+
+    this.openWallet(to, 0);
+    const recipient = this.wallets.get(to);
+    sender.balance -= amount;
+    recipient.balance += amount;
+    recipient.funded += amount;
+
+    const transaction = {
+      id: `tx_${uuidv4()}`,
+      from,
+      to,
+      amount,
+      memo,
+      timestamp: new Date(),
+    };
+    this.transactions.push(transaction);
+    return transaction;
+  }
+
+  /**
+   * Payment context in the same text format Locus returns from get_payment_context
+   * @param {string} address
+   * @param {number} [limit=50] - Most recent payments to list
+   * @returns {string}
+   */
+  paymentContext(address, limit = 50) {
+    const wallet = this.wallets.get(address) || { balance: 0, funded: 0 };
+    const recent = this.transactions
+      .filter(tx => tx.from === address || tx.to === address)
+      .slice(-limit)
+      .reverse()
+      .map(tx => tx.from === address
+        ? `- ${tx.id}: sent $${tx.amount.toFixed(6)} USDC to ${tx.to} (${tx.memo})`
+        : `- ${tx.id}: received $${tx.amount.toFixed(6)} USDC from ${tx.from} (${tx.memo})`);
+
+    return [
+      `Wallet: ${address}`,
+      `Remaining: $${wallet.balance.toFixed(6)} USDC out of $${wallet.funded.toFixed(6)} USDC`,
+      `Recent payments:`,
+      ...(recent.length > 0 ? recent : ['- none']),
+    ].join('\n');
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Read the remaining balance from a get_payment_context response
+ * Format (Locus and every offline adapter): "Remaining: $9.874 USDC out of $10 USDC"
+ * @param {string} context
+ * @returns {number | null} Balance in USDC, or null if it can't be found
+ */
+export function parseRemainingBalance(context) {
+  const remainingMatch = String(context).match(/Remaining:\s*\$?([\d.]+)\s*USDC/i);
+  if (!remainingMatch || !remainingMatch[1]) return null;
+  const balance = parseFloat(remainingMatch[1]);
+  return Number.isFinite(balance) ? balance : null;
+}
@@ -0,0 +1,87 @@
+/**
+ * Payment errors raised by payment adapters
+ */
+
+/**
+ * A payment was rejected - no funds moved
+ */
+export class PaymentError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code] - Machine-readable reason
+   */
+  constructor(message, code = 'payment_rejected') {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    // Rejections are final - retrying would fail the same way
+    this.transient = false;
+  }
+}
+
+/**
+ * The paying wallet does not hold enough USDC
+ */
+export class InsufficientFundsError extends PaymentError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 'insufficient_funds');
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+/**
+ * A payment attempt took too long - it may still complete, so it's retried only
+ * after checking the payment ledger
+ */
+export class PaymentTimeoutError extends PaymentError {
+  /**
+   * @param {number} timeoutMs
+   */
+  constructor(timeoutMs) {
+    super(`Payment timed out after ${timeoutMs}ms`, 'timeout');
+    this.name = 'PaymentTimeoutError';
+    this.transient = true;
+  }
+}
+
+/**
+ * Retries ran out on transient errors - the payment may or may not have gone through
+ */
+export class PaymentOutcomeUnknownError extends PaymentError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 'outcome_unknown');
+    this.name = 'PaymentOutcomeUnknownError';
+  }
+}
+
+/**
+ * A payment would exceed a session spending cap
+ */
+export class SpendingCapError extends PaymentError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 'spending_cap');
+    this.name = 'SpendingCapError';
+  }
+}
+
+/**
+ * Outgoing payments are blocked by the kill switch
+ */
+export class TradingHaltedError extends PaymentError {
+  /**
+   * @param {string} reason - Why trading was halted
+   */
+  constructor(reason) {
+    super(`Trading halted - all payments blocked (${reason})`, 'halted');
+    this.name = 'TradingHaltedError';
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Payment adapters
+ *
+ *   locus     - Real USDC through the Locus MCP server (default)
+ *   simulated - In-process wallets with balance tracking (default when DEV_MODE=true)
+ *   local_mcp - The local Locus MCP stand-in (npm run locus:local), offline over real MCP
+ */
+export { PaymentAdapter, hasMemoTag } from './PaymentAdapter.js';
+export { LocusPaymentAdapter } from './LocusPaymentAdapter.js';
+export { SimulatedPaymentAdapter } from './SimulatedPaymentAdapter.js';
+export { LocalMCPPaymentAdapter } from './LocalMCPPaymentAdapter.js';
+export { WalletLedger } from './WalletLedger.js';
+export {
+  PaymentError,
+  InsufficientFundsError,
+  PaymentTimeoutError,
+  PaymentOutcomeUnknownError,
+  SpendingCapError,
+  TradingHaltedError,
+} from './errors.js';
+export { SpendingGuard } from './SpendingGuard.js';
+export { sendWithRetry, isTransientError, idempotencyTag } from './retry.js';
+export { parseRemainingBalance } from './balance.js';
+
+import { LocusPaymentAdapter } from './LocusPaymentAdapter.js';
+import { SimulatedPaymentAdapter } from './SimulatedPaymentAdapter.js';
+import { LocalMCPPaymentAdapter } from './LocalMCPPaymentAdapter.js';
+import { WalletLedger } from './WalletLedger.js';
+
+export const PAYMENT_MODES = ['locus', 'simulated', 'local_mcp'];
+
+// Wallets for simulated payments, shared by every agent in the process unless one is passed in
+const defaultWalletLedger = new WalletLedger();
+
+/**
+ * Resolve and validate a payment mode
+ * @param {string} [mode] - Mode name (falls back to PAYMENT_ADAPTER env, then simulated in DEV_MODE, else locus)
+ * @returns {string}
+ */
+export function resolvePaymentMode(mode) {
+  const devMode = process.env.DEV_MODE === 'true';
+  const resolved = mode || process.env.PAYMENT_ADAPTER || (devMode ? 'simulated' : 'locus');
+  if (!PAYMENT_MODES.includes(resolved)) {
+    throw new Error(`Unknown payment adapter "${resolved}" (expected one of: ${PAYMENT_MODES.join(', ')})`);
+  }
+  // DEV_MODE promises that no real money moves
+  if (devMode && resolved === 'locus') {
+    throw new Error('DEV_MODE=true cannot be combined with PAYMENT_ADAPTER=locus');
+  }
+  return resolved;
+}
+
+/**
+ * Wallet address from the environment
+ * Offline modes fall back to a placeholder so they run without any wallet configuration.
+ * @param {string} envKey - e.g. MERCHANT_WALLET_ADDRESS
+ * @param {string} mode - Payment mode
+ * @returns {string | undefined}
+ */
+export function walletAddress(envKey, mode) {
+  return process.env[envKey] || (mode === 'locus' ? undefined : `local:${envKey}`);
+}
+
+/**
+ * Create the adapter for one wallet
+ * @param {string} mode - Payment mode
+ * @param {Object} wallet
+ * @param {string} wallet.address - Address of the wallet
+ * @param {string} wallet.label - Wallet name for logs
+ * @param {{ clientId: string, clientSecret: string }} [wallet.credentials] - Locus credentials (locus mode)
+ * @param {number} [wallet.openingBalance] - Starting balance if the wallet is new (simulated mode)
+ * @param {WalletLedger} [wallet.walletLedger] - Wallets to use (simulated mode, default: shared per process)
+ * @returns {import('./PaymentAdapter.js').PaymentAdapter}
+ */
+export function createPaymentAdapter(mode, { address, label, credentials, openingBalance, walletLedger }) {
+  if (mode === 'locus') {
+    return new LocusPaymentAdapter(address, credentials, label);
+  }
+  if (mode === 'local_mcp') {
+    return new LocalMCPPaymentAdapter(address, process.env.LOCAL_LOCUS_URL || 'http://localhost:3333/mcp', label);
+  }
+  return new SimulatedPaymentAdapter(address, walletLedger || defaultWalletLedger, openingBalance);
+}
@@ -0,0 +1,143 @@
+import { PaymentTimeoutError, PaymentOutcomeUnknownError } from './errors.js';
+
+// Network failures worth retrying; anything else is treated as a final rejection
+const TRANSIENT_PATTERN = /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed|network|\b(429|502|503|504)\b/i;
+
+/**
+ * Whether a payment error may succeed on a later attempt
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (typeof error.transient === 'boolean') return error.transient;
+  return TRANSIENT_PATTERN.test(`${error.code || ''} ${error.message}`);
+}
+
+/**
+ * Memo tag carrying an idempotency key
+ * @param {string} idempotencyKey
+ * @returns {string} e.g. "idem:<session>:<run>:3:buyer_1:buy:0"
+ */
+export function idempotencyTag(idempotencyKey) {
+  return `idem:${idempotencyKey}`;
+}
+
+/**
+ * Whether a payment found under an idempotency key is the one about to be re-sent
+ * Keys should never repeat, but a record for another recipient or amount must not be taken as paid.
+ * @param {{ to?: string, amount?: number }} found
+ * @param {string} address
+ * @param {number} amount
+ * @returns {boolean}
+ */
+function isSamePayment(found, address, amount) {
+  // Payment history lists amounts to 6 decimals
+  return found.to === address && Math.abs(found.amount - amount) < 1e-6;
+}
+
+/**
+ * @param {Promise<T>} promise
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new PaymentTimeoutError(timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Send a payment with bounded retries and exponential backoff
+ *
+ * Only payments with an idempotency key are retried. The key must already be in the
+ * memo: before every re-send the caller's own records (findRecorded) and the wallet's payment
+ * ledger are searched for it, because an attempt that timed out may still have gone through.
+ * A match only counts as paid when its recipient and amount are the payment's; any other
+ * match stops the retries with the outcome unknown.
+ * Gives up with PaymentOutcomeUnknownError once transient errors exhaust the retries.
+ * @param {import('./PaymentAdapter.js').PaymentAdapter} wallet - Paying wallet
+ * @param {Object} payment
+ * @param {string} payment.address - Recipient
+ * @param {number} payment.amount - USDC
+ * @param {string} payment.memo - Memo (includes the idempotency key)
+ * @param {string} [payment.idempotencyKey]
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Re-sends after the first attempt (default: PAYMENT_MAX_RETRIES env or 3)
+ * @param {number} [options.baseDelayMs] - First backoff, doubled each retry (default: PAYMENT_RETRY_BASE_MS env or 500)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (default: PAYMENT_TIMEOUT_MS env or 30000)
+ * @param {() => void} [options.beforeSend] - Called before every attempt; throw to stop (e.g. trading halted)
+ * @param {(idempotencyKey: string) => Promise<import('../types/index.js').RecordedPayment | null> | import('../types/index.js').RecordedPayment | null} [options.findRecorded] -
+ *   Looks the key up in the settlement journal and persistent ledger before a re-send
+ * @returns {Promise<Object>} Transaction record with idempotency_key, attempts and (if an earlier attempt went through) duplicate
+ */
+export async function sendWithRetry(wallet, { address, amount, memo, idempotencyKey }, options = {}) {
+  const maxRetries = idempotencyKey
+    ? options.maxRetries ?? parseInt(process.env.PAYMENT_MAX_RETRIES || '3')
+    : 0;
+  const baseDelayMs = options.baseDelayMs ?? parseInt(process.env.PAYMENT_RETRY_BASE_MS || '500');
+  const timeoutMs = options.timeoutMs ?? parseInt(process.env.PAYMENT_TIMEOUT_MS || '30000');
+
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    if (attempt > 1) {
+      const delay = baseDelayMs * 2 ** (attempt - 2);
+      console.log(`   🔁 Retrying payment ${idempotencyKey} in ${delay}ms (attempt ${attempt}/${maxRetries + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      // The previous attempt may have landed before failing - never pay twice
+      let recorded;
+      let existing;
+      try {
+        recorded = await options.findRecorded?.(idempotencyKey);
+        existing = recorded ? null : await wallet.findPayment(idempotencyTag(idempotencyKey));
+      } catch (error) {
+        throw new PaymentOutcomeUnknownError(
+          `Payment ${idempotencyKey} failed (${lastError.message}) and the payment ledger could not be checked: ${error.message}`
+        );
+      }
+      if (recorded && recorded.status !== 'failed') {
+        if (recorded.status !== 'settled' || Math.abs(recorded.amount - amount) >= 1e-6) {
+          throw new PaymentOutcomeUnknownError(
+            `Payment ${idempotencyKey} failed (${lastError.message}) and the ${recorded.source} already has the key (${recorded.status}, $${recorded.amount}) - not re-sending`
+          );
+        }
+        console.log(`   ✓ Payment ${idempotencyKey} already settled in the ${recorded.source} - not re-sending`);
+        return { id: recorded.id, idempotency_key: idempotencyKey, attempts: attempt - 1, duplicate: true, record: recorded };
+      }
+      if (existing) {
+        if (!isSamePayment(existing, address, amount)) {
+          throw new PaymentOutcomeUnknownError(
+            `Payment ${idempotencyKey} failed (${lastError.message}) and a different payment carries the same key (${existing.record || existing.memo}) - not re-sending`
+          );
+        }
+        console.log(`   ✓ Payment ${idempotencyKey} already in the payment ledger - not re-sending`);
+        return { id: existing.id, idempotency_key: idempotencyKey, attempts: attempt - 1, duplicate: true, record: existing };
+      }
+    }
+
+    try {
+      options.beforeSend?.();
+    } catch (error) {
+      if (attempt === 1) throw error;
+      // Blocked mid-retry: the earlier attempt may still land
+      throw new PaymentOutcomeUnknownError(`Payment ${idempotencyKey} not retried (${error.message}) after: ${lastError.message}`);
+    }
+
+    try {
+      const transaction = await withTimeout(wallet.sendToAddress(address, amount, memo), timeoutMs);
+      return { ...transaction, idempotency_key: idempotencyKey, attempts: attempt };
+    } catch (error) {
+      if (!isTransientError(error)) throw error;
+      lastError = error;
+      console.log(`   ⚠️  Transient payment error: ${error.message}`);
+    }
+  }
+
+  // Without a key the first failure is final, but the outcome is still unknown
+  throw new PaymentOutcomeUnknownError(
+    `Payment ${idempotencyKey || 'without idempotency key'} outcome unknown after ${maxRetries + 1} attempt(s): ${lastError.message}`
+  );
+}
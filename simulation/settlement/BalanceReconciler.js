@@ -0,0 +1,244 @@
+import { parseRemainingBalance } from '../payments/balance.js';
+
+/**
+ * BalanceReconciler - Compares real wallet balances with what the persistent ledger says was paid
+ *
+ * Every wallet is read when the run starts. From then on it should hold that balance plus the
+ * payments the session's ledger records for it since:
+ *   transaction lines       - fills settled one by one: buys paid net_amount (notional + fee)
+ *                             to the merchant, sales paid net_amount (notional - fee) out
+ *   settlement_window lines - netted fills, paid by their window's settled transfer
+ * Netted fills that haven't been settled yet moved no money, so they don't count.
+ *
+ * The ledger is written from what each payment sent, not from the balances the engine keeps, so
+ * the engine's books are checked against it too: a buyer's agent.money (plus an open netted
+ * position) and the merchant's seller_revenue + treasury should move by exactly what the ledger
+ * records. A gap there is reported as books_drift.
+ *
+ * Without a ledger, the engine's books are the only reference:
+ *   buyer    - agent.money, plus the net of an open netted position
+ *   merchant - balance at the start of the run + seller_revenue + treasury - open netted nets
+ *
+ * A wallet whose observed balance (or books) differs by more than the tolerance is reported as
+ * drift. The reconciler only reports - it never overwrites the engine's balances.
+ */
+export class BalanceReconciler {
+  /**
+   * @param {import('../market/MarketEngine.js').MarketEngine} engine
+   * @param {import('../agents/BaseAgent.js').BaseAgent[]} agents - Initialized agents (wallets connected)
+   * @param {Object} [options]
+   * @param {number} [options.tolerance] - Largest difference (USDC) not reported as drift (default: BALANCE_DRIFT_TOLERANCE env or 0.01)
+   */
+  constructor(engine, agents, options = {}) {
+    this.engine = engine;
+    this.agents = agents;
+    this.tolerance = options.tolerance ?? parseFloat(process.env.BALANCE_DRIFT_TOLERANCE || '0.01');
+
+    /**
+     * Per wallet (agent ID or 'merchant'), set by captureBaselines: the balance read at the start
+     * of the run and the engine's books, each less what the reference had recorded by then
+     * @type {Map<string, { balance: number, books: number }>}
+     */
+    this.baselines = new Map();
+
+    /** @type {import('../types/index.js').BalanceReport | null} */
+    this.lastReport = null;
+  }
+
+  /**
+   * Merchant wallet as seen by the first agent that can sell
+   * @returns {import('../payments/PaymentAdapter.js').PaymentAdapter | null}
+   */
+  merchantWallet() {
+    return this.agents.find(agent => agent.merchantWallet)?.merchantWallet || null;
+  }
+
+  /**
+   * Every wallet to reconcile: the buyers, then the merchant (if connected)
+   * @returns {{ id: string, name: string, wallet: import('../payments/PaymentAdapter.js').PaymentAdapter }[]}
+   */
+  wallets() {
+    const wallets = this.agents.map(agent => ({ id: agent.getState().id, name: agent.getState().name, wallet: agent.wallet }));
+    const merchantWallet = this.merchantWallet();
+    return merchantWallet ? [...wallets, { id: 'merchant', name: 'Merchant', wallet: merchantWallet }] : wallets;
+  }
+
+  /**
+   * Read one wallet's balance
+   * @param {import('../payments/PaymentAdapter.js').PaymentAdapter} wallet
+   * @returns {Promise<{ observed: number | null, error?: string }>}
+   */
+  async readBalance(wallet) {
+    try {
+      const context = await wallet.getPaymentContext();
+      const observed = parseRemainingBalance(context);
+      if (observed === null) {
+        return { observed: null, error: `Could not parse balance from: ${context.substring(0, 100)}` };
+      }
+      return { observed };
+    } catch (error) {
+      return { observed: null, error: error.message };
+    }
+  }
+
+  /**
+   * USDC each wallet has received (positive) or paid (negative) according to the session's ledger
+   * @returns {Map<string, number> | null} By agent ID and 'merchant', null without a ledger
+   */
+  ledgerFlows() {
+    if (!this.engine.ledger) return null;
+
+    const flows = new Map();
+    const add = (agentId, amount) => {
+      flows.set(agentId, (flows.get(agentId) || 0) + amount);
+      flows.set('merchant', (flows.get('merchant') || 0) - amount);
+    };
+    for (const event of this.engine.ledger.getEvents(this.engine.sessionId)) {
+      if (event.type === 'transaction' && event.transaction_hash !== 'unsettled') {
+        add(event.agent_id, event.action === 'buy' ? -event.net_amount : event.net_amount);
+      } else if (event.type === 'settlement_window') {
+        for (const transfer of event.agents.filter(a => a.status === 'settled')) {
+          add(transfer.agent_id, transfer.direction === 'agent_pays' ? -transfer.amount : transfer.amount);
+        }
+      }
+    }
+    return flows;
+  }
+
+  /**
+   * The engine's books: each buyer's balance, and what the merchant has collected
+   * @returns {Map<string, number>} By agent ID and 'merchant'
+   */
+  booksFlows() {
+    const books = new Map();
+    for (const agent of this.agents) {
+      const state = agent.getState();
+      books.set(state.id, state.money + (this.engine.netting.get(state.id)?.net || 0));
+    }
+    const { seller_revenue, treasury } = this.engine.marketState;
+    books.set('merchant', seller_revenue + treasury - this.engine.netting.totalNet());
+    return books;
+  }
+
+  /**
+   * Read every wallet before trading so later checks know what to expect
+   * On a resumed run, what the ledger (or the engine's books) recorded so far is taken out of the reading.
+   * Without a ledger, buyers are compared with agent.money directly and need no baseline.
+   * @returns {Promise<void>}
+   */
+  async captureBaselines() {
+    const ledger = this.ledgerFlows();
+    const books = this.booksFlows();
+    const reference = ledger || books;
+
+    for (const { id, name, wallet } of this.wallets()) {
+      if (!ledger && id !== 'merchant') continue;
+
+      const { observed, error } = await this.readBalance(wallet);
+      if (observed === null) {
+        console.log(`   ⚠️  ${name} balance unavailable - ${id === 'merchant' ? 'merchant will not be reconciled' : 'compared with the engine\'s books instead'} (${error})`);
+        continue;
+      }
+      const recorded = reference.get(id) || 0;
+      this.baselines.set(id, { balance: observed - recorded, books: books.get(id) - recorded });
+      if (id === 'merchant') {
+        console.log(`   ✓ Merchant: $${observed.toFixed(4)} USDC`);
+      }
+    }
+  }
+
+  /**
+   * Compare one wallet with its expected balance
+   * @param {string} wallet - Agent ID or 'merchant'
+   * @param {string} name
+   * @param {number} expected
+   * @param {'ledger' | 'engine'} source - Where the expected balance came from
+   * @param {number | null} booksDrift - Engine's books vs the ledger, null when the books are the reference
+   * @param {{ observed: number | null, error?: string }} reading
+   * @returns {import('../types/index.js').BalanceCheck}
+   */
+  compare(wallet, name, expected, source, booksDrift, reading) {
+    const booksDrifted = booksDrift !== null && Math.abs(booksDrift) > this.tolerance;
+    if (reading.observed === null) {
+      return {
+        wallet,
+        name,
+        status: booksDrifted ? 'drift' : 'unavailable',
+        expected,
+        source,
+        observed: null,
+        drift: null,
+        books_drift: booksDrift,
+        error: reading.error,
+      };
+    }
+    const drift = reading.observed - expected;
+    return {
+      wallet,
+      name,
+      status: Math.abs(drift) > this.tolerance || booksDrifted ? 'drift' : 'ok',
+      expected,
+      source,
+      observed: reading.observed,
+      drift,
+      books_drift: booksDrift,
+    };
+  }
+
+  /**
+   * Re-read every wallet and compare it with the ledger (or the engine's books)
+   * @returns {Promise<import('../types/index.js').BalanceReport>}
+   */
+  async check() {
+    const checkedAt = new Date();
+    const wallets = [];
+    const ledger = this.ledgerFlows();
+    const books = this.booksFlows();
+
+    for (const { id, name, wallet } of this.wallets()) {
+      const baseline = this.baselines.get(id);
+      if (id === 'merchant' && !baseline) continue;
+
+      const reading = await this.readBalance(wallet);
+      const check = ledger && baseline
+        ? this.compare(id, name, baseline.balance + (ledger.get(id) || 0), 'ledger',
+          books.get(id) - (ledger.get(id) || 0) - baseline.books, reading)
+        : this.compare(id, name, (baseline?.balance || 0) + books.get(id), 'engine', null, reading);
+      wallets.push(check);
+
+      const state = this.agents.find(agent => agent.getState().id === id)?.getState();
+      if (state) {
+        state.balance_check = {
+          status: check.status === 'ok' ? 'verified' : check.status,
+          observed: check.observed,
+          expected: check.expected,
+          drift: check.drift,
+          books_drift: check.books_drift,
+          error: check.error,
+          checked_at: checkedAt,
+        };
+      }
+    }
+
+    this.lastReport = {
+      tick: this.engine.marketState.tick,
+      checked_at: checkedAt,
+      tolerance: this.tolerance,
+      drifted: wallets.some(w => w.status === 'drift'),
+      wallets,
+    };
+
+    for (const check of wallets) {
+      if (check.books_drift !== null && Math.abs(check.books_drift) > this.tolerance) {
+        console.log(`   ⚠️  Books drift for ${check.name}: the engine's balances moved ${check.books_drift >= 0 ? '+' : ''}${check.books_drift.toFixed(4)} more than the ledger's payments`);
+      }
+      if (check.status === 'drift' && check.observed !== null && Math.abs(check.drift) > this.tolerance) {
+        console.log(`   ⚠️  Balance drift for ${check.name}: expected $${check.expected.toFixed(4)}, wallet has $${check.observed.toFixed(4)} (${check.drift >= 0 ? '+' : ''}${check.drift.toFixed(4)})`);
+      } else if (check.status === 'unavailable') {
+        console.log(`   ⚠️  Balance unavailable for ${check.name}: ${check.error}`);
+      }
+    }
+
+    return this.lastReport;
+  }
+}
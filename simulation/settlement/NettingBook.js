@@ -0,0 +1,134 @@
+/**
+ * NettingBook - Unsettled obligations between each agent and the merchant
+ *
+ * In netted settlement mode fills are applied to the market state immediately but no
+ * payment is sent. Each fill is added to the agent's open position instead:
+ *
+ *   buy  - agent owes the merchant notional + fee
+ *   sell - merchant owes the agent notional - fee
+ *
+ * When the window closes (every K ticks, or at session end) each agent's position is
+ * settled with a single transfer for the net amount, in whichever direction it points.
+ */
+export class NettingBook {
+  /**
+   * @param {number} windowTicks - Ticks per settlement window (0 = settle at session end only)
+   */
+  constructor(windowTicks) {
+    this.windowTicks = windowTicks;
+
+    /** @type {Map<string, import('../types/index.js').NettedPosition>} */
+    this.positions = new Map();
+
+    // Settlement windows closed so far (numbering continues across resumes)
+    this.windowsClosed = 0;
+
+    /** @type {import('../types/index.js').SettlementWindowReport[]} */
+    this.reports = [];
+  }
+
+  /**
+   * Add a fill to the agent's open position
+   * @param {import('../types/index.js').Transaction} transaction
+   * @returns {import('../types/index.js').NettedPosition}
+   */
+  record(transaction) {
+    const position = this.positions.get(transaction.agent_id) || {
+      agent_id: transaction.agent_id,
+      agent_name: transaction.agent_name,
+      from_tick: transaction.tick,
+      to_tick: transaction.tick,
+      fills: 0,
+      qty_bought: 0,
+      qty_sold: 0,
+      owed_to_merchant: 0,
+      owed_to_agent: 0,
+      fees: 0,
+      net: 0,
+    };
+
+    position.to_tick = transaction.tick;
+    position.fills++;
+    position.fees += transaction.fee;
+    if (transaction.action === 'buy') {
+      position.qty_bought += transaction.quantity;
+      position.owed_to_merchant += transaction.net_amount;
+    } else {
+      position.qty_sold += transaction.quantity;
+      position.owed_to_agent += transaction.net_amount;
+    }
+    // Positive: the agent pays the merchant; negative: the merchant pays the agent
+    position.net = position.owed_to_merchant - position.owed_to_agent;
+
+    this.positions.set(transaction.agent_id, position);
+    return position;
+  }
+
+  /**
+   * @param {string} agentId
+   * @returns {import('../types/index.js').NettedPosition | null}
+   */
+  get(agentId) {
+    return this.positions.get(agentId) || null;
+  }
+
+  /**
+   * Drop an agent's position once it has been settled (or handed to the settlement journal)
+   * @param {string} agentId
+   */
+  clear(agentId) {
+    this.positions.delete(agentId);
+  }
+
+  /**
+   * @returns {import('../types/index.js').NettedPosition[]}
+   */
+  openPositions() {
+    return Array.from(this.positions.values());
+  }
+
+  /**
+   * Net USDC the agents owe the merchant across all open positions
+   * @returns {number} Negative if the merchant owes more than it is owed
+   */
+  totalNet() {
+    return this.openPositions().reduce((sum, position) => sum + position.net, 0);
+  }
+
+  /**
+   * Whether a settlement window closes after this tick
+   * @param {number} tick
+   * @returns {boolean}
+   */
+  isWindowDue(tick) {
+    return this.windowTicks > 0 && tick % this.windowTicks === 0 && this.positions.size > 0;
+  }
+
+  /**
+   * Keep a closed window's report (last 100)
+   * @param {import('../types/index.js').SettlementWindowReport} report
+   */
+  addReport(report) {
+    this.reports.push(report);
+    if (this.reports.length > 100) {
+      this.reports = this.reports.slice(-100);
+    }
+  }
+
+  /**
+   * Open positions and window count, for snapshots
+   * @returns {{ positions: import('../types/index.js').NettedPosition[], windows_closed: number }}
+   */
+  getState() {
+    return { window_ticks: this.windowTicks, positions: structuredClone(this.openPositions()), windows_closed: this.windowsClosed };
+  }
+
+  /**
+   * Open positions and window count only - the window length is set by the constructor
+   * @param {{ positions: import('../types/index.js').NettedPosition[], windows_closed: number }} state
+   */
+  loadState(state) {
+    this.positions = new Map(state.positions.map(position => [position.agent_id, structuredClone(position)]));
+    this.windowsClosed = state.windows_closed;
+  }
+}
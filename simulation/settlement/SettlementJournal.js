@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * SettlementJournal - Two-phase record of every real Locus payment
+ *
+ * A payment is journaled as pending BEFORE it is sent and marked settled or failed
+ * once the outcome is known and applied to the market state. If the process dies in
+ * between, the entry stays pending and is reconciled against Locus payment history
+ * on the next start. Entries whose outcome cannot be determined are marked
+ * unresolved and left for an operator (see /api/settlements).
+ *
+ *   pending    - payment about to be sent, outcome not yet recorded
+ *   settled    - payment went through and the trade was applied (or was found in Locus history)
+ *   failed     - payment was rejected; nothing moved
+ *   unresolved - payment may or may not have moved funds; needs manual review
+ *
+ * Stored as append-only JSONL (settlements.jsonl): one line per status change,
+ * folded into the latest state of each entry on load.
+ */
+export class SettlementJournal {
+  /**
+   * @param {string} dir - Directory to store the journal in (created if missing)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.file = path.join(dir, 'settlements.jsonl');
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    /** @type {Map<string, import('../types/index.js').SettlementEntry>} */
+    this.entries = new Map();
+    this.load();
+  }
+
+  /**
+   * Rebuild every entry's latest state from the journal file
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        // A crash mid-append can leave one partial line at the end
+        console.error(`   ⚠️  Skipping unreadable settlement journal line: ${line.substring(0, 80)}`);
+        continue;
+      }
+      const { event: _type, ...fields } = event;
+      this.entries.set(fields.id, { ...this.entries.get(fields.id), ...fields });
+    }
+  }
+
+  /**
+   * Append a status change and apply it to the in-memory entry
+   * @param {string} type - Event type (pending, settled, failed, unresolved)
+   * @param {Object} fields - Must include id
+   * @returns {import('../types/index.js').SettlementEntry}
+   */
+  write(type, fields) {
+    // Written synchronously so the line is on disk before the payment is sent
+    fs.appendFileSync(this.file, JSON.stringify({ event: type, ...fields }) + '\n');
+    const entry = { ...this.entries.get(fields.id), ...fields };
+    this.entries.set(fields.id, entry);
+    return entry;
+  }
+
+  /**
+   * Phase one: record a payment that is about to be sent
+   * @param {Object} details - Session, tick, agent, action, quantity, price, fee and amount
+   * @returns {import('../types/index.js').SettlementEntry} Entry with the reference to put in the payment memo
+   */
+  begin(details) {
+    const id = uuidv4();
+    return this.write('pending', {
+      id,
+      ...details,
+      // Included in the Locus memo so the payment can be found in history later
+      reference: `stl-${id.substring(0, 8)}`,
+      status: 'pending',
+      created_at: new Date(),
+    });
+  }
+
+  /**
+   * Phase two: the payment went through and the trade was applied
+   * @param {string} id
+   * @param {Object} [details] - e.g. transaction_hash
+   * @returns {import('../types/index.js').SettlementEntry}
+   */
+  settle(id, details = {}) {
+    return this.write('settled', { id, ...details, status: 'settled', resolved_at: new Date() });
+  }
+
+  /**
+   * Phase two: the payment was rejected and nothing moved
+   * @param {string} id
+   * @param {string} error
+   * @returns {import('../types/index.js').SettlementEntry}
+   */
+  fail(id, error) {
+    return this.write('failed', { id, error, status: 'failed', resolved_at: new Date() });
+  }
+
+  /**
+   * The payment's outcome is unknown - leave it for reconciliation or an operator
+   * @param {string} id
+   * @param {string} reason
+   * @returns {import('../types/index.js').SettlementEntry}
+   */
+  markUnresolved(id, reason) {
+    return this.write('unresolved', { id, reason, status: 'unresolved' });
+  }
+
+  /**
+   * Close an outstanding entry by hand after checking the wallet
+   * @param {string} id
+   * @param {'settled' | 'failed'} status
+   * @param {string} [note]
+   * @returns {import('../types/index.js').SettlementEntry}
+   */
+  resolve(id, status, note) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw new Error(`No settlement with ID ${id}`);
+    }
+    if (entry.status !== 'pending' && entry.status !== 'unresolved') {
+      throw new Error(`Settlement ${id} is already ${entry.status}`);
+    }
+    if (status !== 'settled' && status !== 'failed') {
+      throw new Error('status must be "settled" or "failed"');
+    }
+    return this.write(status, { id, status, resolution: 'manual', note, resolved_at: new Date() });
+  }
+
+  /**
+   * Reconcile outstanding entries against payment history
+   * Entries found in history are settled; the rest are marked unresolved, since
+   * history that doesn't mention a payment is not proof it never happened.
+   * @param {(entry: import('../types/index.js').SettlementEntry) => Promise<string | null>} findPayment -
+   *   Resolves to the matching history record, or null if it can't be found
+   * @returns {Promise<{ checked: number, settled: number, unresolved: number }>}
+   */
+  async reconcile(findPayment) {
+    const outstanding = this.list({ status: 'outstanding' });
+    const result = { checked: outstanding.length, settled: 0, unresolved: 0 };
+
+    for (const entry of outstanding) {
+      let match = null;
+      let reason = 'No matching payment found in Locus history - check the wallet and resolve manually';
+      try {
+        match = await findPayment(entry);
+      } catch (error) {
+        reason = `Could not read Locus history: ${error.message}`;
+      }
+
+      if (match) {
+        // Funds moved, but the trade was never applied to the market state
+        this.write('settled', {
+          id: entry.id,
+          status: 'settled',
+          resolution: 'reconciled',
+          history_record: match,
+          resolved_at: new Date(),
+        });
+        result.settled++;
+      } else {
+        this.markUnresolved(entry.id, reason);
+        result.unresolved++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.status] - A status, or 'outstanding' for pending + unresolved
+   * @param {string} [filter.agentId]
+   * @param {string} [filter.sessionId]
+   * @returns {import('../types/index.js').SettlementEntry[]}
+   */
+  list({ status, agentId, sessionId } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !status || (status === 'outstanding'
+        ? entry.status === 'pending' || entry.status === 'unresolved'
+        : entry.status === status))
+      .filter(entry => !agentId || entry.agent_id === agentId)
+      .filter(entry => !sessionId || entry.session_id === sessionId)
+      .reverse();
+  }
+
+  /**
+   * Count of entries per status
+   * @returns {Object.<string, number>}
+   */
+  summary() {
+    const counts = { pending: 0, settled: 0, failed: 0, unresolved: 0 };
+    for (const entry of this.entries.values()) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
@@ -4,7 +4,7 @@
  */
 
 /**
- * @typedef {'frugal' | 'impulsive' | 'skeptical'} AgentPersonality
+ * @typedef {'frugal' | 'impulsive' | 'skeptical' | string} AgentPersonality - Built-in class, or the name of a prompt template
  */
 
 /**
@@ -12,6 +12,7 @@
  * @property {string} good - The product being traded (e.g., 'apple')
  * @property {number} max_spend_percent - Maximum percentage of balance to spend per tick (0.0-1.0)
  * @property {number} [threshold] - Price threshold (used by frugal buyer)
+ * @property {number} [priority] - Allocation rank under the priority policy (higher first, default 0)
  */
 
 /**
@@ -21,6 +22,8 @@
  * @property {number} qty - Quantity purchased or sold (0 if wait)
  * @property {number} [price] - Price at time of transaction
  * @property {string} [note] - Reasoning for the decision
+ * @property {{ id: string, side: 'buy' | 'sell', price: number, quantity: number }} [order] - Limit order placed this tick
+ * @property {number} [realized] - Sales: net proceeds minus the cost of the lots closed (USDC)
  */
 
 /**
@@ -34,11 +37,12 @@
  * @typedef {Object} AgentLongTerm
  * @property {number} total_spent - Total USDC spent on purchases
  * @property {number} total_qty_bought - Total units purchased
- * @property {number} avg_purchase_price - Average price paid per unit
+ * @property {number} avg_purchase_price - Average cost (incl. fees) of the apples held, 0 when flat
  * @property {number} max_single_tick_purchase - Largest single purchase
  * @property {number} total_revenue - Total USDC earned from sales
  * @property {number} total_qty_sold - Total units sold
- * @property {number} realized_profit - Net profit/loss (revenue - spent)
+ * @property {number} realized_profit - Profit on sales against the cost of the lots they closed
+ * @property {number} [total_fees] - Total exchange fees paid (included in total_spent / deducted from total_revenue)
  */
 
 /**
@@ -60,6 +64,278 @@
  * @property {AgentHistory} history - Historical data
  * @property {AgentLongTerm} long_term - Long-term statistics
  * @property {AgentCredentials} credentials - API credentials
+ * @property {AgentEnvKeys} [env_keys] - Environment variables holding credentials and wallet address (default: personality convention)
+ * @property {DecisionMode} [decision_mode] - How the agent decides (default: llm)
+ * @property {LLMConfig} [llm] - Which model the agent asks (default: LLM_PROVIDER env)
+ * @property {DecisionStats} [decision_stats] - Valid, invalid and retried LLM replies
+ * @property {LLMUsage} [llm_usage] - Tokens and cost of the agent's LLM calls
+ * @property {RiskLimits} [risk] - Risk limits (see RiskManager)
+ * @property {RiskState} [risk_state] - Equity tracking, losing streak and cooldown
+ * @property {Position} [position] - Open lots, realized and unrealized P&L, equity (see PositionBook)
+ * @property {AgentMemoryState} [memory] - Long-term memory (see AgentMemory)
+ * @property {RuleDeviation} [rule_deviation] - How often the LLM's decisions matched its personality's rules
+ * @property {LimitOrder[]} [open_orders] - Resting limit orders (refreshed after each tick)
+ * @property {AgentBalanceCheck} [balance_check] - Latest wallet balance check
+ */
+
+/**
+ * @typedef {Object} MemoryEvent
+ * @property {number} tick
+ * @property {'buy' | 'sell' | 'price_move' | 'new_high' | 'new_low'} type
+ * @property {number} price - Fill price, or the market price for price events
+ * @property {number} [qty] - Fills
+ * @property {number} [realized] - Sales: profit vs the cost of the lots closed (USDC)
+ * @property {number} [move] - price_move: change since the previous tick (fraction)
+ */
+
+/**
+ * @typedef {Object} Reflection
+ * @property {number} from_tick
+ * @property {number} to_tick
+ * @property {number} price_open
+ * @property {number} price_close
+ * @property {number} price_low
+ * @property {number} price_high
+ * @property {number} bought - Apples bought in the window
+ * @property {number | null} avg_buy
+ * @property {number} sold - Apples sold in the window
+ * @property {number | null} avg_sell
+ * @property {number} realized - Profit on the window's sales vs the cost of the lots closed (USDC)
+ * @property {number} inventory - Holdings at the end of the window
+ * @property {number} money - Balance at the end of the window
+ * @property {string} lesson - What worked and what lost money (written by the model, or computed)
+ */
+
+/**
+ * @typedef {Object} AgentMemoryState
+ * @property {Reflection[]} reflections - One per window, oldest dropped past MEMORY_MAX_REFLECTIONS
+ * @property {MemoryEvent[]} events - Key events, oldest dropped past MEMORY_MAX_EVENTS
+ * @property {Object | null} window - Running totals for the window not yet reflected on
+ * @property {number} last_observed_tick
+ * @property {number} last_reflection_tick
+ * @property {number | null} last_price
+ * @property {number | null} session_high
+ * @property {number | null} session_low
+ */
+
+/**
+ * @typedef {'llm' | 'rules'} DecisionMode - Ask the LLM, or apply the personality's rules (rules.js) directly
+ */
+
+/**
+ * @typedef {'anthropic' | 'openai' | 'scripted'} LLMProvider
+ */
+
+/**
+ * @typedef {Object} LLMConfig
+ * @property {LLMProvider} provider - anthropic, openai (any compatible endpoint) or scripted (offline)
+ * @property {string} [model] - Model ID (default: LLM_MODEL / OPENAI_MODEL env)
+ * @property {string} [base_url] - OpenAI-compatible API root (default: OPENAI_BASE_URL env)
+ * @property {string} [api_key_env] - Variable with the OpenAI-compatible API key (default: OPENAI_API_KEY)
+ * @property {number} [temperature] - Default: LLM_TEMPERATURE env
+ * @property {string} [fixture] - Scripted replies file (default: LLM_FIXTURE env; rules when unset)
+ */
+
+/**
+ * @typedef {Object} LLMMessage
+ * @property {'system' | 'user' | 'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} LLMResponse
+ * @property {string} content - Reply text (may be empty when the model answered with a tool call)
+ * @property {unknown} [toolInput] - Arguments of the model's tool call, if it made one
+ * @property {string} [model] - Model that answered, as reported by the backend
+ * @property {TokenUsage} [usage] - Tokens used, when the backend reports them
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} input_tokens
+ * @property {number} output_tokens
+ */
+
+/**
+ * @typedef {Object} LLMUsage
+ * @property {number} calls - LLM calls made (decisions, retries and reflections)
+ * @property {number} input_tokens
+ * @property {number} output_tokens
+ * @property {number} cost - USD, from the LLM price table
+ * @property {number} unpriced_calls - Calls whose cost is unknown (model not in the price table, or no usage reported)
+ */
+
+/**
+ * @typedef {Object} DecisionStats
+ * @property {number} decisions - Valid decisions returned
+ * @property {number} parse_failures - Replies that failed parsing or validation (including retried ones)
+ * @property {number} retries - Corrective re-asks sent
+ * @property {number} fallbacks - Ticks that fell back to wait after running out of retries
+ * @property {{ tick: number, error: string } | null} last_error - Most recent validation error
+ */
+
+/**
+ * @typedef {Object} DecisionAttempt
+ * @property {string} completion - Raw reply text
+ * @property {unknown} [tool_input] - Tool call arguments, if the model made one
+ * @property {unknown} [parsed] - Decision JSON read from the reply, before validation
+ * @property {string} [error] - Why the reply was rejected
+ * @property {string} [correction] - Message sent back to the model for the next attempt
+ * @property {string} model - Model that answered
+ * @property {TokenUsage} [usage] - Tokens used, when the backend reports them
+ * @property {number | null} cost - USD (null when unknown)
+ * @property {number} latency_ms
+ */
+
+/**
+ * @typedef {Object} DecisionAudit
+ * @property {DecisionMode} decision_mode
+ * @property {LLMProvider | null} provider - null for rule-based agents
+ * @property {string | null} model - Model that made the decision (as reported by the backend, when it does)
+ * @property {string} system_prompt
+ * @property {string | null} prompt - buildPrompt output (null for rule-based agents)
+ * @property {DecisionAttempt[]} attempts - Every reply, including rejected ones
+ * @property {number} latency_ms - Time to decide, retries included
+ * @property {string} [error] - LLM call error (the agent waited)
+ */
+
+/**
+ * @typedef {Object} LLMCallContext
+ * @property {AgentState} state - The deciding agent
+ * @property {MarketState} marketState
+ * @property {ReturnType<import('../agents/BaseAgent.js').BaseAgent['tradeLimits']>} limits
+ */
+
+/**
+ * @typedef {Object} RuleDeviation
+ * @property {number} ticks - Decisions compared
+ * @property {number} action_matches - Ticks where the LLM chose the same action as the rules
+ * @property {number} quantity_compared - Matching buy/sell ticks whose quantities were compared
+ * @property {number} quantity_diff_total - Sum of |LLM quantity - rule quantity| over those ticks
+ * @property {{ tick: number, llm: { action: string, quantity: number }, rules: { action: string, quantity: number, note: string }, action_match: boolean, quantity_diff: number | null } | null} last - Latest comparison
+ */
+
+/**
+ * @typedef {Object} AgentEnvKeys
+ * @property {string} client_id - Variable with the Locus client ID
+ * @property {string} client_secret - Variable with the Locus client secret
+ * @property {string} api_key - Variable with the LLM API key
+ * @property {string} wallet_address - Variable with the agent's wallet address
+ */
+
+/**
+ * @typedef {Object} AgentConfig
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name (also used in the agent's prompt)
+ * @property {AgentPersonality} personality - Agent class or prompt template to run
+ * @property {AgentPreferences} preferences - Preferences (max_spend_percent, threshold, priority)
+ * @property {number} inventory - Starting inventory
+ * @property {DecisionMode} decision_mode - LLM or rule-based (default: llm)
+ * @property {LLMConfig} [llm] - Model settings (default: LLM_PROVIDER env)
+ * @property {Partial<RiskLimits>} risk - Risk limits (unset ones: RISK_* env)
+ * @property {CostBasisMethod} [cost_basis] - Order sales close lots in (default: COST_BASIS_METHOD env)
+ * @property {AgentEnvKeys} env_keys - Where to read credentials and wallet address from
+ */
+
+/**
+ * @typedef {Object} RiskLimits - 0 turns a limit off
+ * @property {number} max_position - Most apples held, counting resting buy orders
+ * @property {number} max_drawdown - Equity drop from the session peak that stops buying (fraction)
+ * @property {number} max_session_loss - Equity lost since the session started that stops buying (USDC)
+ * @property {number} cooldown_after_losses - Losing sales in a row that start a cooldown
+ * @property {number} cooldown_ticks - Ticks without new orders after that
+ * @property {number} stop_loss - Sell everything once the bid is this far below the average cost (fraction)
+ * @property {number} take_profit - Sell everything once the bid is this far above the average cost (fraction)
+ */
+
+/**
+ * @typedef {Object} RiskState
+ * @property {number | null} start_equity - Money plus apples at the mid price, at the first risk check
+ * @property {number | null} peak_equity - Highest equity seen
+ * @property {number | null} equity - Equity at the latest check
+ * @property {number} consecutive_losses - Losing sales in a row
+ * @property {number} cooldown_until_tick - Last tick of the current cooldown (0 = none)
+ * @property {number} overrides - Decisions changed by the risk manager
+ */
+
+/**
+ * @typedef {'fifo' | 'lifo' | 'average'} CostBasisMethod
+ */
+
+/**
+ * @typedef {Object} Lot
+ * @property {number} tick - Tick the apples were bought (0 for starting inventory)
+ * @property {number} quantity - Apples still open
+ * @property {number} unit_cost - Cost per apple including the fee
+ */
+
+/**
+ * @typedef {Object} EquityPoint
+ * @property {number} tick
+ * @property {number} equity - Money plus apples at current_price
+ * @property {number} realized_pnl
+ * @property {number} unrealized_pnl
+ */
+
+/**
+ * @typedef {Object} Position
+ * @property {CostBasisMethod} method - Order sales close lots in
+ * @property {Lot[]} lots - Open lots, oldest first (a single lot under average cost)
+ * @property {number} open_cost - Cost of the open lots
+ * @property {number} realized_pnl - Net proceeds minus the cost of the lots closed, all sales
+ * @property {number} unrealized_pnl - Open lots at current_price minus their cost
+ * @property {number} market_value - Apples held at current_price
+ * @property {number | null} equity - Money plus market_value, after the latest tick
+ * @property {EquityPoint[]} equity_history - One point per tick, the latest 500
+ */
+
+/**
+ * @typedef {Object} RiskOverride
+ * @property {string} agent_id
+ * @property {'max_position' | 'max_drawdown' | 'session_loss_limit' | 'cooldown' | 'stop_loss' | 'take_profit'} rule
+ * @property {string} reason
+ * @property {{ action: string, quantity: number }} requested - Sanitized decision
+ * @property {{ action: string, quantity: number }} applied - What was executed instead
+ */
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} name - Personality name (file name without .md)
+ * @property {'file' | 'runtime'} source - Read from PROMPT_DIR, or registered through /api/personalities
+ * @property {string | null} description
+ * @property {string} template - System prompt with {{variable}} placeholders
+ */
+
+/**
+ * @typedef {Object} PersonalityInfo
+ * @property {string} name
+ * @property {'class' | 'template'} kind - Agent subclass, or PromptAgent with a template
+ * @property {'builtin' | 'file' | 'runtime'} source
+ * @property {string | null} description
+ */
+
+/**
+ * @typedef {Object} AgentRoster
+ * @property {string} name - Config name (file name without .json)
+ * @property {string} [description] - What the roster is for
+ * @property {AgentConfig[]} agents - Agents to start with
+ */
+
+/**
+ * @typedef {Object} AgentBalanceCheck
+ * @property {'verified' | 'drift' | 'unavailable'} status - unavailable at start means the agent holds $0 this session
+ * @property {number | null} observed - Balance read from the wallet
+ * @property {number | null} expected - Balance the engine expected
+ * @property {number | null} drift - observed - expected
+ * @property {number | null} [books_drift] - How much more the engine's books moved than the ledger's payments
+ * @property {string} [error] - Why the balance could not be read
+ * @property {Date} checked_at - When the wallet was read
+ */
+
+/**
+ * @typedef {'GTC' | 'IOC' | 'GTT'} TimeInForce
+ * GTC rests until filled or cancelled, IOC fills what it can this tick and cancels the rest,
+ * GTT rests for expire_after_ticks ticks
  */
 
 /**
@@ -67,6 +343,41 @@
  * @property {'buy' | 'sell' | 'wait'} action - Action to take
  * @property {number} quantity - Quantity to purchase or sell
  * @property {string} note - Reasoning for decision
+ * @property {'market' | 'limit'} [order_type] - Market (default) or limit order
+ * @property {number} [limit_price] - Worst acceptable price per unit (limit orders only)
+ * @property {TimeInForce} [time_in_force] - How long a limit order rests (default GTC)
+ * @property {number} [expire_after_ticks] - Ticks a GTT order rests before expiring
+ * @property {boolean} [cancel_open_orders] - Cancel all of the agent's resting orders first
+ */
+
+/**
+ * @typedef {Object} LimitOrder
+ * @property {string} id - Unique order ID
+ * @property {string} agent_id - Agent that placed the order
+ * @property {'buy' | 'sell'} side - Order side
+ * @property {number} price - Limit price per unit
+ * @property {number} quantity - Original quantity
+ * @property {number} remaining - Unfilled quantity
+ * @property {TimeInForce} time_in_force - Time in force
+ * @property {number} placed_tick - Tick the order was placed
+ * @property {number | null} expires_at_tick - Last tick a GTT order may rest
+ * @property {number} sequence - Arrival sequence (time priority)
+ * @property {string} note - Reasoning attached to the order
+ */
+
+/**
+ * @typedef {Object} PriceLevel
+ * @property {number} price - Price of the level
+ * @property {number} quantity - Total resting quantity at this price
+ * @property {number} orders - Number of orders at this price
+ */
+
+/**
+ * @typedef {Object} OrderBookDepth
+ * @property {PriceLevel[]} bids - Bid levels, best (highest) first
+ * @property {PriceLevel[]} asks - Ask levels, best (lowest) first
+ * @property {number | null} best_bid - Highest resting bid
+ * @property {number | null} best_ask - Lowest resting ask
  */
 
 /**
@@ -75,7 +386,14 @@
  * @property {number} current_price - Current price per unit
  * @property {number} seller_inventory - Remaining seller inventory
  * @property {number} seller_revenue - Total revenue collected
+ * @property {number} treasury - Exchange fees collected (USDC)
  * @property {Date} last_updated - Last update timestamp
+ * @property {string} [pricing_model] - Name of the active price formation model
+ * @property {number} [price_impact] - Intra-tick price move per unit filled against the merchant (fraction of price)
+ * @property {number} [bid_price] - Merchant's bid (agents sell here): mid minus half the spread
+ * @property {number} [ask_price] - Merchant's ask (agents buy here): mid plus half the spread
+ * @property {FeeConfig} [fees] - Fee schedule in effect
+ * @property {OrderBookDepth} [order_book] - Resting limit order depth
  */
 
 /**
@@ -86,11 +404,23 @@
  * @property {string} agent_name - Agent name
  * @property {'buy' | 'sell'} action - Transaction type (buy or sell)
  * @property {number} quantity - Units purchased or sold
- * @property {number} price - Price per unit
+ * @property {number} price - Average price per unit actually paid or received
+ * @property {number} [avg_fill_price] - Realized average fill price after intra-tick price impact
+ * @property {number} [quoted_price] - Price at the start of the tick (the limit price for crosses)
+ * @property {number} [slippage_pct] - Average fill vs quoted price, in percent
  * @property {number} total_cost - Total cost or revenue (price * quantity)
+ * @property {number} [fee] - Exchange fee charged on this fill
+ * @property {number} [net_amount] - USDC actually moved: total_cost plus fee for buys, minus fee for sells
+ * @property {'maker' | 'taker'} [liquidity] - Fee tier of the fill
  * @property {string} note - Reason for transaction decision
  * @property {Date} timestamp - Transaction timestamp
+ * @property {'market' | 'limit'} [order_type] - Order type that produced the fill
+ * @property {string} [order_id] - Limit order ID (limit fills only)
+ * @property {string} [counterparty] - 'merchant' or the agent ID on the other side of a cross
  * @property {string} [transaction_hash] - Locus transaction ID
+ * @property {string} [idempotency_key] - Key of the fill's payment (per-fill settlement only)
+ * @property {number} [cost_basis] - Sales: cost of the lots closed
+ * @property {number} [realized_pnl] - Sales: net_amount minus cost_basis
  */
 
 /**
@@ -100,10 +430,312 @@
  * @property {number} price_after - Price after tick
  * @property {Object.<string, AgentDecision>} decisions - Agent decisions
  * @property {Transaction[]} executed_transactions - Completed transactions
+ * @property {Allocation} allocation - How merchant inventory was shared between market buys
+ * @property {RiskOverride[]} [risk_overrides] - Decisions the risk manager changed, with the reason
  * @property {MarketState} market_state - Market state after tick
+ * @property {FailedPayment[]} [failed_payments] - Payments attempted this tick that did not go through
  * @property {Date} timestamp - Tick timestamp
  */
 
+/**
+ * @typedef {'pro_rata' | 'random' | 'priority'} AllocationPolicy
+ */
+
+/**
+ * @typedef {Object} AllocationRequest
+ * @property {string} agentId - Buying agent
+ * @property {number} quantity - Units requested (after sanitizing)
+ * @property {number} priority - Rank under the priority policy
+ */
+
+/**
+ * @typedef {Object} Allocation
+ * @property {AllocationPolicy} policy - Policy in effect
+ * @property {number} available - Merchant inventory at the start of the tick
+ * @property {boolean} scarce - True if requests exceeded inventory and the policy was applied
+ * @property {Object.<string, number>} requested - Units requested by agent ID
+ * @property {Object.<string, number>} allocated - Units granted by agent ID
+ * @property {string[]} order - Ranking the policy used (empty when not scarce)
+ */
+
+/**
+ * @typedef {Object} FailedPayment
+ * @property {string} agent_id - Agent whose payment failed
+ * @property {'buy' | 'sell'} action - Side of the failed fill
+ * @property {number} quantity - Units in the failed fill
+ * @property {number} price - Price per unit of the failed fill
+ * @property {string} error - Failure reason
+ */
+
+/**
+ * @typedef {Object} PaymentTags
+ * @property {string} [reference] - Settlement reference added to the payment memo
+ * @property {string} [idempotencyKey] - Session/run/tick/agent key added to the memo; enables retries
+ * @property {(idempotencyKey: string) => RecordedPayment | null} [findRecorded] - Looks the key up in the engine's settlement journal and ledger before a re-send
+ */
+
+/**
+ * @typedef {Object} RecordedPayment - A payment already in the engine's own records under an idempotency key
+ * @property {'settlement_journal' | 'ledger'} source
+ * @property {string} id - Settlement entry or transaction ID
+ * @property {'pending' | 'settled' | 'failed' | 'unresolved'} status
+ * @property {number} amount - USDC
+ */
+
+/**
+ * @typedef {Object} BalanceCheck
+ * @property {string} wallet - Agent ID or 'merchant'
+ * @property {string} name - Display name
+ * @property {'ok' | 'drift' | 'unavailable'} status - Comparison result
+ * @property {number} expected - Balance the ledger's payments add up to (or the engine's books without a ledger)
+ * @property {'ledger' | 'engine'} source - Where expected came from
+ * @property {number | null} observed - Balance read from the wallet
+ * @property {number | null} drift - observed - expected
+ * @property {number | null} books_drift - How much more the engine's books moved than the ledger's payments (null without a ledger)
+ * @property {string} [error] - Why the balance could not be read
+ */
+
+/**
+ * @typedef {Object} BalanceReport
+ * @property {number} tick - Tick the check ran after
+ * @property {Date} checked_at - When the wallets were read
+ * @property {number} tolerance - Largest difference not reported as drift (USDC)
+ * @property {boolean} drifted - Whether any wallet drifted
+ * @property {BalanceCheck[]} wallets - One entry per agent, plus the merchant
+ */
+
+/**
+ * @typedef {Object} SpendingLimits
+ * @property {number} max_spend - USDC paid for apples, notional + fees (0 = no cap)
+ * @property {number} max_loss - Net loss before buying stops (0 = no cap)
+ * @property {number} max_payments - Payments sent, buys and sales (0 = no cap)
+ */
+
+/**
+ * @typedef {Object} SpendingUsage
+ * @property {number} spent - USDC paid for apples
+ * @property {number} received - USDC received for sales
+ * @property {number} payments - Payments that went through
+ * @property {number} holdings_value - Apples held, at the price of the latest trade
+ * @property {number} [net_loss] - spent - received - holdings_value (in getStatus)
+ */
+
+/**
+ * @typedef {Object} SpendingStatus
+ * @property {{ reason: string, halted_at: Date } | null} halted - Kill switch state
+ * @property {{ agent: SpendingLimits, session: SpendingLimits }} limits - Configured caps
+ * @property {SpendingUsage} session - Usage across all agents
+ * @property {Object.<string, SpendingUsage>} agents - Usage by agent ID
+ */
+
+/**
+ * @typedef {'per_fill' | 'netted'} SettlementMode
+ */
+
+/**
+ * @typedef {Object} NettedPosition
+ * @property {string} agent_id - Agent the position belongs to
+ * @property {string} agent_name - Display name
+ * @property {number} from_tick - Tick of the first unsettled fill
+ * @property {number} to_tick - Tick of the latest unsettled fill
+ * @property {number} fills - Unsettled fills
+ * @property {number} qty_bought - Units bought in those fills
+ * @property {number} qty_sold - Units sold in those fills
+ * @property {number} owed_to_merchant - Buys: notional + fees
+ * @property {number} owed_to_agent - Sales: notional - fees
+ * @property {number} fees - Exchange fees included above
+ * @property {number} net - owed_to_merchant - owed_to_agent (positive: the agent pays)
+ */
+
+/**
+ * @typedef {Object} NettedSettlement
+ * @property {string} agent_id - Agent the position belongs to
+ * @property {string} agent_name - Display name
+ * @property {number} from_tick - Tick of the first fill settled
+ * @property {number} to_tick - Tick of the last fill settled
+ * @property {number} fills - Fills covered by the transfer
+ * @property {number} qty_bought - Units bought
+ * @property {number} qty_sold - Units sold
+ * @property {number} owed_to_merchant - Gross owed by the agent
+ * @property {number} owed_to_agent - Gross owed by the merchant
+ * @property {number} fees - Exchange fees included
+ * @property {number} net - Signed net amount
+ * @property {number} amount - USDC transferred (absolute net)
+ * @property {'agent_pays' | 'merchant_pays' | 'none'} direction - Who paid
+ * @property {'settled' | 'netted_out' | 'failed' | 'unresolved'} status - netted_out: nothing to pay; failed: carried to the next window; unresolved: see the settlement journal
+ * @property {string} [transaction_hash] - Transfer ID (settled)
+ * @property {string} [idempotency_key] - Key of the transfer (when one was attempted)
+ * @property {string} [error] - Failure reason
+ */
+
+/**
+ * @typedef {Object} SettlementWindowReport
+ * @property {number} window - Window number within the session
+ * @property {'window' | 'session_end'} reason - Why the window closed
+ * @property {number} from_tick - First tick with a fill in the window
+ * @property {number} to_tick - Tick the window closed on
+ * @property {Date} settled_at - When the transfers were sent
+ * @property {number} fills - Fills covered
+ * @property {number} transfers - Transfers sent (one per settled agent)
+ * @property {number} gross - Sum of what each fill would have transferred on its own
+ * @property {number} net - USDC actually transferred
+ * @property {number} carried_over - Positions left open after a rejected transfer
+ * @property {NettedSettlement[]} agents - One entry per agent with an open position
+ */
+
+/**
+ * @typedef {Object} WalletTransaction
+ * @property {string} id - Transaction ID
+ * @property {string} from - Paying wallet address
+ * @property {string} to - Receiving wallet address
+ * @property {number} amount - USDC moved
+ * @property {string} memo - Payment memo
+ * @property {Date} timestamp - When the payment was made
+ */
+
+/**
+ * @typedef {'pending' | 'settled' | 'failed' | 'unresolved'} SettlementStatus
+ */
+
+/**
+ * @typedef {Object} SettlementEntry
+ * @property {string} id - Settlement ID
+ * @property {string} reference - Short reference written into the Locus payment memo
+ * @property {SettlementStatus} status - Current status
+ * @property {string} session_id - Session the payment belongs to
+ * @property {number} tick - Tick the payment was sent in
+ * @property {string} agent_id - Agent buying or selling
+ * @property {'buy' | 'sell'} action - buy: agent pays merchant; sell: merchant pays agent
+ * @property {number} quantity - Units traded
+ * @property {number} price - Price per unit
+ * @property {number} fee - Exchange fee
+ * @property {number} amount - USDC the payment moves
+ * @property {string} [idempotency_key] - Key written into the payment memo; checked before any re-send
+ * @property {Date} created_at - When the payment was journaled (before it was sent)
+ * @property {Date} [resolved_at] - When it was settled or failed
+ * @property {string} [transaction_id] - Transaction recorded for the fill (settled in-process)
+ * @property {string} [transaction_hash] - Locus transaction ID
+ * @property {string} [error] - Why the payment failed
+ * @property {string} [reason] - Why the outcome is unresolved
+ * @property {'reconciled' | 'manual'} [resolution] - How an outstanding entry was closed
+ * @property {string} [history_record] - Locus history line matched during reconciliation
+ * @property {string} [note] - Operator note on a manual resolution
+ */
+
+/**
+ * @typedef {Object} RecordedTick
+ * @property {number} tick - Tick number
+ * @property {Object.<string, AgentDecision>} decisions - Raw decisions fed to executeTick
+ * @property {FailedPayment[]} failed_payments - Payment failures to reproduce
+ * @property {string} fingerprint - Hash of the resulting TickResult (timestamps excluded)
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {number} seed - Seed for every random draw in the run
+ * @property {PricingConfig} pricing - Pricing configuration the engine was built with
+ * @property {AllocationPolicy} [allocation_policy] - Inventory allocation policy
+ * @property {FeeConfig} [fees] - Fee schedule and spread
+ * @property {Object | null} initial - Market, agent (without credentials), order book and RNG state before the first recorded tick
+ * @property {RecordedTick[]} ticks - Every executed tick in order
+ */
+
+/**
+ * @typedef {Object} ReplayReport
+ * @property {number} seed - Seed used
+ * @property {number} ticks_replayed - Number of ticks re-executed
+ * @property {boolean} matched - True if every tick reproduced its original fingerprint
+ * @property {{ tick: number, expected: string, actual: string }[]} mismatches - Ticks that diverged
+ * @property {TickResult[]} results - Replayed tick results
+ * @property {import('../market/MarketEngine.js').MarketEngine} engine - Engine positioned after the last replayed tick
+ */
+
+/**
+ * @typedef {Object} PricingConfig
+ * @property {'linear' | 'constant_product' | 'lmsr' | 'call_auction'} [model] - Price formation model (default: PRICING_MODEL env or 'linear')
+ * @property {number} [minPrice] - Price floor (default: MIN_PRICE env)
+ * @property {number} [maxPrice] - Price ceiling (default: MAX_PRICE env)
+ * @property {number} [sensitivity] - Linear: fractional move per unit of net demand
+ * @property {number} [noise] - Linear: max random move either way per tick
+ * @property {number} [liquidity] - Constant product: virtual apple reserve; LMSR: liquidity parameter b
+ * @property {number} [depth] - Call auction: merchant units offered per 100% price move
+ * @property {number} [priceImpact] - Intra-tick price move per unit filled (default: PRICE_IMPACT env or 0.001)
+ */
+
+/**
+ * @typedef {Object} FeeConfig
+ * @property {number} [makerPct] - Fee rate for orders that rested in the book (default: MAKER_FEE_PCT env or 0.001)
+ * @property {number} [takerPct] - Fee rate for market orders and immediately marketable limits (default: TAKER_FEE_PCT env or 0.003)
+ * @property {number} [fixedFee] - Fixed USDC fee per fill (default: FIXED_TRADE_FEE env or 0)
+ * @property {number} [spreadPct] - Full bid/ask spread around the mid price (default: SPREAD_PCT env or 0.01)
+ */
+
+/**
+ * @typedef {Object} PriceContext
+ * @property {number} netDemand - Net units bought from the merchant this tick
+ * @property {number} currentPrice - Price before this tick
+ * @property {number} [buyVolume] - Units bought from the merchant this tick
+ * @property {number} [sellVolume] - Units sold to the merchant this tick
+ * @property {LimitOrder[]} [bids] - Resting bids after matching
+ * @property {LimitOrder[]} [asks] - Resting asks after matching
+ */
+
+/**
+ * @typedef {Object} MarketEngineOptions
+ * @property {PricingConfig} [pricing] - Price formation model and bounds
+ * @property {AllocationPolicy} [allocationPolicy] - Inventory allocation policy (falls back to ALLOCATION_POLICY env, then pro_rata)
+ * @property {FeeConfig} [fees] - Fee schedule and spread (falls back to env)
+ * @property {number} [seed] - Seed for price noise and IDs (random if omitted; recorded either way)
+ * @property {import('../ledger/Ledger.js').Ledger} [ledger] - Persistent ledger to record the session in
+ * @property {import('../settlement/SettlementJournal.js').SettlementJournal} [settlements] - Journal for real payments (two-phase)
+ * @property {string} [sessionId] - Session ID (generated if omitted)
+ * @property {boolean} [resumed] - Continuing an existing session (no session_started ledger entry)
+ * @property {SettlementMode} [settlementMode] - Payment per fill or netted per window (falls back to SETTLEMENT_MODE env, then per_fill)
+ * @property {number} [settlementWindowTicks] - Ticks per netting window; 0 = session end only (falls back to SETTLEMENT_WINDOW_TICKS env, then 10)
+ * @property {import('../payments/SpendingGuard.js').SpendingGuard} [spendingGuard] - Session caps and kill switch (saved in snapshots)
+ */
+
+/**
+ * @typedef {Object} SimulationSnapshot
+ * @property {number} version - Snapshot format version
+ * @property {Date} taken_at - When the snapshot was taken
+ * @property {string} session_id - Ledger session the snapshot belongs to
+ * @property {number} seed - Run seed
+ * @property {number} random_state - Random generator position
+ * @property {PricingConfig} pricing - Resolved pricing configuration
+ * @property {Object} pricing_state - Price model internal state
+ * @property {AllocationPolicy} allocation_policy - Inventory allocation policy
+ * @property {FeeConfig} fees - Fee schedule and spread
+ * @property {SettlementMode} [settlement_mode] - Settlement mode (missing in older snapshots)
+ * @property {{ tick: number, current_price: number, seller_inventory: number, seller_revenue: number, treasury: number }} market_state - Market counters
+ * @property {{ bids: LimitOrder[], asks: LimitOrder[], sequence: number }} order_book - Resting orders
+ * @property {AgentState[]} agents - Agent states without credentials (history and long-term stats included)
+ * @property {TickResult[]} tick_history - Recent tick results
+ * @property {{ window_ticks?: number, positions: NettedPosition[], windows_closed: number }} [netting] - Netting window length and unsettled netted positions
+ * @property {Object.<string, SpendingUsage>} [spending] - Spending cap usage per agent
+ */
+
+/**
+ * @typedef {Object} ForkOverrides
+ * @property {{ model?: string, minPrice?: number, maxPrice?: number }} [pricing] - Pricing model and/or price bounds
+ * @property {Object.<string, { max_spend_percent: number }>} [agents] - Preference changes by agent ID
+ * @property {Object.<string, AgentDecision>} [decisions] - Forced decisions by agent ID for the first forked tick
+ */
+
+/**
+ * @typedef {Object} ForkSummary
+ * @property {string} id - Fork ID
+ * @property {string} source_session_id - Session the fork branched from
+ * @property {number} from_tick - Tick whose end state the fork started from
+ * @property {ForkOverrides} overrides - What was changed
+ * @property {'pending' | 'running' | 'completed' | 'stopped' | 'failed'} status
+ * @property {string | null} error - Failure reason
+ * @property {boolean} replay_matched - Whether rebuilding the fork point reproduced the original ticks
+ * @property {number} ticks_run - Ticks executed so far
+ * @property {number} ticks_requested - Ticks the fork will run
+ * @property {Date} created_at
+ */
+
 // Export empty object for ES modules compatibility
 export {};
 